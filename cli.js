@@ -7,9 +7,17 @@
  *   put <key> <value>      Insert or update a key-value pair
  *   get <key>              Retrieve the value for a key
  *   delete <key>           Delete a key
- *   scan <start> <end>     Range scan (inclusive)
+ *   delrange <start> <end> Delete every key in [start, end)
+ *   expire <key> <seconds> Expire a key after the given number of seconds
+ *   scan <start> <end> [limit] [desc]
+ *                          Range scan (inclusive), optionally limited / descending
+ *   prefix <prefix> [limit]
+ *                          List keys starting with a prefix
  *   flush                  Force-flush MemTable to SSTable
  *   stats                  Show engine statistics
+ *   verify [repair]        Check every SSTable's checksums, optionally
+ *                          salvaging damaged tables
+ *   gc                     Reclaim space in blob files
  *   help                   Show this help message
  *   exit / quit            Exit the REPL
  */
@@ -37,9 +45,17 @@ function printHelp() {
   \x1b[33mput\x1b[0m <key> <value>      Insert or update a key-value pair
   \x1b[33mget\x1b[0m <key>              Retrieve the value for a key
   \x1b[33mdelete\x1b[0m <key>           Delete a key
-  \x1b[33mscan\x1b[0m <start> <end>     Range scan (inclusive)
+  \x1b[33mdelrange\x1b[0m <start> <end> Delete every key in [start, end)
+  \x1b[33mexpire\x1b[0m <key> <seconds> Expire a key after the given number of seconds
+  \x1b[33mscan\x1b[0m <start> <end> [limit] [desc]
+                         Range scan (inclusive), optionally limited / descending
+  \x1b[33mprefix\x1b[0m <prefix> [limit]
+                         List keys starting with a prefix
   \x1b[33mflush\x1b[0m                  Force-flush MemTable to SSTable
   \x1b[33mstats\x1b[0m                  Show engine statistics
+  \x1b[33mverify\x1b[0m [repair]        Check every SSTable's checksums, optionally
+                         salvaging damaged tables
+  \x1b[33mgc\x1b[0m                     Reclaim space in blob files
   \x1b[33mhelp\x1b[0m                   Show this help message
   \x1b[33mexit\x1b[0m / \x1b[33mquit\x1b[0m            Exit the REPL
 `);
@@ -48,8 +64,25 @@ function printHelp() {
 function printStats() {
   const s = db.stats();
   console.log(`\n\x1b[1m Engine Statistics\x1b[0m`);
-  console.log(`  MemTable : ${s.memTable.entries} entries (${formatBytes(s.memTable.sizeBytes)})`);
+  console.log(
+    `  MemTable : ${s.memTable.entries} entries (${formatBytes(s.memTable.sizeBytes)})` +
+    (s.memTable.immutable > 0 ? `, ${s.memTable.immutable} frozen awaiting flush` : '')
+  );
   console.log(`  SSTables : ${s.totalSSTables} total (${formatBytes(s.totalSizeBytes)})`);
+  console.log(
+    `  Compaction : ${s.compactionStrategy}${s.compaction.running ? ' (running)' : ''}, ` +
+    `${s.compaction.completed} completed, ${s.compaction.writeStalls} write stall(s)`
+  );
+  console.log(
+    `  Block Cache : ${formatBytes(s.blockCache.usedBytes)} / ${formatBytes(s.blockCache.capacityBytes)}, ` +
+    `${(s.blockCache.hitRate * 100).toFixed(1)}% hits (${s.blockCache.hits} hit, ` +
+    `${s.blockCache.misses} miss, ${s.blockCache.evictions} evicted)`
+  );
+
+  console.log(
+    `  Blobs : ${s.blobs.files} file(s) (${formatBytes(s.blobs.sizeBytes)}), ` +
+    `values >= ${formatBytes(s.blobs.threshold)} stored apart`
+  );
 
   for (const lvl of s.levels) {
     if (lvl.sstables > 0) {
@@ -59,6 +92,30 @@ function printStats() {
   console.log();
 }
 
+function printVerify(repair) {
+  const report = db.verify({ repair });
+  for (const t of report.tables) {
+    const name = `L${t.level} ${t.file}`;
+    if (t.error === null && t.corruptBlocks.length === 0) {
+      const note = t.checksummed ? '' : ' \x1b[90m(no checksums, decoded only)\x1b[0m';
+      console.log(`  \x1b[32mOK\x1b[0m       ${name} — ${t.blocks} block(s), ${t.entries} entries${note}`);
+      continue;
+    }
+    const problem = t.error ?? `${t.corruptBlocks.length} of ${t.blocks} block(s) corrupt`;
+    console.log(`  \x1b[31mDAMAGED\x1b[0m  ${name} — ${problem}`);
+    for (const { block, error } of t.corruptBlocks) {
+      console.log(`             \x1b[90mblock ${block}: ${error}\x1b[0m`);
+    }
+    if (t.repaired) {
+      const into = t.repaired.file ? ` into ${t.repaired.file}` : '';
+      console.log(`             \x1b[33mrepaired: salvaged ${t.repaired.salvaged} entries${into}\x1b[0m`);
+    }
+  }
+  const summary = `${report.tables.length} table(s) checked, ${report.damaged} damaged` +
+    (repair ? `, ${report.repaired} repaired` : '');
+  console.log(`  \x1b[90m(${summary})\x1b[0m`);
+}
+
 console.log(`
 \x1b[1m\x1b[35m╔══════════════════════════════════════╗
 ║      LSM-Tree Storage Engine v1.0    ║
@@ -116,12 +173,67 @@ rl.on('line', (line) => {
         break;
       }
 
-      case 'scan': {
+      case 'delrange': {
         if (parts.length < 3) {
-          console.log('\x1b[31m  Usage: scan <startKey> <endKey>\x1b[0m');
+          console.log('\x1b[31m  Usage: delrange <startKey> <endKey>\x1b[0m');
           break;
         }
-        const results = db.scan(parts[1], parts[2]);
+        db.deleteRange(parts[1], parts[2]);
+        console.log(`  \x1b[32mOK\x1b[0m`);
+        break;
+      }
+
+      case 'expire': {
+        const seconds = Number(parts[2]);
+        if (parts.length < 3 || !(seconds > 0)) {
+          console.log('\x1b[31m  Usage: expire <key> <seconds>\x1b[0m');
+          break;
+        }
+        if (db.expire(parts[1], seconds * 1000)) {
+          console.log(`  \x1b[32mOK\x1b[0m \x1b[90m(expires in ${seconds}s)\x1b[0m`);
+        } else {
+          console.log(`  \x1b[90m(not found)\x1b[0m`);
+        }
+        break;
+      }
+
+      case 'scan': {
+        // Only the tokens after the two keys are options, so a key may be 'desc'
+        let limit;
+        let reverse = false;
+        let valid = parts.length >= 3;
+        for (const option of parts.slice(3)) {
+          if (option === 'desc' && !reverse) {
+            reverse = true;
+          } else if (/^[1-9]\d*$/.test(option) && limit === undefined && !reverse) {
+            limit = Number(option);
+          } else {
+            valid = false;
+          }
+        }
+        if (!valid) {
+          console.log('\x1b[31m  Usage: scan <startKey> <endKey> [limit] [desc]\x1b[0m');
+          break;
+        }
+        const results = db.scan(parts[1], parts[2], { limit, reverse });
+        if (results.length === 0) {
+          console.log(`  \x1b[90m(no results)\x1b[0m`);
+        } else {
+          for (const { key, value } of results) {
+            console.log(`  \x1b[33m${key}\x1b[0m = \x1b[32m${value}\x1b[0m`);
+          }
+          console.log(`  \x1b[90m(${results.length} result(s))\x1b[0m`);
+        }
+        break;
+      }
+
+      case 'prefix': {
+        if (parts.length < 2) {
+          console.log('\x1b[31m  Usage: prefix <prefix> [limit]\x1b[0m');
+          break;
+        }
+        const limit = parseInt(parts[2], 10);
+        const results = db.scanPrefix(parts[1], { limit: limit > 0 ? limit : undefined });
         if (results.length === 0) {
           console.log(`  \x1b[90m(no results)\x1b[0m`);
         } else {
@@ -144,6 +256,20 @@ rl.on('line', (line) => {
         break;
       }
 
+      case 'verify': {
+        printVerify(parts[1] === 'repair');
+        break;
+      }
+
+      case 'gc': {
+        const r = db.gcBlobs();
+        console.log(
+          `  \x1b[32mDeleted ${r.deletedFiles} blob file(s), relocated ${r.relocatedValues} value(s) ` +
+          `in ${r.rewrittenTables} table(s), reclaimed ${formatBytes(r.reclaimedBytes)}\x1b[0m`
+        );
+        break;
+      }
+
       case 'help': {
         printHelp();
         break;
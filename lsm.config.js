@@ -10,26 +10,167 @@ export const DATA_DIR = join(process.cwd(), 'data');
 /** Flush the MemTable to an SSTable when it exceeds this byte size */
 export const MEMTABLE_SIZE_THRESHOLD = 64 * 1024; // 64 KB
 
-/** Number of bits in the Bloom filter bit-array */
+/**
+ * Full MemTables are frozen and flushed in the background; a write that
+ * would leave more than this many waiting flushes the oldest itself.
+ */
+export const MAX_IMMUTABLE_MEMTABLES = 2;
+
+/**
+ * WAL durability mode:
+ *   'always' — fsync after every record (safest, slowest)
+ *   'group'  — batch fsyncs every WAL_GROUP_COMMIT_MS / WAL_GROUP_COMMIT_BYTES
+ *   'none'   — never fsync; rely on the OS to write back the page cache
+ */
+export const WAL_SYNC_MODE = 'group';
+
+/** Group commit: fsync at most this long after the first unsynced record */
+export const WAL_GROUP_COMMIT_MS = 10;
+
+/** Group commit: fsync immediately once this many bytes are unsynced */
+export const WAL_GROUP_COMMIT_BYTES = 256 * 1024; // 256 KB
+
+/** Bits of a Bloom filter built without a key count (`new BloomFilter()`) */
 export const BLOOM_FILTER_SIZE = 1024;
 
-/** Number of hash functions used by the Bloom filter */
+/** Hash functions of a Bloom filter built without a key count */
 export const BLOOM_HASH_COUNT = 7;
 
+/**
+ * Bloom filter bits per key in each SSTable — filters are sized from the
+ * table's key count. 10 bits gives ~1% false positives; each extra bit
+ * divides the rate by ~1.6 (see BloomFilter.bitsPerKeyFor).
+ */
+export const BLOOM_BITS_PER_KEY = 10;
+
 /** Maximum number of compaction levels */
 export const MAX_LEVELS = 5;
 
 /** When a level reaches this many SSTables, compact into the next level */
 export const SIZE_RATIO = 4;
 
-/** Build a sparse index entry every N keys inside an SSTable */
-export const SPARSE_INDEX_INTERVAL = 16;
+/**
+ * Compaction strategy:
+ *   'size-tiered' — once a level holds SIZE_RATIO tables, merge them all
+ *                   into one table at the next level
+ *   'leveled'     — keep every level ≥ 1 non-overlapping and within a byte
+ *                   budget, compacting one table at a time into the next
+ */
+export const COMPACTION_STRATEGY = 'size-tiered';
+
+/** Leveled: compact Level 0 into Level 1 once it holds this many tables */
+export const LEVEL0_COMPACTION_TRIGGER = 4;
+
+/** Leveled: byte budget of Level 1 */
+export const LEVEL1_MAX_BYTES = 256 * 1024; // 256 KB
+
+/** Leveled: each level's budget is this many times the one above */
+export const LEVEL_SIZE_MULTIPLIER = 10;
+
+/** Leveled: split compaction output into tables of about this size */
+export const TARGET_FILE_SIZE = 64 * 1024; // 64 KB
+
+/** Background compaction merges this many entries per step before yielding */
+export const COMPACTION_STEP_ENTRIES = 1000;
+
+/** Writes start paying for compaction steps once Level 0 holds this many tables */
+export const L0_SLOWDOWN_WRITES_TRIGGER = 8;
+
+/** Writes stall until compaction catches up once Level 0 holds this many tables */
+export const L0_STOP_WRITES_TRIGGER = 12;
+
+/** Target size of an SSTable data block — the unit read from disk */
+export const SSTABLE_BLOCK_SIZE = 4 * 1024; // 4 KB
+
+/**
+ * Every Nth key in an SSTable data block is stored in full (a restart
+ * point); the keys between store only the bytes that differ from the
+ * previous key.
+ */
+export const SSTABLE_RESTART_INTERVAL = 16;
+
+/** Block codec for new SSTables: 'none', 'deflate' or 'brotli' (node:zlib) */
+export const SSTABLE_COMPRESSION = 'none';
+
+/** Largest key accepted by put / delete, in bytes */
+export const MAX_KEY_SIZE = 1024 * 1024; // 1 MB
 
-/** Tombstone marker for deleted keys */
-export const TOMBSTONE = '__TOMBSTONE__';
+/** Largest value accepted by put, in bytes */
+export const MAX_VALUE_SIZE = 256 * 1024 * 1024; // 256 MB
+
+/**
+ * Values of at least this many bytes are moved out of the SSTables
+ * into blob files when flushed, so compaction no longer rewrites them
+ * (Infinity disables key-value separation).
+ */
+export const BLOB_THRESHOLD = 4 * 1024; // 4 KB
+
+/** Start a new blob file once the current one passes this size */
+export const BLOB_FILE_SIZE = 16 * 1024 * 1024; // 16 MB
+
+/**
+ * Blob GC relocates the live values of a blob file once at least this
+ * fraction of it is garbage (values no SSTable points at any more).
+ */
+export const BLOB_GC_RATIO = 0.5;
+
+/** Capacity of the process-wide LRU cache of SSTable data blocks */
+export const BLOCK_CACHE_SIZE = 8 * 1024 * 1024; // 8 MB
+
+/**
+ * Keys are treated as hierarchical paths split on this delimiter
+ * ("user:00042:email"); each SSTable keeps a Bloom filter of the
+ * delimiter-terminated prefixes so prefix scans can skip tables.
+ */
+export const PREFIX_DELIMITER = ':';
+
+/** Default page size for paginated range scans (`scanPage`, `/api/scan`) */
+export const SCAN_PAGE_SIZE = 100;
+
+/** Largest page a client may request from `/api/scan` */
+export const SCAN_MAX_PAGE_SIZE = 1000;
+
+/**
+ * Value that marked a deleted key in SSTables before v13; newer tables
+ * flag tombstones in the entry type, so any value can be stored.
+ */
+export const LEGACY_TOMBSTONE = '__TOMBSTONE__';
 
 /** SSTable file magic bytes (ASCII "LSMT") */
 export const SSTABLE_MAGIC = 0x4c534d54;
 
-/** SSTable format version */
-export const SSTABLE_VERSION = 1;
+/**
+ * SSTable format version written by this build
+ * (2 = entries carry sequence numbers, 3 = block index with block sizes,
+ *  4 = per-block compression, 5 = prefix-compressed keys with restart points,
+ *  6 = block and metadata checksums, 7 = varint lengths and 64-bit offsets,
+ *  8 = per-entry type byte marking blob pointers,
+ *  9 = Bloom filters sized per table, with their key count,
+ *  10 = properties block with key range and tombstone count,
+ *  11 = range tombstones in the properties block,
+ *  12 = entry type flag marking entries with an expiry time,
+ *  13 = entry type flag marking tombstones, filters over key bytes,
+ *  14 = comparator name in the properties block)
+ */
+export const SSTABLE_VERSION = 14;
+
+/** MANIFEST file magic bytes (ASCII "LSMF") */
+export const MANIFEST_MAGIC = 0x4c534d46;
+
+/** MANIFEST format version */
+export const MANIFEST_VERSION = 1;
+
+/** Rewrite the MANIFEST as a single snapshot edit once it grows past this */
+export const MANIFEST_MAX_BYTES = 1024 * 1024; // 1 MB
+
+/** Blob file magic bytes (ASCII "LSMB") */
+export const BLOB_MAGIC = 0x4c534d42;
+
+/** Blob file format version */
+export const BLOB_VERSION = 1;
+
+/** WAL file magic bytes (ASCII "LSMW") */
+export const WAL_MAGIC = 0x4c534d57;
+
+/** WAL record format version (2 = records carry sequence numbers, 3 = and expiry times) */
+export const WAL_VERSION = 3;
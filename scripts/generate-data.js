@@ -70,13 +70,15 @@ for (let i = 0; i < count; i++) {
   const first = pick(firstNames);
   const last = pick(lastNames);
 
-  // User profile
-  db.put(`user:${id}:name`, `${first} ${last}`);
-  db.put(`user:${id}:email`, `${first.toLowerCase()}.${last.toLowerCase()}@example.com`);
-  db.put(`user:${id}:age`, String(randInt(18, 65)));
-  db.put(`user:${id}:city`, pick(cities));
-  db.put(`user:${id}:dept`, pick(departments));
-  db.put(`user:${id}:score`, String(randInt(50, 100)));
+  // User profile (written atomically)
+  db.batch()
+    .put(`user:${id}:name`, `${first} ${last}`)
+    .put(`user:${id}:email`, `${first.toLowerCase()}.${last.toLowerCase()}@example.com`)
+    .put(`user:${id}:age`, String(randInt(18, 65)))
+    .put(`user:${id}:city`, pick(cities))
+    .put(`user:${id}:dept`, pick(departments))
+    .put(`user:${id}:score`, String(randInt(50, 100)))
+    .commit();
 
   // A few deletes to produce tombstones
   if (i > 10 && Math.random() < 0.05) {
@@ -0,0 +1,326 @@
+/**
+ * BlobStore — append-only files holding large values apart from the
+ * SSTables (WiscKey-style key-value separation).
+ *
+ * When a MemTable is flushed, every value of at least BLOB_THRESHOLD
+ * bytes is appended to the current blob file and the SSTable stores a
+ * short pointer to it instead. Compaction then merges and rewrites only
+ * keys and pointers; the large values stay where they were written.
+ *
+ * A pointer is the string `<file number>:<offset>:<length>` naming one
+ * record. SSTable entries mark it with a blob flag, so it can never be
+ * mistaken for a user value.
+ *
+ * Binary format:
+ * ┌───────────────────────────────────────────────┐
+ * │ File Header: magic(4B) | version(1B)          │
+ * ├───────────────────────────────────────────────┤
+ * │ Record: repeated                              │
+ * │   crc32(4B) | keyLen(4B) | valueLen(4B)       │
+ * │   key | value                                 │
+ * └───────────────────────────────────────────────┘
+ *
+ * The CRC32 covers everything after it, so a damaged record is reported
+ * instead of returned. The key is kept so a record can be matched to the
+ * entry that points at it. Keys and values are byte strings (see
+ * Encoding), written byte for byte.
+ *
+ * Files are never modified once rotated: space held by overwritten or
+ * deleted values is reclaimed by the blob GC pass (`LSMTree#gcBlobs`),
+ * which relocates the live values of mostly-garbage files and deletes
+ * files nothing points at any more. An open iterator pins the files that
+ * existed when it was opened, so a file it may still follow a pointer
+ * into is only deleted once the iterator is closed.
+ */
+
+import {
+  existsSync,
+  readdirSync,
+  openSync,
+  readSync,
+  writeSync,
+  fsyncSync,
+  closeSync,
+  statSync,
+  unlinkSync,
+} from 'node:fs';
+import { join } from 'node:path';
+import { crc32 } from 'node:zlib';
+import { BLOB_MAGIC, BLOB_VERSION, BLOB_FILE_SIZE } from '../lsm.config.js';
+
+const HEADER_SIZE = 5;
+const RECORD_HEADER_SIZE = 12;
+
+/**
+ * Releases the files pinned by iterators that were dropped without being
+ * closed.
+ */
+const abandonedPins = new FinalizationRegistry(({ store, numbers }) => store._unpinFiles(numbers));
+
+export default class BlobStore {
+  /**
+   * @param {string} dataDir – directory holding the blob files
+   * @param {object} [options]
+   * @param {number} [options.fileSize] – start a new blob file past this size
+   */
+  constructor(dataDir, { fileSize = BLOB_FILE_SIZE } = {}) {
+    this.dataDir = dataDir;
+    this.fileSize = fileSize;
+
+    /**
+     * Every blob file, by number, with its size in bytes.
+     * @type {Map<number, { path: string, size: number }>}
+     */
+    this.files = new Map();
+    for (const { number, path } of BlobStore.listFiles(dataDir)) {
+      this.files.set(number, { path, size: statSync(path).size });
+    }
+
+    /** Number of the file being appended to (0 = none opened yet) */
+    this.activeNumber = 0;
+    this._activeFd = null;
+    this._lastNumber = Math.max(0, ...this.files.keys());
+
+    /** @type {Map<number, number>} read descriptors, opened on demand */
+    this._readFds = new Map();
+
+    /** @type {WeakMap<object, number[]>} files pinned by each owner */
+    this._pins = new WeakMap();
+    /** @type {Map<number, number>} pin count of each pinned file */
+    this._refs = new Map();
+    /** @type {Map<number, string>} removed files still pinned, by number */
+    this._retired = new Map();
+  }
+
+  /**
+   * Path of blob file `number`.
+   * @param {string} dir
+   * @param {number} number
+   * @returns {string}
+   */
+  static filePath(dir, number) {
+    return join(dir, `blob-${String(number).padStart(6, '0')}.blob`);
+  }
+
+  /**
+   * List the blob files in `dir`, oldest first.
+   * @param {string} dir
+   * @returns {{ number: number, path: string }[]}
+   */
+  static listFiles(dir) {
+    if (!existsSync(dir)) return [];
+    const files = [];
+    for (const file of readdirSync(dir)) {
+      const match = file.match(/^blob-(\d+)\.blob$/);
+      if (match) files.push({ number: parseInt(match[1], 10), path: join(dir, file) });
+    }
+    return files.sort((a, b) => a.number - b.number);
+  }
+
+  /**
+   * Split a pointer into its parts.
+   * @param {string} pointer
+   * @returns {{ file: number, offset: number, length: number }}
+   */
+  static parsePointer(pointer) {
+    const [file, offset, length] = pointer.split(':').map(Number);
+    return { file, offset, length };
+  }
+
+  /**
+   * Append a value to the current blob file. It is not durable until
+   * `sync()`.
+   * @param {string} key
+   * @param {string} value
+   * @returns {string} pointer to the record
+   */
+  append(key, value) {
+    if (this._activeFd === null || this.files.get(this.activeNumber).size >= this.fileSize) {
+      this._rotate();
+    }
+
+    const keyBuf = Buffer.from(key, 'latin1');
+    const valBuf = Buffer.from(value, 'latin1');
+    const record = Buffer.concat([Buffer.alloc(RECORD_HEADER_SIZE), keyBuf, valBuf]);
+    record.writeUInt32LE(keyBuf.length, 4);
+    record.writeUInt32LE(valBuf.length, 8);
+    record.writeUInt32LE(crc32(record.subarray(4)), 0);
+
+    const active = this.files.get(this.activeNumber);
+    const offset = active.size;
+    writeSync(this._activeFd, record);
+    active.size += record.length;
+    return `${this.activeNumber}:${offset}:${record.length}`;
+  }
+
+  /** Make every appended value durable. */
+  sync() {
+    if (this._activeFd !== null) fsyncSync(this._activeFd);
+  }
+
+  /**
+   * Read the value a pointer names.
+   * @param {string} pointer
+   * @returns {string}
+   */
+  read(pointer) {
+    const { file, offset, length } = BlobStore.parsePointer(pointer);
+    const fd = this._readFd(file);
+    const buf = Buffer.allocUnsafe(length);
+    let done = 0;
+    while (done < length) {
+      const n = readSync(fd, buf, done, length - done, offset + done);
+      if (n === 0) break;
+      done += n;
+    }
+
+    const path = BlobStore.filePath(this.dataDir, file);
+    if (done < length || length < RECORD_HEADER_SIZE || crc32(buf.subarray(4)) !== buf.readUInt32LE(0)) {
+      throw new Error(`Corrupt blob record at ${offset} in ${path}`);
+    }
+    const keyLen = buf.readUInt32LE(4);
+    const valLen = buf.readUInt32LE(8);
+    if (RECORD_HEADER_SIZE + keyLen + valLen !== length) {
+      throw new Error(`Corrupt blob record at ${offset} in ${path}`);
+    }
+    return buf.toString('latin1', RECORD_HEADER_SIZE + keyLen, length);
+  }
+
+  /**
+   * Keep every current blob file on disk until `unpin(owner)`, or until
+   * `owner` is garbage-collected, even if it is removed meanwhile.
+   * @param {object} owner – e.g. an iterator
+   */
+  pin(owner) {
+    const numbers = [...this.files.keys()];
+    for (const number of numbers) this._refs.set(number, (this._refs.get(number) ?? 0) + 1);
+    this._pins.set(owner, numbers);
+    abandonedPins.register(owner, { store: this, numbers }, owner);
+  }
+
+  /**
+   * Release the files pinned for `owner`, deleting removed ones nothing
+   * else pins. Does nothing if `owner` holds no pin.
+   * @param {object} owner
+   */
+  unpin(owner) {
+    const numbers = this._pins.get(owner);
+    if (numbers === undefined) return;
+    this._pins.delete(owner);
+    abandonedPins.unregister(owner);
+    this._unpinFiles(numbers);
+  }
+
+  /**
+   * Delete blob file `number` — its descriptor closed and the file
+   * unlinked now, or once the last iterator pinning it is closed.
+   * @param {number} number
+   */
+  remove(number) {
+    if (number === this.activeNumber) {
+      closeSync(this._activeFd);
+      this._activeFd = null;
+      this.activeNumber = 0;
+    }
+    const file = this.files.get(number);
+    if (!file) return;
+    this.files.delete(number);
+    this._retired.set(number, file.path);
+    if (!this._refs.has(number)) this._delete(number);
+  }
+
+  /**
+   * Blob file counts for stats().
+   * @returns {{ files: number, sizeBytes: number }}
+   */
+  stats() {
+    let sizeBytes = 0;
+    for (const { size } of this.files.values()) sizeBytes += size;
+    return { files: this.files.size, sizeBytes };
+  }
+
+  /** Release every file descriptor and delete the removed files. */
+  close() {
+    if (this._activeFd !== null) closeSync(this._activeFd);
+    this._activeFd = null;
+    this.activeNumber = 0;
+    for (const number of [...this._retired.keys()]) this._delete(number);
+    this._refs.clear();
+    for (const fd of this._readFds.values()) closeSync(fd);
+    this._readFds.clear();
+  }
+
+  /* ---- Internal helpers ----------------------------------------- */
+
+  /** Start a new blob file. Files from earlier runs are never appended to. */
+  _rotate() {
+    this.sync();
+    if (this._activeFd !== null) closeSync(this._activeFd);
+
+    // Never reuse a number, even one another handle on the directory
+    // took after this store listed it
+    let number;
+    let path;
+    for (;;) {
+      number = ++this._lastNumber;
+      path = BlobStore.filePath(this.dataDir, number);
+      try {
+        this._activeFd = openSync(path, 'wx');
+        break;
+      } catch (err) {
+        if (err.code !== 'EEXIST') throw err;
+      }
+    }
+    const header = Buffer.alloc(HEADER_SIZE);
+    header.writeUInt32LE(BLOB_MAGIC, 0);
+    header.writeUInt8(BLOB_VERSION, 4);
+    writeSync(this._activeFd, header);
+    this.activeNumber = number;
+    this.files.set(number, { path, size: HEADER_SIZE });
+  }
+
+  /**
+   * Drop one pin from each file, deleting removed files left unpinned.
+   * @param {number[]} numbers
+   */
+  _unpinFiles(numbers) {
+    for (const number of numbers) {
+      const refs = (this._refs.get(number) ?? 1) - 1;
+      if (refs > 0) {
+        this._refs.set(number, refs);
+        continue;
+      }
+      this._refs.delete(number);
+      if (this._retired.has(number)) this._delete(number);
+    }
+  }
+
+  /**
+   * Close and unlink removed file `number`.
+   * @param {number} number
+   */
+  _delete(number) {
+    const fd = this._readFds.get(number);
+    if (fd !== undefined) {
+      closeSync(fd);
+      this._readFds.delete(number);
+    }
+    try {
+      unlinkSync(this._retired.get(number));
+    } catch { /* already gone */ }
+    this._retired.delete(number);
+  }
+
+  /**
+   * @param {number} number
+   * @returns {number} a read descriptor for blob file `number`
+   */
+  _readFd(number) {
+    let fd = this._readFds.get(number);
+    if (fd === undefined) {
+      fd = openSync(BlobStore.filePath(this.dataDir, number), 'r');
+      this._readFds.set(number, fd);
+    }
+    return fd;
+  }
+}
@@ -0,0 +1,111 @@
+/**
+ * BlockCache — LRU cache of SSTable data blocks, bounded in bytes.
+ *
+ * One instance (`SSTableReader.blockCache`) is shared by every table in
+ * the process, so hot blocks stay in memory no matter which table or
+ * level they come from, and the total stays within one budget.
+ *
+ * A JavaScript Map iterates in insertion order, so re-inserting an entry
+ * on every hit keeps the least recently used entry first in line for
+ * eviction.
+ */
+
+/**
+ * Throw unless `capacityBytes` is a usable capacity: NaN or a negative
+ * number would silently turn eviction off.
+ * @param {number} capacityBytes
+ */
+function checkCapacity(capacityBytes) {
+  if (typeof capacityBytes !== 'number' || !(capacityBytes >= 0) || capacityBytes === Infinity) {
+    throw new Error(`Invalid block cache capacity: ${capacityBytes} (expected a non-negative number of bytes)`);
+  }
+}
+
+export default class BlockCache {
+  /**
+   * @param {number} capacityBytes – evict once cached blocks exceed this
+   */
+  constructor(capacityBytes) {
+    checkCapacity(capacityBytes);
+    this.capacityBytes = capacityBytes;
+    this.usedBytes = 0;
+    this.hits = 0;
+    this.misses = 0;
+    this.evictions = 0;
+    /** @type {Map<string, Buffer>} */
+    this._blocks = new Map();
+  }
+
+  /**
+   * Return the cached block for `key`, or load, cache and return it.
+   * @param {string} key
+   * @param {() => Buffer} load – reads the block on a miss
+   * @returns {Buffer}
+   */
+  fetch(key, load) {
+    const cached = this._blocks.get(key);
+    if (cached !== undefined) {
+      this.hits++;
+      this._blocks.delete(key);
+      this._blocks.set(key, cached);
+      return cached;
+    }
+
+    this.misses++;
+    const block = load();
+    // A block bigger than the whole cache would only evict everything else
+    if (block.length <= this.capacityBytes) {
+      this._blocks.set(key, block);
+      this.usedBytes += block.length;
+      this._evict();
+    }
+    return block;
+  }
+
+  /**
+   * Change the capacity, evicting as needed.
+   * @param {number} capacityBytes
+   */
+  resize(capacityBytes) {
+    checkCapacity(capacityBytes);
+    this.capacityBytes = capacityBytes;
+    this._evict();
+  }
+
+  /** Drop every cached block and reset the counters. */
+  clear() {
+    this._blocks.clear();
+    this.usedBytes = 0;
+    this.hits = 0;
+    this.misses = 0;
+    this.evictions = 0;
+  }
+
+  /**
+   * Counters for stats() and the dashboard.
+   * @returns {{ capacityBytes: number, usedBytes: number, blocks: number,
+   *             hits: number, misses: number, evictions: number, hitRate: number }}
+   */
+  stats() {
+    const lookups = this.hits + this.misses;
+    return {
+      capacityBytes: this.capacityBytes,
+      usedBytes: this.usedBytes,
+      blocks: this._blocks.size,
+      hits: this.hits,
+      misses: this.misses,
+      evictions: this.evictions,
+      hitRate: lookups === 0 ? 0 : this.hits / lookups,
+    };
+  }
+
+  /** Evict least recently used blocks until within capacity. */
+  _evict() {
+    for (const [key, block] of this._blocks) {
+      if (this.usedBytes <= this.capacityBytes) break;
+      this._blocks.delete(key);
+      this.usedBytes -= block.length;
+      this.evictions++;
+    }
+  }
+}
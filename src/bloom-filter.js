@@ -6,31 +6,135 @@
  * a configurable false-positive rate).
  *
  * Used to avoid unnecessary disk reads when looking up keys in SSTables.
+ *
+ * SSTables size each filter from the number of keys it will hold
+ * (`BloomFilter.forKeys`): with b bits per key and the optimal
+ * k = b · ln 2 hash functions the false-positive rate is about
+ * 0.6185^b — 10 bits per key gives ~1%.
+ *
+ * Bit positions come from double hashing, h1 + i · h2, over two 32-bit
+ * hashes of the key. Legacy filters (SSTables before v9) used one
+ * seeded FNV-1a hash per function instead, whose outputs are strongly
+ * correlated; they are still read, with their own hashing.
  */
 
-import { BLOOM_FILTER_SIZE, BLOOM_HASH_COUNT } from '../lsm.config.js';
+import { BLOOM_FILTER_SIZE, BLOOM_HASH_COUNT, BLOOM_BITS_PER_KEY } from '../lsm.config.js';
+
+/** Serialized header size: legacy [size][hashCount], current adds [keyCount] */
+const LEGACY_HEADER_SIZE = 5;
+const HEADER_SIZE = 9;
+
+/** Smallest filter forKeys builds, so tiny tables still filter */
+const MIN_SIZE = 64;
 
 export default class BloomFilter {
   /**
    * @param {number} [size]      — number of bits
    * @param {number} [hashCount] — number of hash functions
+   * @param {object} [options]
+   * @param {boolean} [options.legacy] — use the pre-v9 hashing and layout
    */
-  constructor(size = BLOOM_FILTER_SIZE, hashCount = BLOOM_HASH_COUNT) {
+  constructor(size = BLOOM_FILTER_SIZE, hashCount = BLOOM_HASH_COUNT, { legacy = false } = {}) {
     this.size = size;
     this.hashCount = hashCount;
+    this.legacy = legacy;
+    /** Keys added so far (unknown — 0 — for a deserialized legacy filter) */
+    this.keyCount = 0;
+    this._h1 = 0;
+    this._h2 = 0;
     /** Bit array stored as a Uint8Array (size / 8 bytes) */
     this.bits = new Uint8Array(Math.ceil(size / 8));
   }
 
+  /**
+   * A filter sized for `keyCount` keys.
+   * @param {number} keyCount
+   * @param {object} [options]
+   * @param {number} [options.bitsPerKey] — default BLOOM_BITS_PER_KEY
+   * @returns {BloomFilter}
+   */
+  static forKeys(keyCount, { bitsPerKey = BLOOM_BITS_PER_KEY } = {}) {
+    BloomFilter.assertBitsPerKey(bitsPerKey);
+    const size = Math.max(MIN_SIZE, Math.ceil(keyCount * bitsPerKey));
+    const hashCount = Math.min(30, Math.max(1, Math.round(bitsPerKey * Math.LN2)));
+    return new BloomFilter(size, hashCount);
+  }
+
+  /**
+   * Throw unless `bitsPerKey` is a usable filter density.
+   * @param {number} bitsPerKey
+   */
+  static assertBitsPerKey(bitsPerKey) {
+    if (!(bitsPerKey > 0 && bitsPerKey <= 64)) {
+      throw new Error(`Invalid Bloom filter bits per key: ${bitsPerKey} (expected 0 < bits <= 64)`);
+    }
+  }
+
+  /**
+   * Bits per key needed for a target false-positive rate.
+   * @param {number} falsePositiveRate – between 0 and 1, exclusive
+   * @returns {number}
+   */
+  static bitsPerKeyFor(falsePositiveRate) {
+    if (!(falsePositiveRate > 0 && falsePositiveRate < 1)) {
+      throw new Error(`Invalid Bloom filter false-positive rate: ${falsePositiveRate}`);
+    }
+    return -Math.log(falsePositiveRate) / (Math.LN2 * Math.LN2);
+  }
+
+  /** Bytes this filter takes serialized */
+  get serializedSize() {
+    return (this.legacy ? LEGACY_HEADER_SIZE : HEADER_SIZE) + this.bits.length;
+  }
+
+  /**
+   * Expected false-positive rate once `keyCount` keys are in the filter,
+   * (1 − e^(−k·n/m))^k.
+   * @param {number} [keyCount] — default: the keys added so far
+   * @returns {number}
+   */
+  estimatedFalsePositiveRate(keyCount = this.keyCount) {
+    return Math.pow(1 - Math.exp(-this.hashCount * keyCount / this.size), this.hashCount);
+  }
+
   /* ---- Hash helpers --------------------------------------------- */
 
   /**
-   * FNV-1a hash with a seed (used to create multiple independent hashes).
+   * Hash a key for `_bit`: sets the two base hashes of double hashing.
+   * @param {string} key
+   */
+  _hashKey(key) {
+    if (this.legacy) return;
+    // Two independent 32-bit hashes in one pass: FNV-1a and a
+    // MurmurHash2-style multiply, each finished with the murmur3 mixer
+    let h1 = 2166136261;
+    let h2 = 0x5bd1e995;
+    for (let i = 0; i < key.length; i++) {
+      const c = key.charCodeAt(i);
+      h1 = Math.imul(h1 ^ c, 16777619);
+      h2 = Math.imul(h2 ^ c, 0x5bd1e995) ^ (h2 >>> 15);
+    }
+    this._h1 = fmix32(h1);
+    this._h2 = (fmix32(h2) | 1) >>> 0; // odd, so the stride never sticks on one bit
+  }
+
+  /**
+   * Bit position of hash function `i` for the key last passed to `_hashKey`.
+   * @param {string} key
+   * @param {number} i
+   * @returns {number}
+   */
+  _bit(key, i) {
+    return this.legacy ? this._legacyHash(key, i) : (this._h1 + i * this._h2) % this.size;
+  }
+
+  /**
+   * FNV-1a hash with a seed (legacy filters: one per hash function).
    * @param {string} key
    * @param {number} seed
    * @returns {number}
    */
-  _hash(key, seed) {
+  _legacyHash(key, seed) {
     let hash = 2166136261 ^ seed;
     for (let i = 0; i < key.length; i++) {
       hash ^= key.charCodeAt(i);
@@ -46,12 +150,14 @@ export default class BloomFilter {
    * @param {string} key
    */
   add(key) {
+    this._hashKey(key);
     for (let i = 0; i < this.hashCount; i++) {
-      const bit = this._hash(key, i);
+      const bit = this._bit(key, i);
       const byteIndex = bit >>> 3;       // bit / 8
       const bitIndex = bit & 7;          // bit % 8
       this.bits[byteIndex] |= (1 << bitIndex);
     }
+    this.keyCount++;
   }
 
   /**
@@ -63,8 +169,9 @@ export default class BloomFilter {
    * @returns {boolean}
    */
   mightContain(key) {
+    this._hashKey(key);
     for (let i = 0; i < this.hashCount; i++) {
-      const bit = this._hash(key, i);
+      const bit = this._bit(key, i);
       const byteIndex = bit >>> 3;
       const bitIndex = bit & 7;
       if ((this.bits[byteIndex] & (1 << bitIndex)) === 0) {
@@ -78,29 +185,47 @@ export default class BloomFilter {
 
   /**
    * Serialize the bloom filter to a Buffer for embedding in SSTable files.
-   * Format: [size: 4B LE][hashCount: 1B][bits: remaining bytes]
+   * Format: [size: 4B LE][hashCount: 1B][keyCount: 4B LE][bits: remaining bytes]
+   * (legacy filters have no keyCount)
    *
    * @returns {Buffer}
    */
   serialize() {
-    const buf = Buffer.alloc(4 + 1 + this.bits.length);
+    const headerSize = this.legacy ? LEGACY_HEADER_SIZE : HEADER_SIZE;
+    const buf = Buffer.alloc(headerSize + this.bits.length);
     buf.writeUInt32LE(this.size, 0);
     buf.writeUInt8(this.hashCount, 4);
+    if (!this.legacy) buf.writeUInt32LE(this.keyCount, 5);
     Buffer.from(this.bits.buffer, this.bits.byteOffset, this.bits.byteLength)
-      .copy(buf, 5);
+      .copy(buf, headerSize);
     return buf;
   }
 
   /**
    * Deserialize a bloom filter from a Buffer.
    * @param {Buffer} buf
+   * @param {object} [options]
+   * @param {boolean} [options.legacy] — the filter was written before SSTable v9
    * @returns {BloomFilter}
    */
-  static deserialize(buf) {
+  static deserialize(buf, { legacy = false } = {}) {
     const size = buf.readUInt32LE(0);
     const hashCount = buf.readUInt8(4);
-    const bf = new BloomFilter(size, hashCount);
-    buf.copy(bf.bits, 0, 5);
+    const bf = new BloomFilter(size, hashCount, { legacy });
+    const headerSize = legacy ? LEGACY_HEADER_SIZE : HEADER_SIZE;
+    if (!legacy) bf.keyCount = buf.readUInt32LE(5);
+    buf.copy(bf.bits, 0, headerSize, headerSize + bf.bits.length);
     return bf;
   }
 }
+
+/**
+ * murmur3 32-bit finalizer — spreads every input bit over the output.
+ * @param {number} h
+ * @returns {number} unsigned 32-bit
+ */
+function fmix32(h) {
+  h = Math.imul(h ^ (h >>> 16), 0x85ebca6b);
+  h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+  return (h ^ (h >>> 16)) >>> 0;
+}
@@ -1,131 +1,554 @@
 /**
- * Compaction — Size-Tiered Compaction Strategy.
+ * Compaction — merges SSTables down the levels.
  *
- * When a level accumulates too many SSTables (≥ SIZE_RATIO), they
- * are merged into a single SSTable at the next level. During the
- * merge, duplicate keys are resolved (newest wins) and fully
- * shadowed tombstones are dropped.
+ * Two strategies ship, selected by COMPACTION_STRATEGY or the
+ * `strategy` option:
+ *
+ *   size-tiered — when a level accumulates SIZE_RATIO tables they are all
+ *                 merged into a single SSTable at the next level.
+ *   leveled     — Level 0 holds freshly flushed, overlapping tables; every
+ *                 level ≥ 1 is a set of non-overlapping tables within a
+ *                 byte budget. A level over budget compacts one table plus
+ *                 the tables it overlaps in the next level, so only one
+ *                 table per level ≥ 1 can hold any given key.
+ *
+ * A compaction is split into three phases so it can run off the write
+ * path: `pick` chooses a job, `execute` is a generator that merges and
+ * writes the output a slice at a time, and `install` returns a new
+ * levels map with the job's edit applied. Readers keep using the old map
+ * until the new one is swapped in. `run` drives all three synchronously.
+ *
+ * During a merge duplicate keys are resolved (newest wins) and fully
+ * shadowed tombstones are dropped. A value whose TTL has run out becomes
+ * a tombstone, so it is gone for good once that reaches the bottom.
+ * Older versions of a key survive a merge only while a live snapshot can
+ * still see them; everything else collapses to the newest version.
+ *
+ * Range tombstones in the inputs delete the older versions they cover
+ * (unless a snapshot still reads them) and are carried into the outputs,
+ * clipped to each output table's share of the key space. Once a range
+ * tombstone reaches the bottom — nothing older below it — and no
+ * snapshot predates it, it is dropped.
  */
 
 import { unlinkSync } from 'node:fs';
 import { join } from 'node:path';
 import { SSTableWriter, SSTableReader } from './sstable.js';
-import { TOMBSTONE, SIZE_RATIO, MAX_LEVELS } from '../lsm.config.js';
+import RangeTombstones from './range-tombstones.js';
+import Comparator from './comparator.js';
+import {
+  SIZE_RATIO,
+  MAX_LEVELS,
+  COMPACTION_STRATEGY,
+  COMPACTION_STEP_ENTRIES,
+  LEVEL0_COMPACTION_TRIGGER,
+  LEVEL1_MAX_BYTES,
+  LEVEL_SIZE_MULTIPLIER,
+  TARGET_FILE_SIZE,
+} from '../lsm.config.js';
+
+/**
+ * Key order of a set of tables — one engine's tables share a comparator.
+ * @param {SSTableReader[]} readers
+ */
+const comparatorOf = readers => readers[0]?.comparator ?? Comparator.bytewise;
+
+/** Number of the last table name handed out or seen on disk (see tablePath) */
+let lastTableNumber = 0;
+
+/**
+ * @typedef {{ path: string, reader: SSTableReader }} Table
+ *
+ * @typedef {object} CompactionJob
+ * @property {number} level         – level the inputs come from
+ * @property {Table[]} inputs       – tables taken from `level`, newest first
+ * @property {Table[]} overlapping  – tables taken from `level + 1`, newest first
+ * @property {boolean} splitOutput  – cut the output into TARGET_FILE_SIZE tables
+ *
+ * @typedef {object} VersionEdit
+ * @property {Table[]} removed                         – tables to drop
+ * @property {{ level: number, table: Table }[]} added – tables to add, newest first
+ */
 
 export default class Compaction {
   /**
-   * Check each level and compact if the SSTable count exceeds SIZE_RATIO.
+   * Compaction strategies by name. Each picks the next job for a
+   * levels map, or returns null when nothing is due; register another
+   * here to plug it in.
+   */
+  static strategies = {
+    'size-tiered': levels => Compaction.pickSizeTiered(levels),
+    leveled: levels => Compaction.pickLeveled(levels),
+  };
+
+  /**
+   * Run the configured compaction strategy to completion.
    *
-   * @param {Map<number, { path: string, reader: SSTableReader }[]>} levels
+   * @param {Map<number, Table[]>} levels
    *        Map of level → array of SSTable metadata objects.
    * @param {string} dataDir
-   * @returns {Map<number, { path: string, reader: SSTableReader }[]>}
-   *          Updated levels map after compaction.
+   * @param {object} [options]
+   * @param {string} [options.strategy]    – strategy name (default: COMPACTION_STRATEGY)
+   * @param {number[]} [options.snapshots] – sequence numbers of live snapshots
+   * @param {string} [options.compression]  – block codec for the output tables
+   * @param {number} [options.bloomBitsPerKey] – Bloom filter bits per key of the output tables
+   * @param {import('./comparator.js').KeyComparator} [options.comparator] – key order of the tables
+   * @param {(edit: VersionEdit) => void} [options.logEdit]
+   *        commits each edit durably (the MANIFEST) before it is installed
+   * @returns {Map<number, Table[]>} Updated levels map after compaction.
    */
-  static run(levels, dataDir) {
+  static run(levels, dataDir, options = {}) {
+    const strategy = options.strategy ?? COMPACTION_STRATEGY;
+    Compaction.assertStrategy(strategy);
+
+    let current = levels;
+    for (let job = Compaction.pick(current, strategy); job !== null; job = Compaction.pick(current, strategy)) {
+      const steps = Compaction.execute(current, job, dataDir, options.snapshots, {
+        compression: options.compression,
+        bloomBitsPerKey: options.bloomBitsPerKey,
+        comparator: options.comparator,
+      });
+      let step = steps.next();
+      while (!step.done) step = steps.next();
+
+      options.logEdit?.(step.value);
+      current = Compaction.install(current, step.value);
+      Compaction.removeFiles(step.value.removed);
+    }
+
+    return current;
+  }
+
+  /**
+   * Throw if no strategy is registered under `name`.
+   * @param {string} name
+   */
+  static assertStrategy(name) {
+    if (!Object.hasOwn(Compaction.strategies, name)) {
+      throw new Error(
+        `Unknown compaction strategy "${name}" (expected ${Object.keys(Compaction.strategies).join(', ')})`
+      );
+    }
+  }
+
+  /**
+   * Choose the next compaction job, or null if none is due.
+   * @param {Map<number, Table[]>} levels
+   * @param {string} [strategy]
+   * @returns {CompactionJob|null}
+   */
+  static pick(levels, strategy = COMPACTION_STRATEGY) {
+    Compaction.assertStrategy(strategy);
+    return Compaction.strategies[strategy](levels);
+  }
+
+  /**
+   * Path for a new table at `level`. Names embed a number that orders
+   * tables by age: the current timestamp, bumped past every name handed
+   * out or seen on disk (see `reserveTableName`), so neither two tables
+   * written in the same millisecond nor a clock that moved backwards
+   * between runs can reuse a name.
+   * @param {string} dataDir
+   * @param {number} level
+   * @returns {string}
+   */
+  static tablePath(dataDir, level) {
+    lastTableNumber = Math.max(Date.now(), lastTableNumber + 1);
+    return join(dataDir, `L${level}_${lastTableNumber}.sst`);
+  }
+
+  /**
+   * Make sure `tablePath` never hands out a name numbered at or below
+   * that of the existing table file `name`.
+   * @param {string} name – e.g. "L1_1718000000000.sst"
+   */
+  static reserveTableName(name) {
+    const match = name.match(/^L\d+_(\d+)\.sst$/);
+    if (match) lastTableNumber = Math.max(lastTableNumber, parseInt(match[1], 10));
+  }
+
+  /* ================================================================ */
+  /*  Size-tiered                                                      */
+  /* ================================================================ */
+
+  /**
+   * Pick the first level holding SIZE_RATIO or more tables; all of
+   * them merge into one table at the next level.
+   * @param {Map<number, Table[]>} levels
+   * @returns {CompactionJob|null}
+   */
+  static pickSizeTiered(levels) {
     for (let lvl = 0; lvl < MAX_LEVELS - 1; lvl++) {
       const tables = levels.get(lvl) || [];
+      if (tables.length >= SIZE_RATIO) {
+        return { level: lvl, inputs: [...tables], overlapping: [], splitOutput: false };
+      }
+    }
+    return null;
+  }
+
+  /* ================================================================ */
+  /*  Leveled                                                          */
+  /* ================================================================ */
 
-      if (tables.length < SIZE_RATIO) continue;
+  /**
+   * Byte budget of a level ≥ 1.
+   * @param {number} level
+   * @returns {number}
+   */
+  static maxBytesForLevel(level) {
+    return LEVEL1_MAX_BYTES * LEVEL_SIZE_MULTIPLIER ** (level - 1);
+  }
 
-      // ---- Gather all entries from this level ----
-      const allEntries = Compaction._kWayMerge(tables.map(t => t.reader));
+  /**
+   * Pick a job that brings Level 0 below LEVEL0_COMPACTION_TRIGGER or a
+   * level ≥ 1 back within its byte budget.
+   *
+   * Level 0 tables overlap each other, so they all go down together.
+   * For deeper levels the table holding the oldest data is chosen. The
+   * pick is then widened to the tables in its own level that overlap it
+   * (none, unless the level was written by the size-tiered strategy) and
+   * to every next-level table that overlaps the inputs.
+   *
+   * @param {Map<number, Table[]>} levels
+   * @returns {CompactionJob|null}
+   */
+  static pickLeveled(levels) {
+    let level = -1;
+    let seed = [];
 
-      // ---- Determine if there are older levels below ----
-      let hasOlderLevels = false;
-      for (let older = lvl + 1; older < MAX_LEVELS; older++) {
-        if ((levels.get(older) || []).length > 0) {
-          hasOlderLevels = true;
+    const l0 = levels.get(0) || [];
+    if (l0.length >= LEVEL0_COMPACTION_TRIGGER) {
+      level = 0;
+      seed = l0;
+    } else {
+      for (let lvl = 1; lvl < MAX_LEVELS - 1; lvl++) {
+        const tables = levels.get(lvl) || [];
+        const bytes = tables.reduce((sum, t) => sum + t.reader.fileSize, 0);
+        if (bytes > Compaction.maxBytesForLevel(lvl)) {
+          level = lvl;
+          seed = [tables.reduce((oldest, t) => (t.reader.maxSeq < oldest.reader.maxSeq ? t : oldest))];
           break;
         }
       }
+    }
 
-      // Drop tombstones only when there's no older data that might still
-      // reference the key (i.e., this is the bottom-most level with data).
-      const merged = hasOlderLevels
-        ? allEntries
-        : allEntries.filter(e => e.value !== TOMBSTONE);
+    if (level === -1) return null;
 
-      // ---- Write merged SSTable to the next level ----
-      const nextLvl = lvl + 1;
-      const ts = Date.now();
-      const newPath = join(dataDir, `L${nextLvl}_${ts}.sst`);
+    const current = levels.get(level) || [];
+    const next = levels.get(level + 1) || [];
+    const inputs = Compaction._closeOver(new Set(seed), current, new Set());
+    const overlapping = Compaction._closeOver(new Set(), next, inputs);
+
+    // Keep the newest-first order of each level
+    return {
+      level,
+      inputs: current.filter(t => inputs.has(t)),
+      overlapping: next.filter(t => overlapping.has(t)),
+      splitOutput: true,
+    };
+  }
 
-      if (merged.length > 0) {
-        SSTableWriter.write(merged, newPath);
+  /**
+   * Add tables from `candidates` to `picked` until none of the rest
+   * touches the key range of `picked` plus `fixed`.
+   * @param {Set<Table>} picked
+   * @param {Table[]} candidates
+   * @param {Set<Table>} fixed
+   * @returns {Set<Table>} picked
+   */
+  static _closeOver(picked, candidates, fixed) {
+    let grew = true;
+    while (grew) {
+      grew = false;
+      const range = Compaction._keyRange([...picked, ...fixed]);
+      for (const t of candidates) {
+        if (!picked.has(t) && Compaction._overlaps(t, range)) {
+          picked.add(t);
+          grew = true;
+        }
       }
+    }
+    return picked;
+  }
+
+  /* ================================================================ */
+  /*  Executing & installing a job                                     */
+  /* ================================================================ */
 
-      // ---- Remove old SSTables from disk ----
-      for (const table of tables) {
-        try {
-          unlinkSync(table.path);
-        } catch { /* file may already be gone */ }
+  /**
+   * Merge a job's tables into the next level, yielding after every
+   * COMPACTION_STEP_ENTRIES entries so the caller can spread the work
+   * out. Returns (as the generator's final value) the edit to install.
+   *
+   * @param {Map<number, Table[]>} levels – table set the job was picked from
+   * @param {CompactionJob} job
+   * @param {string} dataDir
+   * @param {number[]} [snapshots] – live snapshot sequence numbers
+   * @param {{ compression?: string, bloomBitsPerKey?: number, comparator?: object }} [writeOptions]
+   *        – passed to SSTableWriter.write
+   * @returns {Generator<void, VersionEdit>}
+   */
+  static *execute(levels, job, dataDir, snapshots = [], writeOptions = {}) {
+    const outputLevel = job.level + 1;
+    const all = [...job.inputs, ...job.overlapping];
+
+    // Tombstones can go once nothing older outside the job holds the key range
+    const range = Compaction._keyRange(all);
+    const taken = new Set(all);
+    let hasOlderData = false;
+    for (let older = outputLevel; older < MAX_LEVELS && !hasOlderData; older++) {
+      hasOlderData = (levels.get(older) || []).some(t => !taken.has(t) && Compaction._overlaps(t, range));
+    }
+
+    // Inputs are newer than the next-level tables, so they come first
+    const readers = all.map(t => t.reader);
+    const merged = Compaction._expire(Compaction._merge(readers, snapshots), Date.now());
+    const entries = Compaction._retain(merged, snapshots, !hasOlderData);
+
+    // Range tombstones at the bottom go once no snapshot predates them
+    const comparator = writeOptions.comparator ?? comparatorOf(readers);
+    const rangeTombstones = new RangeTombstones(
+      [...RangeTombstones.merge(readers.map(r => r.rangeTombstones))]
+        .filter(t => hasOlderData || snapshots.some(s => s < t.seq)),
+      comparator,
+    );
+
+    const outputs = [];
+    let chunk = [];
+    let bytes = 0;
+    let processed = 0;
+    let lower; // where the current output's share of the range tombstones starts
+
+    // Each output keeps the part of the range tombstones up to `upper`
+    // (the next output's first key), so outputs never overlap
+    const writeChunk = (upper) => {
+      const path = Compaction.tablePath(dataDir, outputLevel);
+      SSTableWriter.write(chunk, path, { ...writeOptions, comparator, rangeTombstones: rangeTombstones.clip(lower, upper) });
+      outputs.push({ level: outputLevel, table: { path, reader: SSTableReader.open(path, { comparator }) } });
+      chunk = [];
+      bytes = 0;
+      lower = upper;
+    };
+
+    for (const entry of entries) {
+      // Split only between keys so levels ≥ 1 stay non-overlapping
+      if (job.splitOutput && bytes >= TARGET_FILE_SIZE && chunk[chunk.length - 1].key !== entry.key) {
+        writeChunk(entry.key);
       }
+      chunk.push(entry);
+      bytes += entry.key.length + entry.value.length;
+
+      if (++processed % COMPACTION_STEP_ENTRIES === 0) yield;
+    }
+    if (chunk.length > 0 || rangeTombstones.size > 0) writeChunk(undefined);
+
+    return { removed: all, added: outputs };
+  }
+
+  /**
+   * Apply an edit, returning a new levels map. The old map (and its
+   * arrays) are left untouched for readers still using them. Added
+   * tables go to the front of their level, i.e. become the newest.
+   *
+   * @param {Map<number, Table[]>} levels
+   * @param {VersionEdit} edit
+   * @returns {Map<number, Table[]>}
+   */
+  static install(levels, { removed = [], added = [] }) {
+    const gone = new Set(removed);
+    const next = new Map();
+    for (const [lvl, tables] of levels) {
+      next.set(lvl, tables.filter(t => !gone.has(t)));
+    }
+
+    const byLevel = new Map();
+    for (const { level, table } of added) {
+      if (!byLevel.has(level)) byLevel.set(level, []);
+      byLevel.get(level).push(table);
+    }
+    for (const [lvl, tables] of byLevel) {
+      next.set(lvl, [...tables, ...(next.get(lvl) || [])]);
+    }
+
+    return next;
+  }
+
+  /**
+   * Delete the files of compacted tables and retire their readers: each
+   * closes now, or when the last iterator still reading it is done.
+   * @param {Table[]} tables
+   */
+  static removeFiles(tables) {
+    for (const table of tables) {
+      try {
+        unlinkSync(table.path);
+      } catch { /* file may already be gone */ }
+      table.reader.retire();
+    }
+  }
+
+  /**
+   * Smallest and largest key across tables.
+   * @returns {{ smallest: string|null, largest: string|null }}
+   */
+  static _keyRange(tables) {
+    const { compare } = comparatorOf(tables.map(t => t.reader));
+    let smallest = null;
+    let largest = null;
+    for (const { reader } of tables) {
+      if (reader.smallestKey === null) continue;
+      if (smallest === null || compare(reader.smallestKey, smallest) < 0) smallest = reader.smallestKey;
+      if (largest === null || compare(reader.largestKey, largest) > 0) largest = reader.largestKey;
+    }
+    return { smallest, largest };
+  }
+
+  /** True if a table's key range intersects `range`. */
+  static _overlaps(table, { smallest, largest }) {
+    return smallest !== null && table.reader.overlaps(smallest, largest);
+  }
+
+  /* ================================================================ */
+  /*  Merging                                                          */
+  /* ================================================================ */
+
+  /**
+   * Decide which versions of each key are still needed.
+   *
+   * The newest version of a key is always kept. An older version is
+   * kept only if some live snapshot reads it — i.e. a snapshot whose
+   * sequence number falls between that version and the next newer one.
+   * When `dropTombstones` is set (nothing older exists below), trailing
+   * tombstones hide nothing and are removed too.
+   *
+   * @param {{ key: string, value: string, seq: number }[]} entries
+   *        sorted by key, then seq descending
+   * @param {number[]} snapshots – live snapshot sequence numbers
+   * @param {boolean} dropTombstones
+   * @returns {{ key: string, value: string, seq: number }[]}
+   */
+  static retainVersions(entries, snapshots, dropTombstones) {
+    return Array.from(Compaction._retain(entries, snapshots, dropTombstones));
+  }
+
+  /**
+   * Streaming form of retainVersions over any sorted iterable.
+   * @param {Iterable<{ key: string, value: string, seq: number }>} entries
+   * @param {number[]} snapshots
+   * @param {boolean} dropTombstones
+   */
+  static *_retain(entries, snapshots, dropTombstones) {
+    let kept = [];
+    let newerSeq = 0;
 
-      // ---- Update level maps ----
-      levels.set(lvl, []);
+    function* finishKey() {
+      if (dropTombstones) {
+        while (kept.length > 0 && kept[kept.length - 1].tombstone) {
+          kept.pop();
+        }
+      }
+      yield* kept;
+    }
 
-      if (merged.length > 0) {
-        const nextTables = levels.get(nextLvl) || [];
-        nextTables.push({ path: newPath, reader: SSTableReader.open(newPath) });
-        levels.set(nextLvl, nextTables);
+    for (const entry of entries) {
+      if (kept.length === 0 || entry.key !== kept[0].key) {
+        yield* finishKey();
+        kept = [entry];
+      } else if (snapshots.some(s => s >= entry.seq && s < newerSeq)) {
+        kept.push(entry);
       }
+      newerSeq = entry.seq;
     }
 
-    return levels;
+    yield* finishKey();
+  }
+
+  /**
+   * Replace every version that expired by `now` with a tombstone. It
+   * must not simply vanish, or an older version would show through.
+   * @param {Iterable<{ key: string, value: string, seq: number, expiresAt?: number }>} entries
+   * @param {number} now – ms since the epoch
+   */
+  static *_expire(entries, now) {
+    for (const entry of entries) {
+      yield entry.expiresAt <= now ? { key: entry.key, value: '', seq: entry.seq, tombstone: true } : entry;
+    }
   }
 
   /**
    * K-way merge of sorted SSTable iterators.
-   * When the same key appears in multiple tables, the first occurrence
-   * wins (tables are ordered newest → oldest within a level, but within
-   * one level they're all the same "age" so we just keep the latest).
    *
-   * Since entries within each SSTable are already sorted, we do a
-   * standard merge-sort merge.
+   * Output is ordered by key, then by sequence number (newest first), so
+   * every surviving version of a key is carried over. When the exact same
+   * version appears in several tables (tables written before sequence
+   * numbers existed all use seq 0) the first — newest — table wins.
+   *
+   * Since entries within each SSTable are already sorted (by the tables'
+   * comparator), we do a standard merge-sort merge.
    *
-   * @param {SSTableReader[]} readers
-   * @returns {{ key: string, value: string }[]}
+   * A version covered by a newer range tombstone from any of the tables
+   * is left out, unless a live snapshot taken between the two reads it.
+   *
+   * @param {SSTableReader[]} readers – ordered newest → oldest
+   * @param {number[]} [snapshots] – live snapshot sequence numbers
+   * @returns {{ key: string, value: string, seq: number }[]}
+   */
+  static _kWayMerge(readers, snapshots = []) {
+    return Array.from(Compaction._merge(readers, snapshots));
+  }
+
+  /**
+   * Streaming form of _kWayMerge.
+   * @param {SSTableReader[]} readers – ordered newest → oldest
+   * @param {number[]} [snapshots]
    */
-  static _kWayMerge(readers) {
-    // Load all entry arrays
-    const iterators = readers.map(r => ({ entries: r.entries(), idx: 0 }));
+  static *_merge(readers, snapshots = []) {
+    const comparator = comparatorOf(readers);
+    const rangeTombstones = RangeTombstones.merge(readers.map(r => r.rangeTombstones), Infinity, comparator);
 
-    /** @type {{ key: string, value: string }[]} */
-    const merged = [];
+    // One streaming source per table; only the current block of each is in memory
+    const sources = readers.map(r => {
+      const versions = r.versions();
+      return { versions, current: versions.next() };
+    });
 
     // Simple multi-way merge using a min-pick loop
     while (true) {
-      let minKey = null;
-      let minVal = null;
-      let minSources = []; // indices of iterators sharing the minKey
-
-      for (let i = 0; i < iterators.length; i++) {
-        const it = iterators[i];
-        if (it.idx >= it.entries.length) continue;
-
-        const entry = it.entries[it.idx];
-
-        if (minKey === null || entry.key < minKey) {
-          minKey = entry.key;
-          minVal = entry.value;
-          minSources = [i];
-        } else if (entry.key === minKey) {
-          // Duplicate key — take the value from the newer SSTable (lower index)
-          minSources.push(i);
+      let min = null;
+      let minSources = []; // sources sharing the min version
+
+      for (const source of sources) {
+        if (source.current.done) continue;
+
+        const entry = source.current.value;
+        const cmp = min === null ? -1 : comparator.compare(entry.key, min.key);
+
+        if (cmp < 0 || (cmp === 0 && entry.seq > min.seq)) {
+          min = entry;
+          minSources = [source];
+        } else if (entry.key === min.key && entry.seq === min.seq) {
+          // Same version — keep the value from the newer SSTable (earlier source)
+          minSources.push(source);
         }
       }
 
-      if (minKey === null) break; // all iterators exhausted
+      if (min === null) break; // all iterators exhausted
 
-      merged.push({ key: minKey, value: minVal });
+      const deletedSeq = rangeTombstones.maxSeqCovering(min.key);
+      if (deletedSeq <= min.seq || snapshots.some(s => s >= min.seq && s < deletedSeq)) {
+        const entry = { key: min.key, value: min.value, seq: min.seq };
+        // Blob pointers stay pointers: the value itself is never rewritten
+        if (min.blob) entry.blob = true;
+        if (min.expiresAt > 0) entry.expiresAt = min.expiresAt;
+        if (min.tombstone) entry.tombstone = true;
+        yield entry;
+      }
 
-      // Advance all iterators that had the minKey
-      for (const i of minSources) {
-        iterators[i].idx++;
+      // Advance all sources that had the min version
+      for (const source of minSources) {
+        source.current = source.versions.next();
       }
     }
-
-    return merged;
   }
 }
@@ -0,0 +1,128 @@
+/**
+ * Comparator — the order of keys in the engine.
+ *
+ * Keys are byte strings (see encoding.js), and by default they order
+ * bytewise. A comparator replaces that order everywhere keys are sorted
+ * or bounded: the skip list, SSTable blocks and restarts, merges, range
+ * tombstones and iterator bounds.
+ *
+ *   'bytewise' — byte by byte, shorter first on a common prefix (the default)
+ *   'reverse'  — bytewise, descending
+ *   'numeric'  — runs of digits compare by value, so 'user:2' < 'user:10'
+ *
+ * A custom comparator is `{ name, compare(a, b) }`, where `compare` takes
+ * two byte strings and returns a negative, zero or positive number. It
+ * must be a total order that returns 0 only for identical keys — the
+ * engine treats equal keys as versions of one key.
+ *
+ * The name is written into the MANIFEST and every SSTable, and neither
+ * a database nor a table is read with another comparator than the one
+ * that sorted it: its keys would be searched in the wrong order. Reopen
+ * a database with the comparator it was created with — for a custom
+ * one, the same name.
+ */
+
+/** @typedef {{ name: string, compare: (a: string, b: string) => number }} KeyComparator */
+
+/** Bytewise order of two byte strings */
+function bytewise(a, b) {
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/** A run of ASCII digits */
+const DIGITS = /\d+/y;
+
+/** Byte code of '0' */
+const ZERO = 0x30;
+
+function isDigit(code) {
+  return code >= ZERO && code <= ZERO + 9;
+}
+
+/**
+ * Natural order: equal text compares bytewise, digit runs by their value
+ * (leading zeros ignored). Ties — '7' vs '007' — fall back to bytewise so
+ * distinct keys never compare equal.
+ */
+function numeric(a, b) {
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    const ca = a.charCodeAt(i);
+    const cb = b.charCodeAt(j);
+    if (isDigit(ca) && isDigit(cb)) {
+      DIGITS.lastIndex = i;
+      const runA = DIGITS.exec(a)[0];
+      DIGITS.lastIndex = j;
+      const runB = DIGITS.exec(b)[0];
+      const numA = runA.replace(/^0+/, '');
+      const numB = runB.replace(/^0+/, '');
+      if (numA.length !== numB.length) return numA.length - numB.length;
+      if (numA !== numB) return numA < numB ? -1 : 1;
+      i += runA.length;
+      j += runB.length;
+      continue;
+    }
+    if (ca !== cb) return ca - cb;
+    i++;
+    j++;
+  }
+  if (i < a.length || j < b.length) return i < a.length ? 1 : -1;
+  return bytewise(a, b);
+}
+
+/**
+ * Thrown when data ordered by one comparator is opened with another.
+ */
+export class ComparatorMismatchError extends Error {
+  /**
+   * @param {string} subject – what is ordered, e.g. "SSTable <path>"
+   * @param {string} recorded – name of the comparator that ordered it
+   * @param {string} comparator – name it was opened with
+   */
+  constructor(subject, recorded, comparator) {
+    super(`${subject} is ordered by the "${recorded}" comparator, not "${comparator}"`);
+    this.name = 'ComparatorMismatchError';
+  }
+}
+
+export default class Comparator {
+  /** @type {KeyComparator} */
+  static bytewise = { name: 'bytewise', compare: bytewise };
+
+  /** @type {KeyComparator} */
+  static reverse = { name: 'reverse', compare: (a, b) => bytewise(b, a) };
+
+  /** @type {KeyComparator} */
+  static numeric = { name: 'numeric', compare: numeric };
+
+  /** Names of the built-in comparators */
+  static names = ['bytewise', 'reverse', 'numeric'];
+
+  /**
+   * The built-in comparator called `comparator`, or a custom
+   * `{ name, compare }` as is. Throws for anything else.
+   * @param {string|KeyComparator} comparator
+   * @returns {KeyComparator}
+   */
+  static get(comparator) {
+    if (typeof comparator === 'string') {
+      if (!Comparator.names.includes(comparator)) {
+        throw new Error(
+          `Unknown comparator "${comparator}" (expected ${Comparator.names.join(', ')}, or { name, compare })`,
+        );
+      }
+      return Comparator[comparator];
+    }
+    if (
+      comparator !== null &&
+      typeof comparator === 'object' &&
+      typeof comparator.name === 'string' &&
+      comparator.name !== '' &&
+      typeof comparator.compare === 'function'
+    ) {
+      return comparator;
+    }
+    throw new Error('A comparator is a built-in name or { name, compare(a, b) }');
+  }
+}
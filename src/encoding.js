@@ -0,0 +1,81 @@
+/**
+ * Encoding — how keys and values cross the public API.
+ *
+ * Inside the engine every key and value is a byte string: a JS string
+ * holding one character (code 0–255) per byte, the latin1 decoding of
+ * its bytes. Comparing two byte strings with `<` compares their bytes,
+ * which is the default key order (see Comparator), and storage writes
+ * them back with `Buffer.from(s, 'latin1')` byte for byte.
+ *
+ * An encoding turns what callers pass into a byte string (`encode`) and
+ * a stored byte string back into what they get (`decode`):
+ *   'utf8'   — strings, stored as their UTF-8 bytes (the default)
+ *   'json'   — any JSON value, stored as the UTF-8 bytes of its JSON text
+ *   'buffer' — Buffers
+ * utf8 and buffer accept a string, Buffer or Uint8Array on the way in,
+ * so binary keys and values can be written whatever the engine returns.
+ *
+ *   const db = new LSMTree(dir, { valueEncoding: 'buffer' });
+ *   db.put('avatar:42', pngBytes);
+ *   db.get('avatar:42');  // <Buffer 89 50 4e 47 ...>
+ */
+
+/** Strings whose UTF-8 bytes are their characters */
+const ASCII = /^[\x00-\x7f]*$/;
+
+export default class Encoding {
+  /**
+   * The byte string of a string (its UTF-8 bytes), Buffer or Uint8Array.
+   * @param {string|Uint8Array} input
+   * @returns {string}
+   */
+  static toBytes(input) {
+    if (typeof input === 'string') {
+      return ASCII.test(input) ? input : Buffer.from(input, 'utf8').toString('latin1');
+    }
+    if (input instanceof Uint8Array) {
+      return Buffer.from(input.buffer, input.byteOffset, input.byteLength).toString('latin1');
+    }
+    throw new Error(`Expected a string, Buffer or Uint8Array, got ${input === null ? 'null' : typeof input}`);
+  }
+
+  /** Stored as UTF-8, returned as strings */
+  static utf8 = {
+    name: 'utf8',
+    encode: input => Encoding.toBytes(input),
+    decode: bytes => (ASCII.test(bytes) ? bytes : Buffer.from(bytes, 'latin1').toString('utf8')),
+  };
+
+  /** Stored as JSON text, returned parsed */
+  static json = {
+    name: 'json',
+    encode: input => {
+      const text = JSON.stringify(input);
+      if (text === undefined) throw new Error(`Expected a JSON value, got ${typeof input}`);
+      return Encoding.toBytes(text);
+    },
+    decode: bytes => JSON.parse(Encoding.utf8.decode(bytes)),
+  };
+
+  /** Stored as is, returned as Buffers */
+  static buffer = {
+    name: 'buffer',
+    encode: input => Encoding.toBytes(input),
+    decode: bytes => Buffer.from(bytes, 'latin1'),
+  };
+
+  /** Names accepted by `get` */
+  static names = ['utf8', 'json', 'buffer'];
+
+  /**
+   * The encoding called `name`. Throws for unknown names.
+   * @param {string} name
+   * @returns {{ name: string, encode: (input: any) => string, decode: (bytes: string) => any }}
+   */
+  static get(name) {
+    if (!Encoding.names.includes(name)) {
+      throw new Error(`Unknown encoding "${name}" (expected ${Encoding.names.join(', ')})`);
+    }
+    return Encoding[name];
+  }
+}
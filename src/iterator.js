@@ -0,0 +1,326 @@
+/**
+ * LSMIterator — lazy, ordered iteration over the whole engine.
+ *
+ * Each source (the MemTable and every SSTable) contributes a cursor
+ * that already yields just the newest version of each key visible at
+ * the iterator's sequence number. A binary heap merges the cursors in
+ * key order; when several sources hold the same key the highest
+ * sequence number wins (ties go to the newer source), and tombstones
+ * are skipped as they surface — as is any version deleted by a newer
+ * range tombstone, or whose TTL had run out when the iterator opened.
+ * Only one segment per SSTable is decoded at a time, so wide ranges
+ * never have to fit in memory.
+ *
+ * Sources hold keys and values as byte strings (see Encoding), in the
+ * order of the engine's comparator (see Comparator); entries come out
+ * decoded with the engine's key and value encodings.
+ *
+ *   const it = db.iterator({ gte: 'user:', lt: 'user;', limit: 10 });
+ *   for (const { key, value } of it) { ... }
+ *   for await (const { key, value } of db.iterator({ reverse: true })) { ... }
+ */
+
+import Comparator from './comparator.js';
+
+/* ------------------------------------------------------------------ */
+/*  Binary heap of cursors                                             */
+/* ------------------------------------------------------------------ */
+
+class CursorHeap {
+  /**
+   * @param {(a: object, b: object) => number} compare
+   */
+  constructor(compare) {
+    this._compare = compare;
+    this._items = [];
+  }
+
+  get size() {
+    return this._items.length;
+  }
+
+  peek() {
+    return this._items[0];
+  }
+
+  push(item) {
+    const items = this._items;
+    items.push(item);
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >>> 1;
+      if (this._compare(items[i], items[parent]) >= 0) break;
+      [items[i], items[parent]] = [items[parent], items[i]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this._items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < items.length && this._compare(items[left], items[smallest]) < 0) smallest = left;
+        if (right < items.length && this._compare(items[right], items[smallest]) < 0) smallest = right;
+        if (smallest === i) break;
+        [items[i], items[smallest]] = [items[smallest], items[i]];
+        i = smallest;
+      }
+    }
+    return top;
+  }
+
+  clear() {
+    this._items = [];
+  }
+}
+
+/** Keys and values as the sources hold them */
+const RAW = { encode: bytes => bytes, decode: bytes => bytes };
+
+/**
+ * Smallest byte string greater than every one starting with `prefix`,
+ * or undefined if there is none (empty / all-0xff prefix).
+ * @param {string} prefix
+ * @returns {string|undefined}
+ */
+function prefixEnd(prefix) {
+  let end = prefix;
+  while (end.length > 0) {
+    const last = end.charCodeAt(end.length - 1);
+    if (last < 0xff) return end.slice(0, -1) + String.fromCharCode(last + 1);
+    end = end.slice(0, -1);
+  }
+  return undefined;
+}
+
+/* ------------------------------------------------------------------ */
+/*  Iterator                                                           */
+/* ------------------------------------------------------------------ */
+
+export default class LSMIterator {
+  /**
+   * @param {{ valid: boolean, current: { key: string, value: string, seq: number }|null,
+   *           seek(target?: string): void, next(): void, close?(): void }[]} cursors
+   *        one per source, newest source first, all opened in the same
+   *        direction; the iterator closes them when it is closed
+   * @param {object} [options]
+   * @param {string} [options.gt]   – lower bound (exclusive)
+   * @param {string} [options.gte]  – lower bound (inclusive)
+   * @param {string} [options.lt]   – upper bound (exclusive)
+   * @param {string} [options.lte]  – upper bound (inclusive)
+   * @param {string} [options.prefix] – only keys starting with this prefix
+   * @param {boolean} [options.reverse] – iterate in descending key order
+   * @param {number} [options.limit]    – stop after this many entries
+   * @param {(pointer: string) => string} [options.readBlob]
+   *        – resolve the pointer of a value kept in a blob file
+   * @param {import('./range-tombstones.js').default} [options.rangeTombstones]
+   *        – range deletions visible to the iterator, from every source
+   * @param {{ encode: Function, decode: Function }} [options.keyEncoding]
+   *        – decodes returned keys and encodes `seek` targets (the bounds
+   *        above are already encoded); keys pass through unchanged by default
+   * @param {{ decode: Function }} [options.valueEncoding] – decodes returned values
+   * @param {import('./comparator.js').KeyComparator} [options.comparator]
+   *        – the sources' key order (default: bytewise)
+   * @param {(iterator: LSMIterator) => void} [options.onClose]
+   *        – called once, when the iterator is closed
+   */
+  constructor(cursors, options = {}) {
+    this.reverse = Boolean(options.reverse);
+    this.limit = options.limit === undefined || options.limit < 0 ? Infinity : options.limit;
+    this._readBlob = options.readBlob;
+    this._onClose = options.onClose;
+    this._rangeTombstones = options.rangeTombstones ?? null;
+    this._keyEncoding = options.keyEncoding ?? RAW;
+    this._valueEncoding = options.valueEncoding ?? RAW;
+    this._comparator = options.comparator ?? Comparator.bytewise;
+    this._now = Date.now();
+    /** Stored (encoded) form of the key last returned, or null */
+    this.lastKey = null;
+    this._lower = options.gte ?? options.gt;
+    this._lowerExclusive = options.gte === undefined && options.gt !== undefined;
+    this._upper = options.lte ?? options.lt;
+    this._upperExclusive = options.lte === undefined && options.lt !== undefined;
+    this._prefix = options.prefix;
+    if (this._prefix !== undefined && this._comparator === Comparator.bytewise) this._narrowToPrefix(this._prefix);
+
+    this._cursors = cursors.map((cursor, source) => ({ cursor, source }));
+    this._heap = new CursorHeap((a, b) => this._compare(a, b));
+    this._yielded = 0;
+    this._done = false;
+    this._closed = false;
+
+    try {
+      this._seekAll(this.reverse ? this._upper : this._lower);
+    } catch (err) {
+      this.close();
+      throw err;
+    }
+  }
+
+  /**
+   * Reposition the iterator: the next entry is the first key >= `key`
+   * (or, in reverse, the last key <= `key`), clamped to the bounds.
+   * Works after the iterator ran out; a closed iterator stays done.
+   * @param {*} key – in the key encoding
+   */
+  seek(key) {
+    if (this._closed) return;
+    key = this._keyEncoding.encode(key);
+    const { compare } = this._comparator;
+    if (this.reverse) {
+      this._seekAll(this._upper !== undefined && compare(key, this._upper) > 0 ? this._upper : key);
+    } else {
+      this._seekAll(this._lower !== undefined && compare(key, this._lower) < 0 ? this._lower : key);
+    }
+  }
+
+  /**
+   * Advance to the next live entry.
+   * @returns {{ done: boolean, value: { key: *, value: * }|undefined }}
+   */
+  next() {
+    while (!this._done && this._yielded < this.limit && this._heap.size > 0) {
+      const winner = this._popKey();
+
+      if (this._beforeStart(winner.key)) continue;
+      if (this._pastEnd(winner.key)) break;
+      if (winner.tombstone) continue;
+      if (this._prefix !== undefined && !winner.key.startsWith(this._prefix)) continue;
+      if (this._rangeTombstones?.covers(winner.key, winner.seq)) continue;
+      if (winner.expiresAt <= this._now) continue;
+
+      this._yielded++;
+      this.lastKey = winner.key;
+      const value = winner.blob ? this._readBlob(winner.value) : winner.value;
+      return {
+        done: false,
+        value: { key: this._keyEncoding.decode(winner.key), value: this._valueEncoding.decode(value) },
+      };
+    }
+
+    // Out of entries, but the cursors stay open for a later seek()
+    this._done = true;
+    this._heap.clear();
+    return { done: true, value: undefined };
+  }
+
+  /**
+   * Stop iterating and close all cursors, releasing the SSTables they
+   * pinned (tables compacted away meanwhile are closed now).
+   */
+  close() {
+    this._done = true;
+    this._heap.clear();
+    if (this._closed) return;
+    this._closed = true;
+    for (const { cursor } of this._cursors) cursor.close?.();
+    this._onClose?.(this);
+  }
+
+  /** Called by `break` inside for...of. */
+  return() {
+    this.close();
+    return { done: true, value: undefined };
+  }
+
+  [Symbol.iterator]() {
+    return this;
+  }
+
+  [Symbol.asyncIterator]() {
+    return {
+      next: async () => this.next(),
+      return: async () => this.return(),
+    };
+  }
+
+  /* ---- internals ------------------------------------------------- */
+
+  /**
+   * Intersect the bounds with the key range covered by `prefix`. Only
+   * bytewise order keeps a prefix's keys together; under any other
+   * comparator prefix keys are picked out one by one instead.
+   */
+  _narrowToPrefix(prefix) {
+    if (this._lower === undefined || this._lower < prefix) {
+      this._lower = prefix;
+      this._lowerExclusive = false;
+    }
+    const end = prefixEnd(prefix);
+    if (end !== undefined && (this._upper === undefined || this._upper >= end)) {
+      this._upper = end;
+      this._upperExclusive = true;
+    }
+  }
+
+  /** Heap order: key in iteration direction, then higher seq, then newer source. */
+  _compare(a, b) {
+    const ka = a.cursor.current.key;
+    const kb = b.cursor.current.key;
+    if (ka !== kb) {
+      const cmp = this._comparator.compare(ka, kb);
+      return this.reverse ? -cmp : cmp;
+    }
+    const seqDiff = b.cursor.current.seq - a.cursor.current.seq;
+    return seqDiff !== 0 ? seqDiff : a.source - b.source;
+  }
+
+  _seekAll(target) {
+    this._heap.clear();
+    this._done = false;
+    for (const entry of this._cursors) {
+      entry.cursor.seek(target);
+      if (entry.cursor.valid) this._heap.push(entry);
+    }
+  }
+
+  /**
+   * Pop the winning version of the smallest (largest, in reverse) key
+   * and step every cursor positioned on that key past it.
+   */
+  _popKey() {
+    const top = this._heap.pop();
+    const winner = top.cursor.current;
+    this._advance(top);
+
+    while (this._heap.size > 0 && this._heap.peek().cursor.current.key === winner.key) {
+      this._advance(this._heap.pop());
+    }
+
+    return winner;
+  }
+
+  _advance(entry) {
+    entry.cursor.next();
+    if (entry.cursor.valid) this._heap.push(entry);
+  }
+
+  /** True for keys on the near side of the starting bound (only an exclusive bound itself). */
+  _beforeStart(key) {
+    return this.reverse ? this._aboveUpper(key) : this._belowLower(key);
+  }
+
+  /** True once iteration has moved past the far bound. */
+  _pastEnd(key) {
+    return this.reverse ? this._belowLower(key) : this._aboveUpper(key);
+  }
+
+  _belowLower(key) {
+    if (this._lower === undefined) return false;
+    const cmp = this._comparator.compare(key, this._lower);
+    return cmp < 0 || (this._lowerExclusive && cmp === 0);
+  }
+
+  _aboveUpper(key) {
+    if (this._upper === undefined) return false;
+    const cmp = this._comparator.compare(key, this._upper);
+    return cmp > 0 || (this._upperExclusive && cmp === 0);
+  }
+}
@@ -3,28 +3,131 @@
  *
  * Coordinates the MemTable, WAL, SSTables, and Compaction to provide
  * a unified key-value store with put / get / delete / scan operations.
+ *
+ * Writes go to the active MemTable and its WAL segment. A full MemTable
+ * is frozen (made immutable) and replaced by a fresh one with a new WAL
+ * segment; the frozen one stays readable until a background flush has
+ * written it to a durable Level-0 SSTable, then its segment is deleted.
+ *
+ * The set of SSTables in each level is recorded in the MANIFEST: every
+ * flush and compaction commits there before its tables are installed or
+ * deleted, so a crash at any point reopens to exactly one table set.
+ *
+ * Every mutation is stamped with a monotonically increasing sequence
+ * number that travels with it through the WAL, MemTable and SSTables.
+ * Reads resolve "newest wins" by sequence number, and snapshots read
+ * as of a fixed one.
+ *
+ * Values over the blob threshold are moved to blob files when flushed
+ * (see BlobStore); SSTables hold pointers, which reads follow.
+ *
+ * A value written with a TTL carries its expiry time everywhere it is
+ * stored. Reads treat an expired value as deleted, and compaction turns
+ * it into a tombstone (dropped at the bottom level).
+ *
+ * Keys and values may be strings, Buffers or Uint8Arrays (or, with the
+ * json encoding, any JSON value). They are stored as bytes; reads return
+ * them in the `keyEncoding` / `valueEncoding` the engine was opened with
+ * (see Encoding). Keys are ordered by the engine's comparator — bytewise
+ * unless another is chosen (see Comparator) — which every SSTable
+ * records, so a database must be reopened with the comparator it was
+ * created with.
  */
 
-import { existsSync, mkdirSync, readdirSync, statSync } from 'node:fs';
-import { join } from 'node:path';
+import { existsSync, mkdirSync, readdirSync, renameSync, statSync, unlinkSync } from 'node:fs';
+import { basename, join } from 'node:path';
 
 import MemTable from './memtable.js';
 import WAL from './wal.js';
+import Manifest from './manifest.js';
+import WriteBatch from './write-batch.js';
+import Snapshot from './snapshot.js';
+import LSMIterator from './iterator.js';
 import { SSTableWriter, SSTableReader } from './sstable.js';
 import Compaction from './compaction.js';
+import BlobStore from './blob-store.js';
+import BloomFilter from './bloom-filter.js';
+import RangeTombstones from './range-tombstones.js';
+import Encoding from './encoding.js';
+import Comparator, { ComparatorMismatchError } from './comparator.js';
 import {
   DATA_DIR,
   MEMTABLE_SIZE_THRESHOLD,
-  TOMBSTONE,
+  MAX_IMMUTABLE_MEMTABLES,
   MAX_LEVELS,
+  SCAN_PAGE_SIZE,
+  COMPACTION_STRATEGY,
+  SSTABLE_COMPRESSION,
+  BLOOM_BITS_PER_KEY,
+  BLOB_THRESHOLD,
+  BLOB_GC_RATIO,
+  L0_SLOWDOWN_WRITES_TRIGGER,
+  L0_STOP_WRITES_TRIGGER,
 } from '../lsm.config.js';
 
+/** Resolve on the next event-loop turn, after pending I/O callbacks. */
+const nextTurn = () => new Promise(resolve => setImmediate(resolve));
+
+/** Stored entries with their keys and values decoded as UTF-8, for inspect() */
+const readableEntries = entries => entries.map(entry => ({
+  ...entry,
+  key: Encoding.utf8.decode(entry.key),
+  value: Encoding.utf8.decode(entry.value),
+}));
+
+/** Range tombstones with their bounds decoded as UTF-8, for inspect() */
+const readableRanges = tombstones => tombstones.map(({ start, end, seq }) => ({
+  start: Encoding.utf8.decode(start),
+  end: Encoding.utf8.decode(end),
+  seq,
+}));
+
 export default class LSMTree {
   /**
    * @param {string} [dataDir] – directory for WAL + SSTables
+   * @param {object} [options]
+   * @param {'always'|'group'|'none'} [options.syncMode] – WAL durability mode
+   * @param {number} [options.groupCommitMs]    – group commit fsync delay
+   * @param {number} [options.groupCommitBytes] – group commit byte threshold
+   * @param {string} [options.compactionStrategy] – 'size-tiered' or 'leveled'
+   * @param {boolean} [options.backgroundCompaction] – compact off the write
+   *        path (default true); false compacts synchronously inside flush()
+   * @param {'none'|'deflate'|'brotli'} [options.compression] – block codec
+   *        for the SSTables this engine writes (existing tables keep theirs)
+   * @param {number} [options.bloomBitsPerKey] – Bloom filter bits per key
+   *        of the SSTables this engine writes
+   * @param {number} [options.bloomFalsePositiveRate] – alternatively, the
+   *        target false-positive rate those filters are sized for
+   * @param {number} [options.blockCacheSize] – resize the block cache shared
+   *        by every open table in the process (bytes)
+   * @param {number} [options.blobThreshold] – values of at least this many
+   *        bytes are flushed to blob files (Infinity keeps every value inline)
+   * @param {number} [options.blobFileSize] – start a new blob file past this size
+   * @param {'utf8'|'json'|'buffer'} [options.keyEncoding] – form keys are
+   *        returned in (default 'utf8'); utf8 and buffer accept strings and Buffers
+   * @param {'utf8'|'json'|'buffer'} [options.valueEncoding] – form values are
+   *        returned in (default 'utf8')
+   * @param {'bytewise'|'reverse'|'numeric'|{ name: string, compare: Function }} [options.comparator]
+   *        – key order (default 'bytewise'); fixed for the life of the database
    */
-  constructor(dataDir = DATA_DIR) {
+  constructor(dataDir = DATA_DIR, options = {}) {
     this.dataDir = dataDir;
+    this.options = options;
+    this.compactionStrategy = options.compactionStrategy ?? COMPACTION_STRATEGY;
+    Compaction.assertStrategy(this.compactionStrategy);
+    this.backgroundCompaction = options.backgroundCompaction ?? true;
+    this.compression = options.compression ?? SSTABLE_COMPRESSION;
+    SSTableWriter.assertCompression(this.compression);
+    this.bloomBitsPerKey = options.bloomFalsePositiveRate !== undefined
+      ? BloomFilter.bitsPerKeyFor(options.bloomFalsePositiveRate)
+      : options.bloomBitsPerKey ?? BLOOM_BITS_PER_KEY;
+    BloomFilter.assertBitsPerKey(this.bloomBitsPerKey);
+    this.keyEncoding = Encoding.get(options.keyEncoding ?? 'utf8');
+    this.valueEncoding = Encoding.get(options.valueEncoding ?? 'utf8');
+    this.comparator = Comparator.get(options.comparator ?? 'bytewise');
+    if (options.blockCacheSize !== undefined) {
+      SSTableReader.blockCache.resize(options.blockCacheSize);
+    }
 
     // Ensure data directory exists
     if (!existsSync(this.dataDir)) {
@@ -32,8 +135,24 @@ export default class LSMTree {
     }
 
     // ---- Core components ----
-    this.memTable = new MemTable();
-    this.wal = new WAL(join(this.dataDir, 'wal.log'));
+    this._walOptions = {
+      syncMode: options.syncMode,
+      groupCommitMs: options.groupCommitMs,
+      groupCommitBytes: options.groupCommitBytes,
+    };
+    /** Active MemTable and the WAL segment backing it (opened by _recoverWAL) */
+    this.memTable = new MemTable({ comparator: this.comparator });
+    /** @type {WAL|null} */
+    this.wal = null;
+    /** Number of the active WAL segment */
+    this._walNumber = 0;
+
+    /**
+     * Frozen MemTables awaiting flush, newest first. Each keeps its WAL
+     * segment until its SSTable is on disk.
+     * @type {{ memTable: MemTable, wal: WAL }[]}
+     */
+    this.immutables = [];
 
     /**
      * Map<level, { path, reader }[]>
@@ -44,10 +163,39 @@ export default class LSMTree {
     for (let i = 0; i < MAX_LEVELS; i++) {
       this.levels.set(i, []);
     }
+    this.manifest = new Manifest(this.dataDir);
+
+    /** Large values, kept out of the SSTables */
+    this.blobThreshold = options.blobThreshold ?? BLOB_THRESHOLD;
+    this.blobs = new BlobStore(this.dataDir, { fileSize: options.blobFileSize });
+
+    /** Sequence number of the most recent mutation */
+    this.seq = 0;
+
+    /** @type {Set<Snapshot>} snapshots that have not been released */
+    this._snapshots = new Set();
+
+    // ---- Background compaction ----
+    /** @type {Generator|null} steps of the compaction job in progress */
+    this._compaction = null;
+    /** @type {Promise<void>|null} the running background loop */
+    this._compactionLoop = null;
+    this._closed = false;
+    this.compactionStats = { completed: 0, errors: 0, writeSlowdowns: 0, writeStalls: 0 };
+
+    // ---- Background flush ----
+    /** @type {Promise<void>|null} */
+    this._flushLoop = null;
+    this.flushStats = { completed: 0, errors: 0, writeStalls: 0 };
+
+    /** Records replayed / discarded across all WAL segments on open */
+    this.walRecovery = { replayed: 0, discarded: 0 };
 
     // ---- Bootstrap ----
     this._loadExistingSSTables();
     this._recoverWAL();
+    this._scheduleFlush();
+    if (this.backgroundCompaction) this._scheduleCompaction();
   }
 
   /* ================================================================ */
@@ -55,42 +203,162 @@ export default class LSMTree {
   /* ================================================================ */
 
   /**
-   * Insert or update a key-value pair.
-   * @param {string} key
-   * @param {string} value
+   * Insert or update a key-value pair. Throws if the key is larger than
+   * MAX_KEY_SIZE or the value than MAX_VALUE_SIZE.
+   *
+   *   db.put('session:8f2c', token, { ttlMs: 30 * 60 * 1000 });
+   *
+   * @param {string|Uint8Array} key
+   * @param {string|Uint8Array} value
+   * @param {object} [options]
+   * @param {number} [options.ttlMs] – expire the value this many ms from now
    */
-  put(key, value) {
-    this.wal.append('PUT', key, value);
-    this.memTable.put(key, value);
+  put(key, value, { ttlMs } = {}) {
+    const keyBytes = this.keyEncoding.encode(key);
+    const valueBytes = this.valueEncoding.encode(value);
+    this._put(keyBytes, valueBytes, ttlMs === undefined ? 0 : LSMTree._expiryTime(ttlMs));
+  }
+
+  /**
+   * Write an encoded key and value.
+   * @param {string} key – byte string
+   * @param {string} value – byte string
+   * @param {number} expiresAt – expiry time (ms since the epoch, 0 = never)
+   */
+  _put(key, value, expiresAt) {
+    SSTableWriter.assertEntrySize(key, value);
+    const seq = ++this.seq;
+    this.wal.append('PUT', key, value, seq, expiresAt);
+    this.memTable.put(key, value, seq, expiresAt);
     this._maybeFlush();
   }
 
   /**
-   * Delete a key (tombstone marker).
-   * @param {string} key
+   * Set a TTL on an existing key by writing its current value again
+   * with an expiry time.
+   * @param {string|Uint8Array} key
+   * @param {number} ttlMs – expire the value this many ms from now
+   * @returns {boolean} false if the key does not exist
+   */
+  expire(key, ttlMs) {
+    const keyBytes = this.keyEncoding.encode(key);
+    const value = this._getBytes(keyBytes, this.seq);
+    if (value === null) return false;
+    this._put(keyBytes, value, LSMTree._expiryTime(ttlMs));
+    return true;
+  }
+
+  /**
+   * Delete a key (writes a tombstone).
+   * @param {string|Uint8Array} key
    */
   delete(key) {
-    this.wal.append('DELETE', key, TOMBSTONE);
-    this.memTable.delete(key);
+    const keyBytes = this.keyEncoding.encode(key);
+    SSTableWriter.assertEntrySize(keyBytes);
+    const seq = ++this.seq;
+    this.wal.append('DELETE', keyBytes, '', seq);
+    this.memTable.delete(keyBytes, seq);
     this._maybeFlush();
   }
 
+  /**
+   * Delete every key in [startKey, endKey) with a single range tombstone.
+   * @param {string|Uint8Array} startKey – first key deleted
+   * @param {string|Uint8Array} endKey   – end of the range (exclusive)
+   */
+  deleteRange(startKey, endKey) {
+    const start = this.keyEncoding.encode(startKey);
+    const end = this.keyEncoding.encode(endKey);
+    SSTableWriter.assertEntrySize(start);
+    SSTableWriter.assertEntrySize(end);
+    if (!(this.comparator.compare(start, end) < 0)) {
+      throw new Error(`deleteRange: start key must sort before end key ("${startKey}" >= "${endKey}")`);
+    }
+    const seq = ++this.seq;
+    this.wal.append('DELETE_RANGE', start, end, seq);
+    this.memTable.deleteRange(start, end, seq);
+    this._maybeFlush();
+  }
+
+  /**
+   * Start an atomic write batch.
+   * @returns {WriteBatch}
+   */
+  batch() {
+    return new WriteBatch(this);
+  }
+
+  /**
+   * Log and apply a committed WriteBatch as one unit.
+   * @param {{ op: 'PUT'|'DELETE', key: string, value: string }[]} ops – encoded
+   */
+  _writeBatch(ops) {
+    if (ops.length === 0) return;
+    // Each op gets its own sequence number so later ops in the batch
+    // supersede earlier ones on the same key.
+    const stamped = ops.map(op => ({ ...op, seq: ++this.seq }));
+    this.wal.appendBatch(stamped);
+    this.memTable.applyBatch(stamped);
+    this._maybeFlush();
+  }
+
+  /**
+   * Resolve once every write made so far is durable on disk
+   * (see WAL `syncMode`).
+   * @returns {Promise<void>}
+   */
+  waitForSync() {
+    return this.wal.waitForSync();
+  }
+
   /* ================================================================ */
   /*  Read path                                                        */
   /* ================================================================ */
 
   /**
    * Retrieve the value for a key.
-   * Checks MemTable first, then SSTables from newest to oldest level.
+   * Checks the active MemTable first, then the frozen ones awaiting
+   * flush, then SSTables from newest to oldest level.
    *
-   * @param {string} key
-   * @returns {string|null} The value, or null if not found / deleted.
+   * @param {string|Uint8Array} key
+   * @returns {*} The value in the value encoding, or null if not found / deleted.
    */
   get(key) {
-    // 1. Check MemTable (hot data)
-    const memVal = this.memTable.get(key);
-    if (memVal !== null) {
-      return memVal === TOMBSTONE ? null : memVal;
+    return this._get(key, this.seq);
+  }
+
+  /**
+   * Point lookup as of sequence number `seq`.
+   * @param {string|Uint8Array} key
+   * @param {number} seq
+   * @returns {*}
+   */
+  _get(key, seq) {
+    const value = this._getBytes(this.keyEncoding.encode(key), seq);
+    return value === null ? null : this.valueEncoding.decode(value);
+  }
+
+  /**
+   * Point lookup of an encoded key as of sequence number `seq`.
+   * @param {string} key – byte string
+   * @param {number} seq
+   * @returns {string|null} the stored value (a byte string)
+   */
+  _getBytes(key, seq) {
+    // Newest range tombstone covering the key in the sources seen so far.
+    // Sources are searched newest first, so one that deletes the version
+    // found is always in the same source or a newer one.
+    let deletedSeq = 0;
+    const now = Date.now();
+
+    // 1. Check MemTables (hot data), newest first
+    for (const memTable of [this.memTable, ...this.immutables.map(m => m.memTable)]) {
+      deletedSeq = Math.max(deletedSeq, memTable.rangeTombstones.maxSeqCovering(key, seq));
+      const version = memTable.getVersion(key, seq);
+      if (version !== null) {
+        if (version.seq < deletedSeq || version.expiresAt <= now) return null;
+        return version.tombstone ? null : version.value;
+      }
     }
 
     // 2. Check SSTables level-by-level, newest first
@@ -98,9 +366,12 @@ export default class LSMTree {
       const tables = this.levels.get(lvl) || [];
       // Within a level, newest table is at index 0
       for (const table of tables) {
-        const val = table.reader.get(key);
-        if (val !== null) {
-          return val === TOMBSTONE ? null : val;
+        if (!table.reader.overlaps(key, key)) continue;
+        deletedSeq = Math.max(deletedSeq, table.reader.rangeTombstones.maxSeqCovering(key, seq));
+        const version = table.reader.getVersion(key, seq);
+        if (version !== null) {
+          if (version.seq < deletedSeq || version.expiresAt <= now || version.tombstone) return null;
+          return version.blob ? this.blobs.read(version.value) : version.value;
         }
       }
     }
@@ -112,120 +383,816 @@ export default class LSMTree {
    * Range scan — returns sorted entries where startKey <= key <= endKey.
    * Merges results from MemTable and all SSTables, newest wins.
    *
+   * @param {string|Uint8Array} startKey
+   * @param {string|Uint8Array} endKey
+   * @param {object} [options]
+   * @param {boolean} [options.reverse] – descending key order
+   * @param {number} [options.limit]    – return at most this many entries
+   * @param {number} [options.offset]   – skip this many entries first
+   * @returns {{ key: string, value: string }[]}
+   */
+  scan(startKey, endKey, options = {}) {
+    return this._scan(startKey, endKey, this.seq, options);
+  }
+
+  /**
+   * Range scan as of sequence number `seq`.
    * @param {string} startKey
    * @param {string} endKey
+   * @param {number} seq
+   * @param {{ reverse?: boolean, limit?: number, offset?: number }} [options]
    * @returns {{ key: string, value: string }[]}
    */
-  scan(startKey, endKey) {
-    /** @type {Map<string, string>} newest value per key */
-    const merged = new Map();
+  _scan(startKey, endKey, seq, { reverse = false, limit = Infinity, offset = 0 } = {}) {
+    const it = this._iterator({ gte: startKey, lte: endKey, reverse, limit: offset + limit }, seq);
+    const result = [];
+    let skipped = 0;
+    try {
+      for (const entry of it) {
+        if (skipped < offset) {
+          skipped++;
+          continue;
+        }
+        result.push(entry);
+      }
+    } finally {
+      it.close();
+    }
+    return result;
+  }
 
-    // Scan SSTables from oldest to newest so that newer values overwrite
-    for (let lvl = MAX_LEVELS - 1; lvl >= 0; lvl--) {
-      const tables = this.levels.get(lvl) || [];
-      for (let i = tables.length - 1; i >= 0; i--) {
-        for (const { key, value } of tables[i].reader.scan(startKey, endKey)) {
-          merged.set(key, value);
+  /**
+   * Fetch one page of a range scan. Pass the returned `nextCursor` back
+   * in to continue where the page ended; it is null on the last page.
+   * Each page reads the latest data, so writes between pages are seen.
+   *
+   * @param {string} startKey
+   * @param {string} endKey
+   * @param {object} [options]
+   * @param {boolean} [options.reverse] – descending key order
+   * @param {number} [options.limit]    – page size, at least 1
+   * @param {string} [options.cursor]   – continuation cursor from the previous page
+   * @returns {{ entries: { key: string, value: string }[], nextCursor: string|null }}
+   */
+  scanPage(startKey, endKey, { reverse = false, limit = SCAN_PAGE_SIZE, cursor } = {}) {
+    // An empty page would end paging with nextCursor null mid-range
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new Error(`Invalid page size: ${limit} (expected a whole number of at least 1)`);
+    }
+    // The cursor holds the bytes of the last key returned, so the next
+    // page starts just past it
+    const start = this.keyEncoding.encode(startKey);
+    const end = this.keyEncoding.encode(endKey);
+    const after = cursor === undefined ? undefined : Buffer.from(cursor, 'base64url').toString('latin1');
+    const { compare } = this.comparator;
+    const lower = after !== undefined && !reverse && compare(after, start) >= 0 ? { gt: after } : { gte: start };
+    const upper = after !== undefined && reverse && compare(after, end) <= 0 ? { lt: after } : { lte: end };
+
+    const it = this._openIterator({ ...lower, ...upper, reverse, limit: limit + 1 }, this.seq);
+    const entries = [];
+    let lastKey = null;
+    let hasMore = false;
+    try {
+      for (const entry of it) {
+        if (entries.length === limit) {
+          hasMore = true;
+          break;
         }
+        entries.push(entry);
+        lastKey = it.lastKey;
       }
+    } finally {
+      it.close();
+    }
+
+    return {
+      entries,
+      nextCursor: hasMore ? Buffer.from(lastKey, 'latin1').toString('base64url') : null,
+    };
+  }
+
+  /**
+   * Return every live entry whose key starts with `prefix`, in key order.
+   * SSTables whose prefix Bloom filter rules the prefix out are skipped.
+   * The prefix is matched against the stored bytes of keys — for json
+   * keys, their JSON text.
+   *
+   *   db.scanPrefix('user:00042:')  // all fields of one user
+   *
+   * @param {string|Uint8Array} prefix
+   * @param {{ reverse?: boolean, limit?: number }} [options]
+   * @returns {{ key: string, value: string }[]}
+   */
+  scanPrefix(prefix, options = {}) {
+    return this._scanPrefix(prefix, this.seq, options);
+  }
+
+  /**
+   * Prefix scan as of sequence number `seq`.
+   * @param {string|Uint8Array} prefix
+   * @param {number} seq
+   * @param {{ reverse?: boolean, limit?: number }} [options]
+   * @returns {{ key: string, value: string }[]}
+   */
+  _scanPrefix(prefix, seq, options = {}) {
+    const it = this._iterator({ ...options, prefix }, seq);
+    try {
+      return Array.from(it);
+    } finally {
+      it.close();
+    }
+  }
+
+  /**
+   * Open a lazy iterator over live entries in key order. Reads as of
+   * the moment it was opened; later writes are not seen.
+   *
+   * @param {object} [options] – gt / gte / lt / lte bounds, prefix, reverse, limit
+   * @returns {LSMIterator}
+   */
+  iterator(options = {}) {
+    return this._iterator(options, this.seq);
+  }
+
+  /**
+   * Iterator as of sequence number `seq`.
+   * @param {object} options – bounds in the key encoding, prefix as a
+   *        string or bytes
+   * @param {number} seq
+   * @returns {LSMIterator}
+   */
+  _iterator(options, seq) {
+    const encoded = { ...options };
+    for (const bound of ['gt', 'gte', 'lt', 'lte']) {
+      if (options[bound] !== undefined) encoded[bound] = this.keyEncoding.encode(options[bound]);
     }
+    if (options.prefix !== undefined) encoded.prefix = Encoding.toBytes(options.prefix);
+    return this._openIterator(encoded, seq);
+  }
 
-    // MemTable entries are newest — overwrite any SSTable values
-    for (const { key, value } of this.memTable.scan(startKey, endKey)) {
-      merged.set(key, value);
+  /**
+   * Iterator as of sequence number `seq`, with encoded bounds.
+   * @param {object} options – bounds and prefix as byte strings
+   * @param {number} seq
+   * @returns {LSMIterator}
+   */
+  _openIterator(options, seq) {
+    const reverse = Boolean(options.reverse);
+    const lower = options.gte ?? options.gt;
+    const upper = options.lte ?? options.lt;
+    // Newest source first, matching the lookup order of get()
+    const memTables = [this.memTable, ...this.immutables.map(m => m.memTable)];
+    const cursors = memTables.map(memTable => memTable.cursor(seq, reverse));
+    const tombstoneSets = memTables.map(memTable => memTable.rangeTombstones);
+    for (let lvl = 0; lvl < MAX_LEVELS; lvl++) {
+      for (const table of this.levels.get(lvl) || []) {
+        // Skip tables whose key range misses the bounds or the prefix.
+        // A table ruled out by its prefix filter may still hold range
+        // tombstones over keys in other tables, so those are kept.
+        if (!table.reader.overlaps(lower, upper)) continue;
+        tombstoneSets.push(table.reader.rangeTombstones);
+        if (options.prefix !== undefined && !table.reader.mightContainPrefix(options.prefix)) continue;
+        cursors.push(table.reader.cursor(seq, reverse));
+      }
     }
+    const it = new LSMIterator(cursors, {
+      ...options,
+      readBlob: pointer => this.blobs.read(pointer),
+      rangeTombstones: RangeTombstones.merge(tombstoneSets, seq, this.comparator),
+      keyEncoding: this.keyEncoding,
+      valueEncoding: this.valueEncoding,
+      comparator: this.comparator,
+      onClose: iterator => this.blobs.unpin(iterator),
+    });
+    // Blob GC must not delete a file the iterator may yet follow a pointer into
+    this.blobs.pin(it);
+    return it;
+  }
+
+  /* ================================================================ */
+  /*  Snapshots                                                        */
+  /* ================================================================ */
 
-    // Filter out tombstones and return sorted
-    return Array.from(merged.entries())
-      .filter(([, v]) => v !== TOMBSTONE)
-      .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
-      .map(([key, value]) => ({ key, value }));
+  /**
+   * Take a consistent read view of the current state. Release it when
+   * done so compaction can discard the old versions it pins.
+   * @returns {Snapshot}
+   */
+  snapshot() {
+    const snap = new Snapshot(this, this.seq);
+    this._snapshots.add(snap);
+    return snap;
+  }
+
+  /** @param {Snapshot} snap */
+  _releaseSnapshot(snap) {
+    this._snapshots.delete(snap);
+  }
+
+  /**
+   * Sequence numbers still visible to a live snapshot.
+   * @returns {number[]}
+   */
+  _liveSnapshotSeqs() {
+    return [...new Set([...this._snapshots].map(s => s.seq))].sort((a, b) => a - b);
   }
 
   /* ================================================================ */
   /*  Flush & Compaction                                               */
   /* ================================================================ */
 
-  /** Flush MemTable to a new Level-0 SSTable if threshold exceeded. */
+  /**
+   * Freeze the MemTable once it exceeds the threshold and hand it to the
+   * background flush; throttle the writer while flushes or Level 0 are
+   * backed up.
+   */
   _maybeFlush() {
     if (this.memTable.size >= MEMTABLE_SIZE_THRESHOLD) {
-      this.flush();
+      this._rotateMemTable();
+      this._scheduleFlush();
+    }
+    if (this.immutables.length > MAX_IMMUTABLE_MEMTABLES) {
+      this.flushStats.writeStalls++;
+      while (this.immutables.length > MAX_IMMUTABLE_MEMTABLES) {
+        this._flushImmutable();
+      }
     }
+    this._throttleWrites();
   }
 
   /**
-   * Force-flush the current MemTable to a Level-0 SSTable.
+   * Force-flush: freeze the current MemTable and write it, along with any
+   * frozen MemTables still waiting, to Level-0 SSTables.
    */
   flush() {
-    const entries = this.memTable.entries();
-    if (entries.length === 0) return;
+    if (this.memTable.count > 0) this._rotateMemTable();
+    while (this.immutables.length > 0) {
+      this._flushImmutable();
+    }
+  }
+
+  /**
+   * Resolve once every frozen MemTable has been flushed.
+   * @returns {Promise<void>}
+   */
+  async waitForFlush() {
+    while (this._flushLoop !== null) {
+      await this._flushLoop;
+    }
+  }
+
+  /**
+   * Freeze the active MemTable and start a new one on a fresh WAL
+   * segment. The old segment is synced and closed; it is only deleted
+   * once the frozen MemTable reaches an SSTable.
+   */
+  _rotateMemTable() {
+    if (this.wal !== null) {
+      this.wal.close();
+      this.immutables.unshift({ memTable: this.memTable, wal: this.wal });
+    }
+    this._walNumber++;
+    this.memTable = new MemTable({ comparator: this.comparator });
+    this.wal = new WAL(WAL.segmentPath(this.dataDir, this._walNumber), this._walOptions);
+  }
+
+  /** Start the background flush loop unless it is already running. */
+  _scheduleFlush() {
+    if (this._flushLoop !== null || this._closed || this.immutables.length === 0) return;
 
-    const ts = Date.now();
-    const sstPath = join(this.dataDir, `L0_${ts}.sst`);
+    this._flushLoop = this._runFlushes().finally(() => {
+      this._flushLoop = null;
+    });
+  }
 
-    SSTableWriter.write(entries, sstPath);
+  /**
+   * Flush frozen MemTables one per event-loop turn, oldest first, so the
+   * writes that filled them never wait on SSTable construction.
+   */
+  async _runFlushes() {
+    try {
+      await nextTurn();
+      while (!this._closed && this.immutables.length > 0) {
+        this._flushImmutable();
+        await nextTurn();
+      }
+    } catch (err) {
+      this.flushStats.errors++;
+      console.error(`Warning: background flush failed: ${err.message}`);
+    }
+  }
 
-    // Add to level 0 (front = newest)
-    const l0 = this.levels.get(0);
-    l0.unshift({ path: sstPath, reader: SSTableReader.open(sstPath) });
+  /**
+   * Write the oldest frozen MemTable to a Level-0 SSTable, then drop it
+   * and delete its WAL segment. It stays readable until the table is
+   * installed, so no read ever misses its entries.
+   */
+  _flushImmutable() {
+    const { memTable, wal } = this.immutables[this.immutables.length - 1];
+    const snapshots = this._liveSnapshotSeqs();
 
-    // Reset MemTable & WAL
-    this.memTable.clear();
-    this.wal.clear();
+    if (memTable.count > 0) {
+      // Collapse overwritten versions nobody can read any more
+      const entries = Compaction.retainVersions(memTable.entries(), snapshots, false)
+        .map(entry => this._separateValue(entry));
+      // Values must be durable before the table pointing at them
+      this.blobs.sync();
+      const sstPath = Compaction.tablePath(this.dataDir, 0);
+      SSTableWriter.write(entries, sstPath, {
+        ...this._tableOptions(),
+        rangeTombstones: [...memTable.rangeTombstones],
+      });
+
+      // Commit to the MANIFEST, then add to level 0 (front = newest)
+      const table = { path: sstPath, reader: SSTableReader.open(sstPath, { comparator: this.comparator }) };
+      const edit = { added: [{ level: 0, table }] };
+      this.manifest.logEdit(edit);
+      this.levels = Compaction.install(this.levels, edit);
+    }
+
+    this.immutables.pop();
+    wal.remove();
+    this.flushStats.completed++;
 
     // Trigger compaction check
-    this.levels = Compaction.run(this.levels, this.dataDir);
+    if (this.backgroundCompaction) {
+      this._scheduleCompaction();
+    } else {
+      const before = this.levels;
+      this.levels = Compaction.run(this.levels, this.dataDir, {
+        strategy: this.compactionStrategy,
+        snapshots,
+        ...this._tableOptions(),
+        logEdit: edit => this.manifest.logEdit(edit),
+      });
+      if (this.levels !== before) this.compactionStats.completed++;
+    }
+  }
+
+  /**
+   * Resolve once no compaction is running or due.
+   * @returns {Promise<void>}
+   */
+  async waitForCompaction() {
+    while (this._compactionLoop !== null) {
+      await this._compactionLoop;
+    }
+  }
+
+  /** Start the background compaction loop unless it is already running. */
+  _scheduleCompaction() {
+    if (this._compactionLoop !== null || this._closed) return;
+    if (this._compaction === null && Compaction.pick(this.levels, this.compactionStrategy) === null) return;
+
+    this._compactionLoop = this._runCompactions().finally(() => {
+      this._compactionLoop = null;
+    });
+  }
+
+  /**
+   * Work through due compactions one step per event-loop turn, so reads
+   * and writes interleave with the merge.
+   */
+  async _runCompactions() {
+    try {
+      // Let the write that triggered us return first
+      await nextTurn();
+      while (!this._closed && this._startCompaction()) {
+        this._stepCompaction();
+        await nextTurn();
+      }
+    } catch (err) {
+      this._compaction = null;
+      this.compactionStats.errors++;
+      console.error(`Warning: background compaction failed: ${err.message}`);
+    }
+  }
+
+  /**
+   * Make sure a job is in progress, picking a new one if needed.
+   * @returns {boolean} false if nothing is due
+   */
+  _startCompaction() {
+    if (this._compaction !== null) return true;
+
+    const job = Compaction.pick(this.levels, this.compactionStrategy);
+    if (job === null) return false;
+
+    this._compaction = Compaction.execute(
+      this.levels, job, this.dataDir, this._liveSnapshotSeqs(), this._tableOptions()
+    );
+    return true;
+  }
+
+  /**
+   * Advance the running job by one step; when it finishes, commit the
+   * edit to the MANIFEST, atomically swap in the new table set and
+   * delete the compacted files.
+   */
+  _stepCompaction() {
+    const { done, value: edit } = this._compaction.next();
+    if (!done) return;
+
+    this._compaction = null;
+    this.manifest.logEdit(edit);
+    this.levels = Compaction.install(this.levels, edit);
+    Compaction.removeFiles(edit.removed);
+    this.compactionStats.completed++;
+  }
+
+  /**
+   * Back-pressure on writers when flushes outpace compaction: past
+   * L0_SLOWDOWN_WRITES_TRIGGER each write runs one compaction step
+   * itself; at L0_STOP_WRITES_TRIGGER it stalls until Level 0 drains.
+   */
+  _throttleWrites() {
+    if (!this.backgroundCompaction) return;
+    const l0 = () => this.levels.get(0).length;
+
+    if (l0() >= L0_STOP_WRITES_TRIGGER) {
+      this.compactionStats.writeStalls++;
+      while (l0() >= L0_STOP_WRITES_TRIGGER && this._startCompaction()) {
+        this._stepCompaction();
+      }
+    } else if (l0() >= L0_SLOWDOWN_WRITES_TRIGGER && this._startCompaction()) {
+      this.compactionStats.writeSlowdowns++;
+      this._stepCompaction();
+    }
   }
 
   /* ================================================================ */
   /*  Bootstrap & Recovery                                             */
   /* ================================================================ */
 
-  /** Load existing SSTable files from disk on startup. */
+  /**
+   * Load the SSTables listed in the MANIFEST and delete orphaned `.sst`
+   * files it does not mention. Data directories from before the MANIFEST
+   * existed are adopted by inferring levels from the file names. Throws if
+   * the MANIFEST is corrupt (deleting nothing), and a
+   * ComparatorMismatchError if it or a table was ordered by another
+   * comparator.
+   */
   _loadExistingSSTables() {
-    if (!existsSync(this.dataDir)) return;
+    const files = readdirSync(this.dataDir).filter(f => /^L\d+_\d+\.sst$/.test(f));
+    for (const file of files) Compaction.reserveTableName(file);
 
-    const files = readdirSync(this.dataDir)
-      .filter(f => f.endsWith('.sst'))
-      .sort(); // sorted by name → by timestamp within each level
+    let live;
+    try {
+      live = this.manifest.existed ? this.manifest.recover() : this.manifest.adopt(files);
+    } catch (err) {
+      // A corrupt MANIFEST: keep every table rather than collect "orphans"
+      this._abortOpen(err);
+    }
+    if (this.manifest.lastRecovery.discarded > 0) {
+      console.error('Warning: MANIFEST ended in a torn edit; it was discarded');
+    }
 
-    for (const file of files) {
-      const match = file.match(/^L(\d+)_(\d+)\.sst$/);
-      if (!match) continue;
-
-      const level = parseInt(match[1], 10);
-      const filePath = join(this.dataDir, file);
-
-      try {
-        const reader = SSTableReader.open(filePath);
-        const tables = this.levels.get(level) || [];
-        tables.push({ path: filePath, reader });
-        this.levels.set(level, tables);
-      } catch (err) {
-        console.error(`Warning: skipping corrupt SSTable ${file}: ${err.message}`);
+    // Checked before the WAL is replayed in this order, even with no tables yet
+    const recorded = this.manifest.comparator;
+    if (recorded !== null && recorded !== this.comparator.name) {
+      this._abortOpen(new ComparatorMismatchError(`Database ${this.dataDir}`, recorded, this.comparator.name));
+    }
+    this.manifest.comparator = this.comparator.name;
+
+    const listed = new Set();
+    for (const [level, names] of live) {
+      const tables = [];
+      for (const file of names) {
+        listed.add(file);
+        const filePath = join(this.dataDir, file);
+        try {
+          const reader = SSTableReader.open(filePath, { comparator: this.comparator });
+          this.seq = Math.max(this.seq, reader.maxSeq);
+          tables.push({ path: filePath, reader });
+        } catch (err) {
+          // An intact table in another order is not damage: refuse to open
+          if (err instanceof ComparatorMismatchError) {
+            for (const table of tables) table.reader.close();
+            this._abortOpen(err);
+          }
+          console.error(`Warning: skipping unreadable SSTable ${file}: ${err.message}`);
+        }
       }
+      this.levels.set(level, tables);
     }
 
-    // Within each level, sort newest first (higher timestamp = newer)
+    // Outputs of compactions that never committed, or inputs whose
+    // deletion was interrupted
+    for (const file of files) {
+      if (listed.has(file)) continue;
+      console.error(`Warning: removing orphaned SSTable ${file}`);
+      unlinkSync(join(this.dataDir, file));
+    }
+
+    // Start each run from a compact, single-edit MANIFEST
+    this.manifest.rewrite();
+  }
+
+  /**
+   * Release what the constructor has opened so far, then throw `err`.
+   * @param {Error} err
+   */
+  _abortOpen(err) {
     for (const [, tables] of this.levels) {
-      tables.sort((a, b) => {
-        const tsA = parseInt(a.path.match(/_(\d+)\.sst$/)[1], 10);
-        const tsB = parseInt(b.path.match(/_(\d+)\.sst$/)[1], 10);
-        return tsB - tsA; // newest first
-      });
+      for (const table of tables) table.reader.close();
     }
+    this.manifest.close();
+    this.blobs.close();
+    throw err;
   }
 
-  /** Replay WAL entries into the MemTable (crash recovery). */
+  /**
+   * Replay every WAL segment (crash recovery), oldest first. The newest
+   * segment's MemTable becomes the active one; older ones are queued as
+   * frozen MemTables for the background flush.
+   */
   _recoverWAL() {
-    const entries = this.wal.recover();
-    for (const { op, key, value } of entries) {
-      if (op === 'PUT') {
-        this.memTable.put(key, value);
-      } else if (op === 'DELETE') {
-        this.memTable.delete(key);
+    for (const { number, path } of WAL.listSegments(this.dataDir)) {
+      const wal = new WAL(path, this._walOptions);
+      const memTable = new MemTable({ comparator: this.comparator });
+      this._replaySegment(wal, memTable);
+
+      if (this.wal !== null) {
+        this.immutables.unshift({ memTable: this.memTable, wal: this.wal });
+      }
+      this.memTable = memTable;
+      this.wal = wal;
+      this._walNumber = number;
+    }
+
+    // Fresh directory, or only a legacy wal.log: continue on a numbered segment
+    if (this.wal === null || this._walNumber === 0) {
+      this._rotateMemTable();
+    }
+  }
+
+  /**
+   * Replay one WAL segment into `memTable`.
+   * @param {WAL} wal
+   * @param {MemTable} memTable
+   */
+  _replaySegment(wal, memTable) {
+    const entries = wal.recover();
+    const { replayed, discarded, truncatedBytes } = wal.lastRecovery;
+    this.walRecovery.replayed += replayed;
+    this.walRecovery.discarded += discarded;
+    if (discarded > 0) {
+      console.error(
+        `Warning: WAL recovery replayed ${replayed} record(s) from ${wal.filePath} and discarded ` +
+        `${discarded} torn/corrupt record(s) (${truncatedBytes} bytes truncated)`
+      );
+    }
+
+    // Records from logs that predate sequence numbers (seq 0) get fresh
+    // ones in log order — they are newer than anything already on disk.
+    const stamp = (op) => {
+      const seq = op.seq > 0 ? op.seq : this.seq + 1;
+      this.seq = Math.max(this.seq, seq);
+      return { ...op, seq };
+    };
+
+    for (const entry of entries) {
+      if (entry.op === 'BATCH') {
+        memTable.applyBatch(entry.ops.map(stamp));
+      } else if (entry.op === 'PUT' || entry.op === 'DELETE' || entry.op === 'DELETE_RANGE') {
+        memTable.applyBatch([stamp(entry)]);
+      }
+    }
+  }
+
+  /* ================================================================ */
+  /*  Integrity                                                        */
+  /* ================================================================ */
+
+  /**
+   * Check every SSTable in the MANIFEST: each data block against its
+   * checksum, and that the table opens at all.
+   *
+   * With `repair`, each damaged table is replaced by a fresh one holding
+   * the entries of its intact blocks, at the same position in its level,
+   * committed through the MANIFEST like a compaction. The damaged file
+   * is kept beside it as `<name>.corrupt` for inspection. Entries in
+   * damaged blocks are lost — older versions of those keys in deeper
+   * levels may become visible again.
+   *
+   * @param {object} [options]
+   * @param {boolean} [options.repair] – salvage damaged tables
+   * @returns {{ tables: object[], damaged: number, repaired: number }}
+   */
+  verify({ repair = false } = {}) {
+    const report = { tables: [], damaged: 0, repaired: 0 };
+
+    for (const [level, files] of [...this.manifest.levels].sort(([a], [b]) => a - b)) {
+      const loaded = new Map((this.levels.get(level) || []).map(t => [basename(t.path), t]));
+
+      for (const file of files) {
+        const table = loaded.get(file) ?? null;
+        const result = {
+          file,
+          level,
+          formatVersion: table?.reader.version ?? null,
+          checksummed: table?.reader.checksummed ?? null,
+          blocks: 0,
+          entries: 0,
+          corruptBlocks: [],
+          // Tables that failed to open were skipped when the engine started
+          error: table === null ? 'SSTable could not be opened' : null,
+        };
+        if (table !== null) Object.assign(result, table.reader.verify());
+
+        const damaged = result.error !== null || result.corruptBlocks.length > 0;
+        if (damaged) report.damaged++;
+        if (damaged && repair) {
+          result.repaired = this._repairTable(level, file, table);
+          report.repaired++;
+        }
+        report.tables.push(result);
+      }
+    }
+
+    return report;
+  }
+
+  /**
+   * Replace a damaged table with the entries of its intact blocks.
+   * @param {number} level
+   * @param {string} file – the damaged table's file name
+   * @param {{ path: string, reader: SSTableReader }|null} table – null if it never opened
+   * @returns {{ file: string|null, salvaged: number }} the replacement (null if nothing was salvaged)
+   */
+  _repairTable(level, file, table) {
+    const path = join(this.dataDir, file);
+    let entries = [];
+    let reader = table?.reader ?? null;
+    try {
+      reader ??= SSTableReader.open(path, { salvage: true, comparator: this.comparator });
+      entries = [...reader.salvage()];
+    } catch (err) {
+      console.error(`Warning: nothing salvageable in SSTable ${file}: ${err.message}`);
+    }
+
+    const fresh = this._replaceTable(level, file, table ?? { path }, entries, [...(reader?.rangeTombstones ?? [])]);
+
+    // A running compaction may be reading the damaged table: abandon it
+    // (its partly written outputs are orphans, collected on the next open)
+    this._compaction = null;
+    reader?.retire();
+    renameSync(path, `${path}.corrupt`);
+    if (this.backgroundCompaction) this._scheduleCompaction();
+
+    return { file: fresh && basename(fresh.path), salvaged: entries.length };
+  }
+
+  /**
+   * Expiry time of a value written now with a TTL of `ttlMs`.
+   * @param {number} ttlMs
+   * @returns {number} ms since the epoch
+   */
+  static _expiryTime(ttlMs) {
+    if (!Number.isFinite(ttlMs) || ttlMs <= 0) {
+      throw new Error(`Invalid TTL: ${ttlMs} (expected a positive number of milliseconds)`);
+    }
+    return Date.now() + Math.ceil(ttlMs);
+  }
+
+  /**
+   * Options for every SSTable this engine writes.
+   * @returns {{ compression: string, bloomBitsPerKey: number, comparator: object }}
+   */
+  _tableOptions() {
+    return { compression: this.compression, bloomBitsPerKey: this.bloomBitsPerKey, comparator: this.comparator };
+  }
+
+  /**
+   * Move a large value out to the blob files, leaving a pointer entry.
+   * @param {{ key: string, value: string, seq: number }} entry
+   * @returns {{ key: string, value: string, seq: number, blob?: boolean }}
+   */
+  _separateValue(entry) {
+    if (entry.tombstone || entry.value.length < this.blobThreshold) {
+      return entry;
+    }
+    return { ...entry, value: this.blobs.append(entry.key, entry.value), blob: true };
+  }
+
+  /**
+   * Swap one table for a new one holding `entries` (or for nothing, if
+   * empty) at the same position in its level, committed through the
+   * MANIFEST. The old file is left for the caller to dispose of.
+   * @param {number} level
+   * @param {string} file – the old table's file name
+   * @param {{ path: string, reader?: SSTableReader }} table – the old table
+   * @param {{ key: string, value: string, seq: number }[]} entries
+   * @param {{ start: string, end: string, seq: number }[]} [rangeTombstones]
+   *        – range deletions for the new table (by default the old one's)
+   * @returns {{ path: string, reader: SSTableReader }|null} the new table
+   */
+  _replaceTable(level, file, table, entries, rangeTombstones = [...(table.reader?.rangeTombstones ?? [])]) {
+    let fresh = null;
+    if (entries.length > 0 || rangeTombstones.length > 0) {
+      const freshPath = Compaction.tablePath(this.dataDir, level);
+      SSTableWriter.write(entries, freshPath, { ...this._tableOptions(), rangeTombstones });
+      fresh = { path: freshPath, reader: SSTableReader.open(freshPath, { comparator: this.comparator }) };
+    }
+
+    // Added tables go to the front of their level, so the replacement
+    // keeps its place by re-adding every newer table in front of it
+    const names = this.manifest.levels.get(level);
+    const before = new Set(names.slice(0, names.indexOf(file)));
+    const newer = (this.levels.get(level) || []).filter(t => before.has(basename(t.path)));
+    const edit = {
+      removed: [...newer, table],
+      added: [...newer, ...(fresh ? [fresh] : [])].map(t => ({ level, table: t })),
+    };
+    this.manifest.logEdit(edit);
+    this.levels = Compaction.install(this.levels, edit);
+    return fresh;
+  }
+
+  /**
+   * Blob GC: reclaim space in blob files held by values no SSTable points
+   * at any more (overwritten, deleted or compacted away).
+   *
+   * Files nothing points at are deleted. A file that is at least `ratio`
+   * garbage has its live values copied to the current blob file; every
+   * table pointing into it is rewritten with the new pointers (keeping
+   * its place in its level), and then the file is deleted. The compaction
+   * in progress, if any, is finished first so the table set holds still.
+   * Files open iterators have pinned are deleted once they are closed.
+   *
+   * Throws if a table in the MANIFEST could not be opened: its pointers
+   * are unknown, so no blob file is safe to delete until it is repaired.
+   *
+   * @param {object} [options]
+   * @param {number} [options.ratio] – garbage fraction that triggers relocation
+   * @returns {{ deletedFiles: number, relocatedValues: number, rewrittenTables: number, reclaimedBytes: number }}
+   */
+  gcBlobs({ ratio = BLOB_GC_RATIO } = {}) {
+    while (this._compaction !== null) this._stepCompaction();
+    const loaded = new Set([...this.levels.values()].flat().map(t => basename(t.path)));
+    const unreadable = [...this.manifest.levels.values()].flat().filter(file => !loaded.has(file));
+    if (unreadable.length > 0) {
+      throw new Error(`Blob GC skipped: SSTable ${unreadable.join(', ')} could not be opened (repair it with verify first)`);
+    }
+    const sizeBefore = this.blobs.stats().sizeBytes;
+
+    // Live bytes in each blob file, and the tables pointing into it
+    const live = new Map();
+    const levelOf = new Map();
+    for (const [level, tables] of this.levels) {
+      for (const table of tables) {
+        levelOf.set(table, level);
+        for (const entry of table.reader.versions()) {
+          if (!entry.blob) continue;
+          const { file, length } = BlobStore.parsePointer(entry.value);
+          if (!live.has(file)) live.set(file, { bytes: 0, tables: new Set() });
+          live.get(file).bytes += length;
+          live.get(file).tables.add(table);
+        }
+      }
+    }
+
+    const report = { deletedFiles: 0, relocatedValues: 0, rewrittenTables: 0, reclaimedBytes: 0 };
+    const relocate = new Set();
+    for (const [number, { size }] of [...this.blobs.files]) {
+      if (number === this.blobs.activeNumber) continue;
+      const used = live.get(number);
+      if (used === undefined) {
+        this.blobs.remove(number);
+        report.deletedFiles++;
+      } else if (1 - used.bytes / size >= ratio) {
+        relocate.add(number);
+      }
+    }
+
+    // Rewrite the tables pointing into the files being relocated
+    const tables = new Set();
+    for (const number of relocate) {
+      for (const table of live.get(number).tables) tables.add(table);
+    }
+    for (const table of tables) {
+      const entries = [];
+      for (const entry of table.reader.versions()) {
+        if (entry.blob && relocate.has(BlobStore.parsePointer(entry.value).file)) {
+          entries.push({ ...entry, value: this.blobs.append(entry.key, this.blobs.read(entry.value)) });
+          report.relocatedValues++;
+        } else {
+          entries.push(entry);
+        }
       }
+      // The values must be durable before a table points at them
+      this.blobs.sync();
+      this._replaceTable(levelOf.get(table), basename(table.path), table, entries);
+      Compaction.removeFiles([table]);
+      report.rewrittenTables++;
     }
+
+    for (const number of relocate) {
+      this.blobs.remove(number);
+      report.deletedFiles++;
+    }
+    report.reclaimedBytes = sizeBefore - this.blobs.stats().sizeBytes;
+    return report;
   }
 
   /* ================================================================ */
@@ -265,20 +1232,46 @@ export default class LSMTree {
       memTable: {
         entries: this.memTable.count,
         sizeBytes: this.memTable.size,
+        immutable: this.immutables.length,
+      },
+      flush: {
+        pending: this.immutables.length,
+        ...this.flushStats,
       },
       levels: levelStats,
+      compactionStrategy: this.compactionStrategy,
+      comparator: this.comparator.name,
+      compaction: {
+        running: this._compaction !== null,
+        ...this.compactionStats,
+      },
+      sequence: this.seq,
+      liveSnapshots: this._snapshots.size,
+      walRecovery: { ...this.walRecovery },
+      blockCache: SSTableReader.blockCache.stats(),
+      blobs: { ...this.blobs.stats(), threshold: this.blobThreshold },
       totalSSTables,
       totalSizeBytes,
     };
   }
 
   /**
-   * Gracefully close the engine — flush any remaining MemTable data.
+   * Gracefully close the engine — flush every MemTable still holding
+   * data, finish the compaction in progress and release the WAL.
+   * Compactions not yet started resume on the next open.
    */
   close() {
-    if (this.memTable.count > 0) {
-      this.flush();
+    this.flush();
+    this._closed = true;
+    while (this._compaction !== null) {
+      this._stepCompaction();
     }
+    this.wal.close();
+    this.manifest.close();
+    for (const [, tables] of this.levels) {
+      for (const table of tables) table.reader.close();
+    }
+    this.blobs.close();
   }
 
   /* ================================================================ */
@@ -291,10 +1284,19 @@ export default class LSMTree {
    */
   inspect(limit = 100) {
     // ---- MemTable entries ----
-    const memEntries = this.memTable.entries().slice(0, limit);
+    const memEntries = readableEntries(this.memTable.entries().slice(0, limit));
+    const immutableMemTables = this.immutables.map(({ memTable, wal }) => ({
+      walSegment: wal.filePath.split('/').pop(),
+      entryCount: memTable.count,
+      sizeBytes: memTable.size,
+      entries: readableEntries(memTable.entries().slice(0, limit)),
+      rangeTombstones: readableRanges([...memTable.rangeTombstones].slice(0, limit)),
+    }));
 
     // ---- SSTable details ----
     const sstables = [];
+    let rawDataSize = 0;
+    let dataSize = 0;
     for (let lvl = 0; lvl < MAX_LEVELS; lvl++) {
       const tables = this.levels.get(lvl) || [];
       for (const t of tables) {
@@ -302,21 +1304,41 @@ export default class LSMTree {
         try { fileSize = statSync(t.path).size; } catch {}
 
         const filename = t.path.split('/').pop();
-        const allEntries = t.reader.entries();
-        const sample = allEntries.slice(0, limit);
+        const sample = readableEntries(t.reader.entries(limit));
+        rawDataSize += t.reader.rawDataSize;
+        dataSize += t.reader.dataSize;
 
         sstables.push({
           filename,
           level: lvl,
           entryCount: t.reader.entryCount,
+          tombstoneCount: t.reader.tombstoneCount,
+          rangeTombstones: readableRanges([...t.reader.rangeTombstones].slice(0, limit)),
+          smallestKey: t.reader.smallestKey === null ? null : Encoding.utf8.decode(t.reader.smallestKey),
+          largestKey: t.reader.largestKey === null ? null : Encoding.utf8.decode(t.reader.largestKey),
           sizeBytes: fileSize,
-          sparseIndexSize: t.reader.sparseIndex.length,
+          formatVersion: t.reader.version,
+          comparator: t.reader.comparatorName,
+          blockCount: t.reader.blockIndex.length,
+          compression: t.reader.compression,
+          compressionRatio: t.reader.compressionRatio,
           bloomFilterBits: t.reader.bloom.size,
+          bloomHashCount: t.reader.bloom.hashCount,
+          bloomFalsePositiveRate: t.reader.bloomFalsePositiveRate,
           entries: sample,
         });
       }
     }
 
-    return { memTable: memEntries, sstables };
+    return {
+      memTable: memEntries,
+      memTableRangeTombstones: readableRanges([...this.memTable.rangeTombstones].slice(0, limit)),
+      immutableMemTables,
+      sstables,
+      compression: {
+        codec: this.compression,
+        ratio: dataSize === 0 ? 1 : rawDataSize / dataSize,
+      },
+    };
   }
 }
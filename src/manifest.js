@@ -0,0 +1,291 @@
+/**
+ * Manifest — crash-safe log of which SSTables make up each level.
+ *
+ * Every change to the table set (a flush adding a Level-0 table, a
+ * compaction swapping its inputs for its outputs) is appended here as a
+ * single checksummed version edit and fsynced BEFORE it takes effect.
+ * That append is the commit point: on open the edits are replayed to
+ * rebuild the levels, and any `.sst` file they do not mention — output
+ * of a compaction that never committed, or an input deleted too late —
+ * is an orphan and can be garbage-collected.
+ *
+ * Binary format:
+ * ┌───────────────────────────────────────────────┐
+ * │ File Header: magic(4B) | version(1B)          │
+ * ├───────────────────────────────────────────────┤
+ * │ Record: repeated                              │
+ * │   crc32(4B) | length(4B) | payload            │
+ * │ Payload: JSON version edit                    │
+ * │   { removed: [file, …],                       │
+ * │     added: [{ level, file }, …],              │
+ * │     comparator?: name }                       │
+ * └───────────────────────────────────────────────┘
+ *
+ * An edit may also name the comparator that orders the database's keys
+ * (see Comparator); the engine records it so a directory holding data
+ * only in its WAL still cannot be reopened in another key order. Logs
+ * written before it was recorded name none.
+ *
+ * Edits replay exactly like `Compaction.install`: removed files are
+ * dropped, then each level's added files go to its front in order. Once
+ * the log passes MANIFEST_MAX_BYTES it is rewritten as one edit adding
+ * the current table set (written aside, then renamed into place).
+ *
+ * Only the last record can be torn by a crash mid-append, and recovery
+ * drops it. A damaged record with edits after it is corruption: replay
+ * stops with an error rather than drop the committed edits behind it
+ * (and, with them, tables whose WAL segments are already gone).
+ */
+
+import {
+  existsSync,
+  openSync,
+  closeSync,
+  writeSync,
+  fsyncSync,
+  ftruncateSync,
+  readFileSync,
+  renameSync,
+  statSync,
+  unlinkSync,
+} from 'node:fs';
+import { basename, join } from 'node:path';
+import { crc32 } from 'node:zlib';
+import { MANIFEST_MAGIC, MANIFEST_VERSION, MANIFEST_MAX_BYTES } from '../lsm.config.js';
+
+const HEADER_SIZE = 5;
+const RECORD_HEADER_SIZE = 8;
+
+export default class Manifest {
+  /**
+   * @param {string} dataDir – directory holding the MANIFEST and SSTables
+   */
+  constructor(dataDir) {
+    this.dataDir = dataDir;
+    this.filePath = join(dataDir, 'MANIFEST');
+    /** True if a MANIFEST was already on disk when opened */
+    this.existed = existsSync(this.filePath) && statSync(this.filePath).size > 0;
+
+    /**
+     * Live table file names per level, newest first.
+     * @type {Map<number, string[]>}
+     */
+    this.levels = new Map();
+
+    /** Outcome of the last `recover()` call */
+    this.lastRecovery = { edits: 0, discarded: 0 };
+
+    /** Name of the comparator ordering the keys (null if not recorded) */
+    this.comparator = null;
+
+    this.fd = null;
+  }
+
+  /**
+   * Replay the edit log and return the live file names per level. A torn
+   * last record (a crash mid-append) is truncated away; the edit it held
+   * never committed. Throws if a damaged record is followed by more data.
+   * @returns {Map<number, string[]>}
+   */
+  recover() {
+    this.levels = new Map();
+    this.lastRecovery = { edits: 0, discarded: 0 };
+    this.comparator = null;
+
+    // A rewrite that crashed before its rename never took effect
+    if (existsSync(`${this.filePath}.tmp`)) unlinkSync(`${this.filePath}.tmp`);
+    if (!this.existed) return this.levels;
+
+    const buf = readFileSync(this.filePath);
+    if (buf.length < HEADER_SIZE || buf.readUInt32LE(0) !== MANIFEST_MAGIC) {
+      throw new Error(`Invalid MANIFEST header in ${this.filePath}`);
+    }
+    const version = buf.readUInt8(4);
+    if (version !== MANIFEST_VERSION) {
+      throw new Error(`Unsupported MANIFEST version ${version} in ${this.filePath}`);
+    }
+
+    let pos = HEADER_SIZE;
+    while (pos < buf.length) {
+      const record = Manifest._readRecord(buf, pos);
+      if (!record) break;
+      if (record.edit === null) {
+        if (record.next < buf.length) {
+          throw new Error(
+            `Corrupt MANIFEST record at offset ${pos} in ${this.filePath}, followed by ${buf.length - record.next} more bytes`
+          );
+        }
+        break;
+      }
+      this._apply(record.edit);
+      this.lastRecovery.edits++;
+      pos = record.next;
+    }
+
+    if (pos < buf.length) {
+      this.lastRecovery.discarded = 1;
+      const fd = openSync(this.filePath, 'r+');
+      try {
+        ftruncateSync(fd, pos);
+        fsyncSync(fd);
+      } finally {
+        closeSync(fd);
+      }
+    }
+    return this.levels;
+  }
+
+  /**
+   * Build the table set of a directory written before the MANIFEST
+   * existed from its file names (`L<level>_<number>.sst`, higher number =
+   * newer). Call `rewrite()` afterwards to persist it.
+   * @param {string[]} files – SSTable file names in the directory
+   * @returns {Map<number, string[]>}
+   */
+  adopt(files) {
+    this.levels = new Map();
+    const number = f => parseInt(f.match(/_(\d+)\.sst$/)[1], 10);
+    for (const file of [...files].sort((a, b) => number(b) - number(a))) {
+      const level = parseInt(file.match(/^L(\d+)_/)[1], 10);
+      if (!this.levels.has(level)) this.levels.set(level, []);
+      this.levels.get(level).push(file);
+    }
+    return this.levels;
+  }
+
+  /**
+   * Durably record a version edit. Returns only once it is fsynced, so
+   * the caller may then install the edit and delete removed files.
+   * @param {import('./compaction.js').VersionEdit} edit
+   */
+  logEdit({ removed = [], added = [] }) {
+    const edit = {
+      removed: removed.map(t => basename(t.path)),
+      added: added.map(({ level, table }) => ({ level, file: basename(table.path) })),
+    };
+    this._apply(edit);
+
+    if (this.fd === null || statSync(this.filePath).size >= MANIFEST_MAX_BYTES) {
+      this.rewrite();
+      return;
+    }
+    writeSync(this.fd, Manifest._frame(edit));
+    fsyncSync(this.fd);
+  }
+
+  /**
+   * Replace the log with a single edit describing the current table set
+   * and comparator. The new file is written and fsynced aside, then
+   * atomically renamed over the old one.
+   */
+  rewrite() {
+    const added = [];
+    for (const [level, files] of [...this.levels].sort(([a], [b]) => a - b)) {
+      for (const file of files) added.push({ level, file });
+    }
+
+    const tmpPath = `${this.filePath}.tmp`;
+    const fd = openSync(tmpPath, 'w');
+    try {
+      const edit = { removed: [], added };
+      if (this.comparator !== null) edit.comparator = this.comparator;
+      writeSync(fd, Buffer.concat([Manifest._fileHeader(), Manifest._frame(edit)]));
+      fsyncSync(fd);
+    } finally {
+      closeSync(fd);
+    }
+
+    if (this.fd !== null) closeSync(this.fd);
+    renameSync(tmpPath, this.filePath);
+    // The rename is durable only once the directory entry is
+    const dirFd = openSync(this.dataDir, 'r');
+    try {
+      fsyncSync(dirFd);
+    } finally {
+      closeSync(dirFd);
+    }
+    this.fd = openSync(this.filePath, 'a');
+    this.existed = true;
+  }
+
+  /** Release the file descriptor. */
+  close() {
+    if (this.fd === null) return;
+    closeSync(this.fd);
+    this.fd = null;
+  }
+
+  /* ---- Internal helpers ----------------------------------------- */
+
+  /**
+   * Apply an edit to the in-memory file lists (mirrors Compaction.install).
+   * @param {{ removed: string[], added: { level: number, file: string }[], comparator?: string }} edit
+   */
+  _apply({ removed, added, comparator }) {
+    if (typeof comparator === 'string') this.comparator = comparator;
+
+    const gone = new Set(removed);
+    for (const [level, files] of this.levels) {
+      this.levels.set(level, files.filter(f => !gone.has(f)));
+    }
+
+    const byLevel = new Map();
+    for (const { level, file } of added) {
+      if (!byLevel.has(level)) byLevel.set(level, []);
+      byLevel.get(level).push(file);
+    }
+    for (const [level, files] of byLevel) {
+      this.levels.set(level, [...files, ...(this.levels.get(level) || [])]);
+    }
+  }
+
+  /** @returns {Buffer} */
+  static _fileHeader() {
+    const header = Buffer.alloc(HEADER_SIZE);
+    header.writeUInt32LE(MANIFEST_MAGIC, 0);
+    header.writeUInt8(MANIFEST_VERSION, 4);
+    return header;
+  }
+
+  /**
+   * Encode an edit as a framed, checksummed record.
+   * @param {object} edit
+   * @returns {Buffer}
+   */
+  static _frame(edit) {
+    const payload = Buffer.from(JSON.stringify(edit), 'utf8');
+    const header = Buffer.alloc(RECORD_HEADER_SIZE);
+    header.writeUInt32LE(crc32(payload), 0);
+    header.writeUInt32LE(payload.length, 4);
+    return Buffer.concat([header, payload]);
+  }
+
+  /**
+   * Decode the record starting at `pos`.
+   * @param {Buffer} buf
+   * @param {number} pos
+   * @returns {{ edit: object|null, next: number }|null} null if it runs
+   *          past the end of the file; `edit` is null if its checksum or
+   *          JSON is bad
+   */
+  static _readRecord(buf, pos) {
+    if (pos + RECORD_HEADER_SIZE > buf.length) return null;
+
+    const checksum = buf.readUInt32LE(pos);
+    const length = buf.readUInt32LE(pos + 4);
+    const start = pos + RECORD_HEADER_SIZE;
+    const end = start + length;
+    if (end > buf.length) return null;
+
+    const payload = buf.subarray(start, end);
+    if (crc32(payload) !== checksum) return { edit: null, next: end };
+
+    try {
+      const edit = JSON.parse(payload.toString('utf8'));
+      if (!Array.isArray(edit.removed) || !Array.isArray(edit.added)) return { edit: null, next: end };
+      return { edit, next: end };
+    } catch {
+      return { edit: null, next: end };
+    }
+  }
+}
@@ -4,9 +4,25 @@
  * A skip list is a probabilistic data structure that provides O(log n)
  * average time for insert, search, and delete operations while maintaining
  * sorted order — making it ideal for the MemTable layer of an LSM-tree.
+ *
+ * Every write is stamped with a sequence number and kept as its own
+ * version, ordered by (key ascending, seq descending). Reads take an
+ * optional sequence number and see only versions at or before it, which
+ * is what lets snapshots read a consistent view while writes continue.
+ *
+ * Range deletions are kept beside the skip list as a RangeTombstones
+ * set; readers combine them with the point entries.
+ *
+ * A version written with a TTL carries its expiry time (`expiresAt`,
+ * ms since the epoch); it is stored as is and left to readers to hide.
+ * A deletion is a version flagged `tombstone`, with an empty value.
+ *
+ * Keys and values are byte strings (see Encoding), ordered by the
+ * MemTable's comparator — bytewise unless one is given (see Comparator).
  */
 
-import { TOMBSTONE } from '../lsm.config.js';
+import Comparator from './comparator.js';
+import RangeTombstones from './range-tombstones.js';
 
 /* ------------------------------------------------------------------ */
 /*  Skip List Node                                                     */
@@ -16,11 +32,17 @@ class SkipListNode {
   /**
    * @param {string} key
    * @param {string|null} value
+   * @param {number} seq    – sequence number of this version
    * @param {number} level  – number of forward pointers (1-based height)
+   * @param {number} [expiresAt] – expiry time (ms since the epoch, 0 = never)
+   * @param {boolean} [tombstone] – this version deletes the key
    */
-  constructor(key, value, level) {
+  constructor(key, value, seq, level, expiresAt = 0, tombstone = false) {
     this.key = key;
     this.value = value;
+    this.seq = seq;
+    this.expiresAt = expiresAt;
+    this.tombstone = tombstone;
     /** @type {SkipListNode[]} forward pointers, index 0 = bottom level */
     this.forward = new Array(level).fill(null);
   }
@@ -33,13 +55,30 @@ class SkipListNode {
 const MAX_LEVEL = 16;
 const P = 0.5; // probability for level promotion
 
+/**
+ * The version a node holds, with its expiry time and tombstone flag
+ * only if set.
+ * @param {SkipListNode} node
+ * @returns {{ key: string, value: string, seq: number, expiresAt?: number, tombstone?: boolean }}
+ */
+function versionOf(node) {
+  const version = { key: node.key, value: node.value, seq: node.seq };
+  if (node.expiresAt > 0) version.expiresAt = node.expiresAt;
+  if (node.tombstone) version.tombstone = true;
+  return version;
+}
+
 class SkipList {
-  constructor() {
+  /**
+   * @param {(a: string, b: string) => number} compare – key order
+   */
+  constructor(compare) {
+    this._compare = compare;
     /** Sentinel head node – key is never matched */
-    this.head = new SkipListNode(null, null, MAX_LEVEL);
+    this.head = new SkipListNode(null, null, 0, MAX_LEVEL);
     /** Current maximum level in the list (0-indexed) */
     this.level = 0;
-    /** Number of logical entries (including tombstones) */
+    /** Number of stored versions (including tombstones) */
     this.count = 0;
     /** Approximate byte size of stored data */
     this.byteSize = 0;
@@ -47,6 +86,15 @@ class SkipList {
 
   /* ---- helpers --------------------------------------------------- */
 
+  /**
+   * True if `node` sorts before the version (key, seq):
+   * keys ascending, then newer (higher) sequence numbers first.
+   */
+  _precedes(node, key, seq) {
+    const cmp = this._compare(node.key, key);
+    return cmp < 0 || (cmp === 0 && node.seq > seq);
+  }
+
   /** Generate a random level using geometric distribution */
   _randomLevel() {
     let lvl = 0;
@@ -54,20 +102,63 @@ class SkipList {
     return lvl;
   }
 
+  /**
+   * Return the first node at or after the version (key, seq), i.e. the
+   * newest version of `key` with a sequence number <= seq — or the next
+   * key if there is none.
+   * @param {string} key
+   * @param {number} seq
+   * @returns {SkipListNode|null}
+   */
+  _seek(key, seq) {
+    let current = this.head;
+    for (let i = this.level; i >= 0; i--) {
+      while (current.forward[i] !== null && this._precedes(current.forward[i], key, seq)) {
+        current = current.forward[i];
+      }
+    }
+    return current.forward[0];
+  }
+
+  /**
+   * Return the last node whose key is < `key` (or <= with `inclusive`),
+   * or the very last node when `key` is undefined.
+   * @param {string} [key]
+   * @param {boolean} [inclusive]
+   * @returns {SkipListNode|null}
+   */
+  _findLast(key, inclusive = false) {
+    let current = this.head;
+    for (let i = this.level; i >= 0; i--) {
+      while (current.forward[i] !== null) {
+        if (key !== undefined) {
+          const cmp = this._compare(current.forward[i].key, key);
+          if (cmp > 0 || (cmp === 0 && !inclusive)) break;
+        }
+        current = current.forward[i];
+      }
+    }
+    return current === this.head ? null : current;
+  }
+
   /* ---- public API ------------------------------------------------ */
 
   /**
-   * Insert or update a key-value pair.
+   * Insert a new version of a key. Writing the same (key, seq) twice
+   * replaces the value in place.
    * @param {string} key
    * @param {string} value
+   * @param {number} [seq]
+   * @param {number} [expiresAt] – expiry time (ms since the epoch, 0 = never)
+   * @param {boolean} [tombstone] – the version deletes the key
    */
-  put(key, value) {
+  put(key, value, seq = 0, expiresAt = 0, tombstone = false) {
     const update = new Array(MAX_LEVEL).fill(null);
     let current = this.head;
 
     // Traverse from the highest level down to level 0
     for (let i = this.level; i >= 0; i--) {
-      while (current.forward[i] !== null && current.forward[i].key < key) {
+      while (current.forward[i] !== null && this._precedes(current.forward[i], key, seq)) {
         current = current.forward[i];
       }
       update[i] = current;
@@ -75,11 +166,13 @@ class SkipList {
 
     current = current.forward[0];
 
-    if (current !== null && current.key === key) {
-      // Key already exists — update value and adjust byte size
-      this.byteSize -= Buffer.byteLength(current.value, 'utf8');
+    if (current !== null && current.key === key && current.seq === seq) {
+      // Version already exists — update value and adjust byte size
+      this.byteSize -= current.value.length;
       current.value = value;
-      this.byteSize += Buffer.byteLength(value, 'utf8');
+      current.expiresAt = expiresAt;
+      current.tombstone = tombstone;
+      this.byteSize += value.length;
       return;
     }
 
@@ -93,7 +186,7 @@ class SkipList {
       this.level = newLevel;
     }
 
-    const newNode = new SkipListNode(key, value, newLevel + 1);
+    const newNode = new SkipListNode(key, value, seq, newLevel + 1, expiresAt, tombstone);
 
     for (let i = 0; i <= newLevel; i++) {
       newNode.forward[i] = update[i].forward[i];
@@ -101,50 +194,57 @@ class SkipList {
     }
 
     this.count++;
-    this.byteSize +=
-      Buffer.byteLength(key, 'utf8') + Buffer.byteLength(value, 'utf8');
+    this.byteSize += key.length + value.length;
   }
 
   /**
-   * Look up a key.
+   * Look up the newest version of a key visible at `seq`.
    * @param {string} key
-   * @returns {string|null} The value, TOMBSTONE, or null if not found.
+   * @param {number} [seq] – read at this sequence number (default: latest)
+   * @returns {{ value: string, seq: number, expiresAt?: number, tombstone?: boolean }|null}
+   *          null if not found.
    */
-  get(key) {
-    let current = this.head;
-
-    for (let i = this.level; i >= 0; i--) {
-      while (current.forward[i] !== null && current.forward[i].key < key) {
-        current = current.forward[i];
-      }
-    }
-
-    current = current.forward[0];
-
-    if (current !== null && current.key === key) {
-      return current.value;
+  getVersion(key, seq = Infinity) {
+    const node = this._seek(key, seq);
+    if (node !== null && node.key === key) {
+      const version = { value: node.value, seq: node.seq };
+      if (node.expiresAt > 0) version.expiresAt = node.expiresAt;
+      if (node.tombstone) version.tombstone = true;
+      return version;
     }
     return null;
   }
 
+  /**
+   * Look up a key.
+   * @param {string} key
+   * @param {number} [seq] – read at this sequence number (default: latest)
+   * @returns {string|null} The value, or null if not found or deleted.
+   */
+  get(key, seq = Infinity) {
+    const version = this.getVersion(key, seq);
+    return version === null || version.tombstone ? null : version.value;
+  }
+
   /**
    * Mark a key as deleted by inserting a tombstone.
    * @param {string} key
+   * @param {number} [seq]
    */
-  delete(key) {
-    this.put(key, TOMBSTONE);
+  delete(key, seq = 0) {
+    this.put(key, '', seq, 0, true);
   }
 
   /**
-   * Return all entries sorted by key.
-   * @returns {{ key: string, value: string }[]}
+   * Return every stored version, sorted by key then newest first.
+   * @returns {{ key: string, value: string, seq: number, expiresAt?: number, tombstone?: boolean }[]}
    */
   entries() {
     const result = [];
     let current = this.head.forward[0];
 
     while (current !== null) {
-      result.push({ key: current.key, value: current.value });
+      result.push(versionOf(current));
       current = current.forward[0];
     }
 
@@ -152,41 +252,111 @@ class SkipList {
   }
 
   /**
-   * Range scan — returns entries where startKey <= key <= endKey.
+   * Range scan — returns the newest version visible at `seq` of every
+   * key where startKey <= key <= endKey.
    * @param {string} startKey
    * @param {string} endKey
-   * @returns {{ key: string, value: string }[]}
+   * @param {object} [options]
+   * @param {number} [options.seq]      – read at this sequence number (default: latest)
+   * @param {boolean} [options.reverse] – descending key order
+   * @param {number} [options.limit]    – return at most this many entries
+   * @param {number} [options.offset]   – skip this many entries first
+   * @returns {{ key: string, value: string, seq: number }[]}
    */
-  scan(startKey, endKey) {
+  scan(startKey, endKey, { seq = Infinity, reverse = false, limit = Infinity, offset = 0 } = {}) {
     const result = [];
-    let current = this.head;
-
-    // Navigate to the first node >= startKey
-    for (let i = this.level; i >= 0; i--) {
-      while (
-        current.forward[i] !== null &&
-        current.forward[i].key < startKey
-      ) {
-        current = current.forward[i];
+    const cursor = new SkipListCursor(this, seq, reverse);
+    let skipped = 0;
+
+    for (cursor.seek(reverse ? endKey : startKey); cursor.valid && result.length < limit; cursor.next()) {
+      const { key } = cursor.current;
+      const cmp = this._compare(key, reverse ? startKey : endKey);
+      if (reverse ? cmp < 0 : cmp > 0) break;
+      if (skipped < offset) {
+        skipped++;
+        continue;
       }
+      result.push(cursor.current);
     }
 
-    current = current.forward[0];
+    return result;
+  }
+}
 
-    while (current !== null && current.key <= endKey) {
-      result.push({ key: current.key, value: current.value });
-      current = current.forward[0];
+/* ------------------------------------------------------------------ */
+/*  Skip List Cursor                                                   */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Walks the newest version visible at `seq` of each key, in ascending
+ * (or, with `reverse`, descending) key order. Used by LSMIterator.
+ */
+class SkipListCursor {
+  /**
+   * @param {SkipList} list
+   * @param {number} seq
+   * @param {boolean} reverse
+   */
+  constructor(list, seq, reverse) {
+    this._list = list;
+    this._seq = seq;
+    this._reverse = reverse;
+    this._node = null;
+    /** @type {{ key: string, value: string, seq: number, expiresAt?: number, tombstone?: boolean }|null} */
+    this.current = null;
+  }
+
+  get valid() {
+    return this.current !== null;
+  }
+
+  /**
+   * Position at the first key >= target (or, in reverse, the last key
+   * <= target). Without a target, position at the first (last) key.
+   * @param {string} [target]
+   */
+  seek(target) {
+    if (this._reverse) {
+      this._settleReverse(this._list._findLast(target, true));
+    } else {
+      this._settleForward(
+        target === undefined ? this._list.head.forward[0] : this._list._seek(target, Infinity)
+      );
     }
+  }
 
-    return result;
+  /** Move to the next key in iteration order. */
+  next() {
+    if (this.current === null) return;
+    const key = this.current.key;
+    if (this._reverse) {
+      this._settleReverse(this._list._findLast(key, false));
+    } else {
+      let node = this._node.forward[0];
+      while (node !== null && node.key === key) node = node.forward[0];
+      this._settleForward(node);
+    }
   }
 
-  /** Reset the skip list to empty. */
-  clear() {
-    this.head = new SkipListNode(null, null, MAX_LEVEL);
-    this.level = 0;
-    this.count = 0;
-    this.byteSize = 0;
+  /** Versions are newest first, so the first visible one walking forward wins. */
+  _settleForward(node) {
+    while (node !== null && node.seq > this._seq) node = node.forward[0];
+    this._setCurrent(node);
+  }
+
+  /** `node` is some version of a candidate key; find that key's visible version. */
+  _settleReverse(node) {
+    while (node !== null) {
+      const visible = this._list._seek(node.key, this._seq);
+      if (visible !== null && visible.key === node.key) break;
+      node = this._list._findLast(node.key, false);
+    }
+    this._setCurrent(node === null ? null : this._list._seek(node.key, this._seq));
+  }
+
+  _setCurrent(node) {
+    this._node = node;
+    this.current = node === null ? null : versionOf(node);
   }
 }
 
@@ -195,35 +365,84 @@ class SkipList {
 /* ------------------------------------------------------------------ */
 
 export default class MemTable {
-  constructor() {
-    this._skipList = new SkipList();
+  /**
+   * @param {object} [options]
+   * @param {import('./comparator.js').KeyComparator} [options.comparator] – key order (default: bytewise)
+   */
+  constructor({ comparator = Comparator.bytewise } = {}) {
+    this.comparator = comparator;
+    this._skipList = new SkipList(comparator.compare);
+    /** Range deletions written to this MemTable */
+    this.rangeTombstones = new RangeTombstones([], comparator);
+    this._rangeTombstoneBytes = 0;
   }
 
   /**
    * @param {string} key
    * @param {string} value
+   * @param {number} [seq]
+   * @param {number} [expiresAt] – expiry time (ms since the epoch, 0 = never)
    */
-  put(key, value) {
-    this._skipList.put(key, value);
+  put(key, value, seq, expiresAt) {
+    this._skipList.put(key, value, seq, expiresAt);
   }
 
   /**
    * @param {string} key
+   * @param {number} [seq] – read at this sequence number (default: latest)
    * @returns {string|null}
    */
-  get(key) {
-    return this._skipList.get(key);
+  get(key, seq) {
+    return this._skipList.get(key, seq);
   }
 
   /**
    * @param {string} key
+   * @param {number} [seq]
+   * @returns {{ value: string, seq: number, expiresAt?: number, tombstone?: boolean }|null}
+   */
+  getVersion(key, seq) {
+    return this._skipList.getVersion(key, seq);
+  }
+
+  /**
+   * @param {string} key
+   * @param {number} [seq]
+   */
+  delete(key, seq) {
+    this._skipList.delete(key, seq);
+  }
+
+  /**
+   * Delete every key in [startKey, endKey) older than `seq`.
+   * @param {string} startKey
+   * @param {string} endKey
+   * @param {number} seq
    */
-  delete(key) {
-    this._skipList.delete(key);
+  deleteRange(startKey, endKey, seq) {
+    this.rangeTombstones.add({ start: startKey, end: endKey, seq });
+    this._rangeTombstoneBytes += startKey.length + endKey.length + 8;
   }
 
   /**
-   * @returns {{ key: string, value: string }[]}
+   * Apply a group of mutations in one step (see WriteBatch). A
+   * DELETE_RANGE op carries the end of its range as its value.
+   * @param {{ op: 'PUT'|'DELETE'|'DELETE_RANGE', key: string, value: string, seq?: number, expiresAt?: number }[]} ops
+   */
+  applyBatch(ops) {
+    for (const { op, key, value, seq, expiresAt } of ops) {
+      if (op === 'PUT') {
+        this._skipList.put(key, value, seq, expiresAt);
+      } else if (op === 'DELETE') {
+        this._skipList.delete(key, seq);
+      } else if (op === 'DELETE_RANGE') {
+        this.deleteRange(key, value, seq);
+      }
+    }
+  }
+
+  /**
+   * @returns {{ key: string, value: string, seq: number }[]}
    */
   entries() {
     return this._skipList.entries();
@@ -232,29 +451,45 @@ export default class MemTable {
   /**
    * @param {string} startKey
    * @param {string} endKey
+   * @param {{ seq?: number, reverse?: boolean, limit?: number, offset?: number }} [options]
+   */
+  scan(startKey, endKey, options) {
+    return this._skipList.scan(startKey, endKey, options);
+  }
+
+  /**
+   * Open a cursor over the newest version visible at `seq` of each key.
+   * The cursor keeps reading the data it was opened on even after the
+   * MemTable is cleared by a flush.
+   * @param {number} [seq]
+   * @param {boolean} [reverse]
+   * @returns {SkipListCursor}
    */
-  scan(startKey, endKey) {
-    return this._skipList.scan(startKey, endKey);
+  cursor(seq = Infinity, reverse = false) {
+    return new SkipListCursor(this._skipList, seq, reverse);
   }
 
   /**
    * Approximate byte size of data held in memory.
    */
   get size() {
-    return this._skipList.byteSize;
+    return this._skipList.byteSize + this._rangeTombstoneBytes;
   }
 
   /**
-   * Number of entries (including tombstones).
+   * Number of stored versions (including tombstones and range tombstones).
    */
   get count() {
-    return this._skipList.count;
+    return this._skipList.count + this.rangeTombstones.size;
   }
 
   /**
-   * Discard all entries.
+   * Discard all entries. Starts a fresh skip list rather than emptying
+   * the old one so open cursors are unaffected.
    */
   clear() {
-    this._skipList.clear();
+    this._skipList = new SkipList(this.comparator.compare);
+    this.rangeTombstones = new RangeTombstones([], this.comparator);
+    this._rangeTombstoneBytes = 0;
   }
 }
@@ -0,0 +1,112 @@
+/**
+ * RangeTombstones — a set of range deletions.
+ *
+ * `db.deleteRange(start, end)` writes one range tombstone instead of a
+ * tombstone per key: `{ start, end, seq }` deletes every version older
+ * than `seq` of every key in [start, end). Range tombstones travel with
+ * the point entries — WAL record, MemTable, SSTable properties block —
+ * and readers hide any entry for which a visible range tombstone with a
+ * higher sequence number covers the key.
+ *
+ * Range deletions are expected to be few next to point writes, so the
+ * set is a plain list searched linearly. Bounds compare with the set's
+ * comparator, the same order as the keys they delete.
+ */
+
+import Comparator from './comparator.js';
+
+/**
+ * @typedef {object} RangeTombstone
+ * @property {string} start – first key deleted (inclusive)
+ * @property {string} end   – end of the range (exclusive)
+ * @property {number} seq   – sequence number of the deletion
+ */
+
+export default class RangeTombstones {
+  /**
+   * @param {Iterable<RangeTombstone>} [tombstones]
+   * @param {import('./comparator.js').KeyComparator} [comparator] – key order (default: bytewise)
+   */
+  constructor(tombstones = [], comparator = Comparator.bytewise) {
+    /** @type {RangeTombstone[]} */
+    this._list = [...tombstones];
+    this.comparator = comparator;
+  }
+
+  /**
+   * Union of several sets, keeping only tombstones visible at `seq`.
+   * @param {Iterable<RangeTombstones>} sets
+   * @param {number} [seq]
+   * @param {import('./comparator.js').KeyComparator} [comparator]
+   * @returns {RangeTombstones}
+   */
+  static merge(sets, seq = Infinity, comparator = Comparator.bytewise) {
+    const merged = new RangeTombstones([], comparator);
+    for (const set of sets) {
+      for (const t of set) {
+        if (t.seq <= seq) merged.add(t);
+      }
+    }
+    return merged;
+  }
+
+  /**
+   * @param {RangeTombstone} tombstone
+   */
+  add({ start, end, seq }) {
+    this._list.push({ start, end, seq });
+  }
+
+  /** Number of tombstones in the set. */
+  get size() {
+    return this._list.length;
+  }
+
+  /**
+   * Sequence number of the newest tombstone visible at `seq` that covers
+   * `key`, or 0 if none does.
+   * @param {string} key
+   * @param {number} [seq]
+   * @returns {number}
+   */
+  maxSeqCovering(key, seq = Infinity) {
+    const { compare } = this.comparator;
+    let max = 0;
+    for (const t of this._list) {
+      if (t.seq > max && t.seq <= seq && compare(t.start, key) <= 0 && compare(key, t.end) < 0) max = t.seq;
+    }
+    return max;
+  }
+
+  /**
+   * True if a tombstone in the set deletes version `entrySeq` of `key`.
+   * @param {string} key
+   * @param {number} entrySeq
+   * @returns {boolean}
+   */
+  covers(key, entrySeq) {
+    return this.maxSeqCovering(key) > entrySeq;
+  }
+
+  /**
+   * The tombstones clipped to [lower, upper) — an undefined bound is
+   * open — dropping those that fall outside.
+   * @param {string} [lower]
+   * @param {string} [upper]
+   * @returns {RangeTombstone[]}
+   */
+  clip(lower, upper) {
+    const { compare } = this.comparator;
+    const clipped = [];
+    for (const { start, end, seq } of this._list) {
+      const from = lower !== undefined && compare(start, lower) < 0 ? lower : start;
+      const to = upper !== undefined && compare(end, upper) > 0 ? upper : end;
+      if (compare(from, to) < 0) clipped.push({ start: from, end: to, seq });
+    }
+    return clipped;
+  }
+
+  [Symbol.iterator]() {
+    return this._list[Symbol.iterator]();
+  }
+}
@@ -0,0 +1,76 @@
+/**
+ * Snapshot — a consistent, point-in-time read view of the engine.
+ *
+ * A snapshot pins the sequence number that was current when it was
+ * taken. Reads through it ignore every version written afterwards, and
+ * compaction keeps the versions it can see alive until `release()`.
+ *
+ *   const snap = db.snapshot();
+ *   db.put('k', 'new');
+ *   snap.get('k');   // still the old value
+ *   snap.release();
+ */
+
+export default class Snapshot {
+  /**
+   * @param {import('./lsm-tree.js').default} db
+   * @param {number} seq – last sequence number visible to this snapshot
+   */
+  constructor(db, seq) {
+    this._db = db;
+    this.seq = seq;
+    this.released = false;
+  }
+
+  /**
+   * @param {string|Uint8Array} key
+   * @returns {*} the value in the engine's value encoding, or null
+   */
+  get(key) {
+    this._assertLive();
+    return this._db._get(key, this.seq);
+  }
+
+  /**
+   * @param {string|Uint8Array} startKey
+   * @param {string|Uint8Array} endKey
+   * @param {{ reverse?: boolean, limit?: number, offset?: number }} [options]
+   * @returns {{ key: string, value: string }[]}
+   */
+  scan(startKey, endKey, options) {
+    this._assertLive();
+    return this._db._scan(startKey, endKey, this.seq, options);
+  }
+
+  /**
+   * @param {string|Uint8Array} prefix
+   * @param {{ reverse?: boolean, limit?: number }} [options]
+   * @returns {{ key: string, value: string }[]}
+   */
+  scanPrefix(prefix, options = {}) {
+    this._assertLive();
+    return this._db._scanPrefix(prefix, this.seq, options);
+  }
+
+  /**
+   * @param {object} [options] – see LSMTree#iterator
+   * @returns {import('./iterator.js').default}
+   */
+  iterator(options = {}) {
+    this._assertLive();
+    return this._db._iterator(options, this.seq);
+  }
+
+  /**
+   * Stop pinning old versions. Safe to call more than once.
+   */
+  release() {
+    if (this.released) return;
+    this.released = true;
+    this._db._releaseSnapshot(this);
+  }
+
+  _assertLive() {
+    if (this.released) throw new Error('Snapshot has been released');
+  }
+}
@@ -1,118 +1,570 @@
 /**
  * SSTable — Sorted String Table.
  *
- * Immutable on-disk file containing sorted key-value pairs with a
- * sparse index and an embedded Bloom filter for fast lookups.
+ * Immutable on-disk file containing sorted key-value pairs, cut into
+ * data blocks of about SSTABLE_BLOCK_SIZE bytes, with a block index and
+ * an embedded Bloom filter for fast lookups.
  *
- * Binary format:
+ * Entries are ordered by key, and a key may appear several times with
+ * different sequence numbers (newest first) when older versions are
+ * still needed by a snapshot.
+ *
+ * Binary format (v14):
  * ┌───────────────────────────────────────────────┐
  * │ Header: magic(4B) | version(1B) | count(4B)   │
+ * │         maxSeq(8B) | compression(1B)          │
+ * ├───────────────────────────────────────────────┤
+ * │ Data Blocks: repeated, each compressed        │
+ * │   Entry: repeated                             │
+ * │     shared(var) | unshared(var)               │
+ * │     valueLen(var) | seq(8B) | type(1B)        │
+ * │     [expiresAt(8B)] | key suffix | value      │
+ * │   Restarts: offset(4B) repeated | count(4B)   │
  * ├───────────────────────────────────────────────┤
- * │ Data Block: repeated                          │
- * │   keyLen(2B) | key | valueLen(4B) | value     │
+ * │ Block Index: one per data block               │
+ * │   keyLen(var) | offset(8B) | size(var)        │
+ * │   rawSize(var) | crc32(4B) | key              │
  * ├───────────────────────────────────────────────┤
- * │ Index Block: repeated                         │
- * │   keyLen(2B) | key | offset(4B)               │
+ * │ Properties Block:                             │
+ * │   entries(var) | tombstones(var)              │
+ * │   smallestLen(var) | smallestKey              │
+ * │   largestLen(var) | largestKey                │
+ * │   rangeTombstones(var), then repeated         │
+ * │     startLen(var) | start | endLen(var) | end │
+ * │     seq(8B)                                   │
+ * │   comparatorLen(var) | comparator name        │
  * ├───────────────────────────────────────────────┤
  * │ Bloom Filter Block: serialized BloomFilter    │
+ * │   size(4B) | hashCount(1B) | keyCount(4B)     │
+ * │   bits                                        │
+ * │   delimLen(1B) | delimiter                    │
+ * │   serialized prefix BloomFilter               │
  * ├───────────────────────────────────────────────┤
  * │ Footer:                                       │
- * │   dataOffset(4B) | indexOffset(4B)            │
- * │   bloomOffset(4B) | footerMagic(4B)           │
+ * │   dataOffset(8B) | indexOffset(8B)            │
+ * │   propsOffset(8B) | bloomOffset(8B)           │
+ * │   metaCrc32(4B) | footerMagic(4B)             │
  * └───────────────────────────────────────────────┘
+ *
+ * An entry's type is a set of flags, 0 for a plain value. Flag 1 marks
+ * a blob pointer: the value lives in a blob file (see BlobStore) and the
+ * entry holds its `<file>:<offset>:<length>` pointer. Such entries
+ * decode with `blob: true`. Flag 2 marks a value written with a TTL: the
+ * type byte is followed by its expiry time in ms since the epoch, and
+ * the entry decodes with `expiresAt`. Flag 4 marks a tombstone — a
+ * deleted key, with an empty value — decoded with `tombstone: true`.
+ *
+ * Keys and values are byte strings (see Encoding) and are stored byte
+ * for byte. Entries are in the order of the table's comparator (see
+ * Comparator), bytewise by default. The properties block records the
+ * comparator's name, and a table opened with another comparator throws
+ * an SSTableComparatorError rather than searching its blocks in the
+ * wrong order.
+ *
+ * (var) is an unsigned LEB128 varint — 7 bits per byte, low bits first —
+ * so lengths cost one byte when small and have no 64 KB / 4 GB ceiling.
+ * File offsets are 64-bit. Keys and values are still bounded by
+ * MAX_KEY_SIZE / MAX_VALUE_SIZE, which `put` enforces.
+ *
+ * A block index entry holds the first key of its block, its size on
+ * disk, its size once decompressed and a CRC32 of its bytes on disk.
+ * Blocks are only cut between keys, so every version of a key lives in
+ * the same block. The footer's metaCrc32 covers the block index, the
+ * properties block and the Bloom filter block. A checksum mismatch — on
+ * open for the metadata, on every block read for data — throws an
+ * SSTableCorruptionError instead of returning damaged data.
+ *
+ * Keys are prefix-compressed within a block: an entry stores how many
+ * leading bytes it shares with the previous key and only the rest.
+ * Every SSTABLE_RESTART_INTERVAL entries a restart point stores its key
+ * in full, and the block ends with the offsets of its restart points, so
+ * a lookup binary-searches the restarts and decodes at most one run of
+ * entries.
+ *
+ * Each table picks one block codec — none, deflate or brotli (node:zlib)
+ * — and records it in the header, so a level can mix tables written with
+ * different settings.
+ *
+ * The reader keeps just the header, block index and Bloom filters in
+ * memory; data blocks are fetched with positional reads on the file
+ * descriptor when a lookup or scan needs them, through the process-wide
+ * LRU `SSTableReader.blockCache`.
+ *
+ * The prefix Bloom filter holds every delimiter-terminated prefix of
+ * every key ("user:", "user:00042:" for "user:00042:email") so prefix
+ * scans can skip tables that hold nothing under the prefix. Tables
+ * written before it existed simply end after the key filter.
+ *
+ * Both filters are sized from the number of distinct keys (prefixes)
+ * they hold and the bits-per-key setting, and record their key count,
+ * so inspect() can report the expected false-positive rate. Before v9
+ * every filter had a fixed 1024 bits and its hashing of that time.
+ *
+ * The properties block records the table's key range and how many of
+ * its entries are tombstones, so the reader knows the range on open
+ * without reading a data block, and lookups, scans and compaction skip
+ * tables whose range cannot hold what they are after. It also holds the
+ * table's range tombstones (see RangeTombstones); the key range spans
+ * them as well as the entries.
+ *
+ * Older formats are still read. Version 13 and older have no comparator
+ * name and are ordered bytewise. Version 12 and older have no tombstone
+ * flag: a tombstone is a plain value "__TOMBSTONE__" (LEGACY_TOMBSTONE),
+ * and their Bloom filters hash a key's UTF-16 code units rather than
+ * its bytes. Version 11 and older have no expiry flag. Version 10 has
+ * no range tombstones. Version 9 and older have no properties block
+ * (the footer has no propsOffset, a 32-byte footer); their key range is
+ * read from the first and last blocks and their tombstones are not
+ * counted. Version 7 has no type byte (every entry is a plain value).
+ * Version 6 has fixed-width fields: entry
+ * `shared(2B) | unshared(2B) | valueLen(4B) | seq(8B)`, index entry
+ * `keyLen(2B) | offset(4B) | size(4B) | rawSize(4B) | crc32(4B)` and
+ * 4-byte footer offsets (a 20-byte footer). Formats before v6 have no
+ * checksums. Version 5 has a 16-byte footer (no metaCrc32) and no crc32
+ * in its block index entries. Version 4 stores every key in full as
+ * `keyLen(2B) | valueLen(4B) | seq(8B) | key | value`, with no restart
+ * array; a block is then read as one run. Version 3 has no compression
+ * byte and no rawSize (its blocks are stored uncompressed). Version 2
+ * has no block sizes in its index — a sparse index of
+ * `keyLen(2B) | offset(4B) | key` every 16th key — so each span between
+ * index entries is read as one block. Version 1 files additionally have
+ * a 9-byte header (no maxSeq) and 6-byte entry headers (no seq); their
+ * entries read back with seq 0.
  */
 
 import {
-  writeFileSync,
-  readFileSync,
-  existsSync,
+  openSync,
+  readSync,
+  writeSync,
+  fsyncSync,
+  fstatSync,
+  closeSync,
 } from 'node:fs';
+import {
+  crc32,
+  deflateRawSync,
+  inflateRawSync,
+  brotliCompressSync,
+  brotliDecompressSync,
+} from 'node:zlib';
 import BloomFilter from './bloom-filter.js';
+import BlockCache from './block-cache.js';
+import RangeTombstones from './range-tombstones.js';
+import Encoding from './encoding.js';
+import Comparator, { ComparatorMismatchError } from './comparator.js';
 import {
   SSTABLE_MAGIC,
   SSTABLE_VERSION,
-  SPARSE_INDEX_INTERVAL,
+  SSTABLE_BLOCK_SIZE,
+  SSTABLE_RESTART_INTERVAL,
+  SSTABLE_COMPRESSION,
+  BLOOM_BITS_PER_KEY,
+  BLOCK_CACHE_SIZE,
+  MAX_KEY_SIZE,
+  MAX_VALUE_SIZE,
+  PREFIX_DELIMITER,
+  LEGACY_TOMBSTONE,
 } from '../lsm.config.js';
 
+/** Header size by format version */
+const HEADER_SIZES = { 1: 9, 2: 17, 3: 17, 4: 18, 5: 18, 6: 18, 7: 18, 8: 18, 9: 18, 10: 18, 11: 18, 12: 18, 13: 18, 14: 18 };
+
+/** Entry type flags (v8+; ENTRY_EXPIRES v12+, ENTRY_TOMBSTONE v13+) */
+const ENTRY_VALUE = 0;
+const ENTRY_BLOB = 1;
+const ENTRY_EXPIRES = 2;
+const ENTRY_TOMBSTONE = 4;
+
+/** Per-entry header size by format version (v7+ entry headers are varints) */
+const ENTRY_HEADER_SIZES = { 1: 6, 2: 14, 3: 14, 4: 14, 5: 16, 6: 16 };
+
+/** Block codecs, indexed by the code stored in the header */
+const CODECS = [
+  { name: 'none', compress: buf => buf, decompress: buf => buf },
+  { name: 'deflate', compress: buf => deflateRawSync(buf), decompress: buf => inflateRawSync(buf) },
+  { name: 'brotli', compress: buf => brotliCompressSync(buf), decompress: buf => brotliDecompressSync(buf) },
+];
+
+/** Footer size by format version (v6 adds the metadata checksum, v7 widens offsets, v10 adds propsOffset) */
+const footerSize = version => (version >= 10 ? 40 : version >= 7 ? 32 : version >= 6 ? 20 : 16);
+
+/**
+ * Encode a non-negative integer (up to 2^53) as an unsigned LEB128 varint.
+ * @param {number} n
+ * @returns {Buffer}
+ */
+function encodeVarint(n) {
+  const bytes = [];
+  while (n >= 0x80) {
+    bytes.push((n % 0x80) | 0x80);
+    n = Math.floor(n / 0x80);
+  }
+  bytes.push(n);
+  return Buffer.from(bytes);
+}
+
+/**
+ * Decode the varint at `pos`.
+ * @param {Buffer} buf
+ * @param {number} pos
+ * @returns {{ value: number, next: number }}
+ */
+function readVarint(buf, pos) {
+  let value = 0;
+  let scale = 1;
+  for (;;) {
+    if (pos >= buf.length) throw new RangeError('Varint runs past the end of the buffer');
+    const byte = buf[pos++];
+    value += (byte & 0x7f) * scale;
+    if (byte < 0x80) return { value, next: pos };
+    scale *= 0x80;
+  }
+}
+
+/**
+ * Thrown when an SSTable's bytes fail a checksum or cannot be decoded —
+ * the file is damaged, as opposed to missing or closed.
+ */
+export class SSTableCorruptionError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} filePath – the damaged table
+   */
+  constructor(message, filePath) {
+    super(`${message} in ${filePath}`);
+    this.name = 'SSTableCorruptionError';
+    this.filePath = filePath;
+  }
+}
+
+/**
+ * Thrown when an SSTable is opened with another comparator than the one
+ * that ordered it — the table is intact but cannot be searched that way.
+ */
+export class SSTableComparatorError extends ComparatorMismatchError {
+  /**
+   * @param {string} filePath – the table
+   * @param {string} tableComparator – name recorded in the table
+   * @param {string} comparator – name it was opened with
+   */
+  constructor(filePath, tableComparator, comparator) {
+    super(`SSTable ${filePath}`, tableComparator, comparator);
+    this.name = 'SSTableComparatorError';
+    this.filePath = filePath;
+  }
+}
+
+/** Source of `SSTableReader.id` — unique per open, so cache keys never go stale */
+let lastReaderId = 0;
+
+/**
+ * Closes the descriptors of readers that were dropped without `close()` —
+ * a backstop for retired tables whose last cursor was abandoned mid-scan
+ * instead of being closed (see `SSTableReader#retire`).
+ */
+const openTables = new FinalizationRegistry(fd => {
+  try {
+    closeSync(fd);
+  } catch { /* already closed */ }
+});
+
+/**
+ * Number of leading bytes `a` and `b` have in common.
+ * @param {Buffer} a
+ * @param {Buffer} b
+ * @returns {number}
+ */
+function sharedPrefixLength(a, b) {
+  const max = Math.min(a.length, b.length);
+  let n = 0;
+  while (n < max && a[n] === b[n]) n++;
+  return n;
+}
+
+/**
+ * Every prefix of `key` that ends in `delimiter`, shortest first.
+ * @param {string} key
+ * @param {string} delimiter
+ * @returns {string[]}
+ */
+function keyPrefixes(key, delimiter) {
+  const prefixes = [];
+  if (delimiter === '') return prefixes;
+  let i = key.indexOf(delimiter);
+  while (i !== -1) {
+    prefixes.push(key.slice(0, i + delimiter.length));
+    i = key.indexOf(delimiter, i + delimiter.length);
+  }
+  return prefixes;
+}
+
 /* ================================================================== */
 /*  SSTable Writer                                                    */
 /* ================================================================== */
 
 export class SSTableWriter {
+  /** Names of the supported block codecs */
+  static compressions = CODECS.map(c => c.name);
+
   /**
-   * Write a sorted array of { key, value } entries to an SSTable file.
+   * Throw if `name` is not a supported block codec.
+   * @param {string} name
+   */
+  static assertCompression(name) {
+    if (!SSTableWriter.compressions.includes(name)) {
+      throw new Error(
+        `Unknown SSTable compression "${name}" (expected ${SSTableWriter.compressions.join(', ')})`
+      );
+    }
+  }
+
+  /**
+   * Throw if a key or value is too large to store.
+   * @param {string} key – byte string
+   * @param {string} [value] – byte string
+   */
+  static assertEntrySize(key, value) {
+    const keySize = key.length;
+    if (keySize > MAX_KEY_SIZE) {
+      throw new Error(`Key too large: ${keySize} bytes (limit ${MAX_KEY_SIZE})`);
+    }
+    const valueSize = value === undefined ? 0 : value.length;
+    if (valueSize > MAX_VALUE_SIZE) {
+      throw new Error(`Value too large: ${valueSize} bytes (limit ${MAX_VALUE_SIZE})`);
+    }
+  }
+
+  /**
+   * Write a sorted array of { key, value, seq } entries to an SSTable file.
+   * Entries with `blob: true` hold a blob pointer as their value; those
+   * with `expiresAt` expire at that time (ms since the epoch); those with
+   * `tombstone: true` delete their key.
    *
-   * @param {{ key: string, value: string }[]} entries – MUST be sorted by key
+   * @param {{ key: string, value: string, seq?: number, blob?: boolean, expiresAt?: number,
+   *           tombstone?: boolean }[]} entries
+   *        MUST be sorted by key (in comparator order), then by seq descending
    * @param {string} filePath
+   * @param {object} [options]
+   * @param {number} [options.blockSize] – target data block size in bytes (before compression)
+   * @param {number} [options.restartInterval] – entries per restart point
+   * @param {'none'|'deflate'|'brotli'} [options.compression] – block codec
+   * @param {number} [options.bloomBitsPerKey] – Bloom filter bits per distinct key
+   * @param {{ start: string, end: string, seq: number }[]} [options.rangeTombstones]
+   *        – range deletions to store with the entries
+   * @param {import('./comparator.js').KeyComparator} [options.comparator] – the
+   *        order of `entries`, recorded in the table (default: bytewise)
    */
-  static write(entries, filePath) {
+  static write(entries, filePath, {
+    blockSize = SSTABLE_BLOCK_SIZE,
+    restartInterval = SSTABLE_RESTART_INTERVAL,
+    compression = SSTABLE_COMPRESSION,
+    bloomBitsPerKey = BLOOM_BITS_PER_KEY,
+    rangeTombstones = [],
+    comparator = Comparator.bytewise,
+  } = {}) {
+    SSTableWriter.assertCompression(compression);
+    const codecCode = SSTableWriter.compressions.indexOf(compression);
+    const codec = CODECS[codecCode];
     const buffers = [];
     let offset = 0;
 
+    let maxSeq = 0;
+    let keyCount = 0;
+    let tombstones = 0;
+    for (let i = 0; i < entries.length; i++) {
+      if (entries[i].seq > maxSeq) maxSeq = entries[i].seq;
+      if (i === 0 || entries[i].key !== entries[i - 1].key) keyCount++;
+      if (entries[i].tombstone) tombstones++;
+    }
+
+    // The key range spans the range tombstones as well as the entries
+    let smallest = entries.length > 0 ? entries[0].key : null;
+    let largest = entries.length > 0 ? entries[entries.length - 1].key : null;
+    for (const { start, end, seq } of rangeTombstones) {
+      if (seq > maxSeq) maxSeq = seq;
+      if (smallest === null || comparator.compare(start, smallest) < 0) smallest = start;
+      if (largest === null || comparator.compare(end, largest) > 0) largest = end;
+    }
+
     /* ---- Header ------------------------------------------------- */
-    const header = Buffer.alloc(9);
+    const headerSize = HEADER_SIZES[SSTABLE_VERSION];
+    const header = Buffer.alloc(headerSize);
     header.writeUInt32LE(SSTABLE_MAGIC, 0);
     header.writeUInt8(SSTABLE_VERSION, 4);
     header.writeUInt32LE(entries.length, 5);
+    header.writeBigUInt64LE(BigInt(maxSeq), 9);
+    header.writeUInt8(codecCode, 17);
     buffers.push(header);
-    offset += 9;
+    offset += headerSize;
 
     const dataOffset = offset;
 
-    /* ---- Data Block --------------------------------------------- */
-    const bloom = new BloomFilter();
-    const sparseIndex = []; // { key, offset }
+    /* ---- Data Blocks -------------------------------------------- */
+    const bloom = BloomFilter.forKeys(keyCount, { bitsPerKey: bloomBitsPerKey });
+    const prefixes = new Set();
+    const delimiter = Encoding.toBytes(PREFIX_DELIMITER);
+    const blockIndex = []; // { key, offset, size, rawSize }
+    let block = null;
+    let blockBuffers = [];
+    let restarts = [];
+    let prevKey = null;
+
+    const finishBlock = () => {
+      // Restart array: the offset of every restart point, then their count
+      const trailer = Buffer.alloc(4 * (restarts.length + 1));
+      restarts.forEach((pos, j) => trailer.writeUInt32LE(pos, 4 * j));
+      trailer.writeUInt32LE(restarts.length, 4 * restarts.length);
+      blockBuffers.push(trailer);
+      block.rawSize += trailer.length;
+
+      const stored = codec.compress(Buffer.concat(blockBuffers));
+      block.offset = offset;
+      block.size = stored.length;
+      block.crc = crc32(stored);
+      buffers.push(stored);
+      offset += stored.length;
+      blockBuffers = [];
+      restarts = [];
+    };
 
     for (let i = 0; i < entries.length; i++) {
-      const { key, value } = entries[i];
-      bloom.add(key);
+      const { key, value, seq = 0, blob = false, expiresAt = 0, tombstone = false } = entries[i];
+      if (i === 0 || entries[i - 1].key !== key) {
+        bloom.add(key);
+        for (const prefix of keyPrefixes(key, delimiter)) prefixes.add(prefix);
+      }
 
-      // Sparse index: save an entry every SPARSE_INDEX_INTERVAL keys
-      if (i % SPARSE_INDEX_INTERVAL === 0) {
-        sparseIndex.push({ key, offset });
+      // Start a new block once the current one is full — but never
+      // between two versions of the same key, so a lookup that reads one
+      // block always sees every version.
+      if (block === null || (block.rawSize >= blockSize && entries[i - 1].key !== key)) {
+        if (block !== null) finishBlock();
+        block = { key, offset: 0, size: 0, rawSize: 0, crc: 0, entries: 0 };
+        blockIndex.push(block);
       }
 
-      const keyBuf = Buffer.from(key, 'utf8');
-      const valBuf = Buffer.from(value, 'utf8');
+      const keyBuf = Buffer.from(key, 'latin1');
+      const valBuf = Buffer.from(tombstone ? '' : value, 'latin1');
+
+      // Each block starts on a restart point, so it decodes on its own
+      let shared = 0;
+      if (block.entries % restartInterval === 0) {
+        restarts.push(block.rawSize);
+      } else {
+        shared = sharedPrefixLength(prevKey, keyBuf);
+      }
+      const suffix = keyBuf.subarray(shared);
 
-      const entryHeader = Buffer.alloc(6);
-      entryHeader.writeUInt16LE(keyBuf.length, 0);
-      entryHeader.writeUInt32LE(valBuf.length, 2);
+      const seqBuf = Buffer.alloc(8);
+      seqBuf.writeBigUInt64LE(BigInt(seq));
+      const headerParts = [
+        encodeVarint(shared),
+        encodeVarint(suffix.length),
+        encodeVarint(valBuf.length),
+        seqBuf,
+        Buffer.from([
+          (tombstone ? ENTRY_TOMBSTONE : blob ? ENTRY_BLOB : ENTRY_VALUE) | (expiresAt > 0 ? ENTRY_EXPIRES : 0),
+        ]),
+      ];
+      if (expiresAt > 0) {
+        const expiryBuf = Buffer.alloc(8);
+        expiryBuf.writeBigUInt64LE(BigInt(expiresAt));
+        headerParts.push(expiryBuf);
+      }
+      const entryHeader = Buffer.concat(headerParts);
 
-      buffers.push(entryHeader, keyBuf, valBuf);
-      offset += 6 + keyBuf.length + valBuf.length;
+      blockBuffers.push(entryHeader, suffix, valBuf);
+      block.rawSize += entryHeader.length + suffix.length + valBuf.length;
+      block.entries++;
+      prevKey = keyBuf;
     }
+    if (block !== null) finishBlock();
 
     const indexOffset = offset;
+    const metaStart = buffers.length;
 
-    /* ---- Index Block -------------------------------------------- */
-    for (const entry of sparseIndex) {
-      const keyBuf = Buffer.from(entry.key, 'utf8');
-      const idxEntry = Buffer.alloc(6);
-      idxEntry.writeUInt16LE(keyBuf.length, 0);
-      idxEntry.writeUInt32LE(entry.offset, 2);
+    /* ---- Block Index -------------------------------------------- */
+    for (const entry of blockIndex) {
+      const keyBuf = Buffer.from(entry.key, 'latin1');
+      const offsetBuf = Buffer.alloc(8);
+      offsetBuf.writeBigUInt64LE(BigInt(entry.offset));
+      const crcBuf = Buffer.alloc(4);
+      crcBuf.writeUInt32LE(entry.crc);
+      const idxEntry = Buffer.concat([
+        encodeVarint(keyBuf.length),
+        offsetBuf,
+        encodeVarint(entry.size),
+        encodeVarint(entry.rawSize),
+        crcBuf,
+      ]);
 
       buffers.push(idxEntry, keyBuf);
-      offset += 6 + keyBuf.length;
+      offset += idxEntry.length + keyBuf.length;
+    }
+
+    /* ---- Properties Block --------------------------------------- */
+    const propsOffset = offset;
+    const smallestBuf = Buffer.from(smallest ?? '', 'latin1');
+    const largestBuf = Buffer.from(largest ?? '', 'latin1');
+    const propsParts = [
+      encodeVarint(entries.length),
+      encodeVarint(tombstones),
+      encodeVarint(smallestBuf.length),
+      smallestBuf,
+      encodeVarint(largestBuf.length),
+      largestBuf,
+      encodeVarint(rangeTombstones.length),
+    ];
+    for (const { start, end, seq } of rangeTombstones) {
+      const startBuf = Buffer.from(start, 'latin1');
+      const endBuf = Buffer.from(end, 'latin1');
+      const seqBuf = Buffer.alloc(8);
+      seqBuf.writeBigUInt64LE(BigInt(seq));
+      propsParts.push(encodeVarint(startBuf.length), startBuf, encodeVarint(endBuf.length), endBuf, seqBuf);
     }
+    const comparatorBuf = Buffer.from(comparator.name, 'utf8');
+    propsParts.push(encodeVarint(comparatorBuf.length), comparatorBuf);
+    const propsBuf = Buffer.concat(propsParts);
+    buffers.push(propsBuf);
+    offset += propsBuf.length;
 
     const bloomOffset = offset;
 
     /* ---- Bloom Filter Block ------------------------------------- */
+    const prefixBloom = BloomFilter.forKeys(prefixes.size, { bitsPerKey: bloomBitsPerKey });
+    for (const prefix of prefixes) prefixBloom.add(prefix);
     const bloomBuf = bloom.serialize();
-    buffers.push(bloomBuf);
-    offset += bloomBuf.length;
+    const delimBuf = Buffer.from(delimiter, 'latin1');
+    const prefixBuf = Buffer.concat([
+      Buffer.from([delimBuf.length]),
+      delimBuf,
+      prefixBloom.serialize(),
+    ]);
+    buffers.push(bloomBuf, prefixBuf);
+    offset += bloomBuf.length + prefixBuf.length;
 
     /* ---- Footer ------------------------------------------------- */
-    const footer = Buffer.alloc(16);
-    footer.writeUInt32LE(dataOffset, 0);
-    footer.writeUInt32LE(indexOffset, 4);
-    footer.writeUInt32LE(bloomOffset, 8);
-    footer.writeUInt32LE(SSTABLE_MAGIC, 12);
+    const footer = Buffer.alloc(footerSize(SSTABLE_VERSION));
+    footer.writeBigUInt64LE(BigInt(dataOffset), 0);
+    footer.writeBigUInt64LE(BigInt(indexOffset), 8);
+    footer.writeBigUInt64LE(BigInt(propsOffset), 16);
+    footer.writeBigUInt64LE(BigInt(bloomOffset), 24);
+    footer.writeUInt32LE(crc32(Buffer.concat(buffers.slice(metaStart))), 32);
+    footer.writeUInt32LE(SSTABLE_MAGIC, 36);
     buffers.push(footer);
 
     /* ---- Flush to disk ------------------------------------------ */
-    writeFileSync(filePath, Buffer.concat(buffers));
+    // fsync before returning: the caller deletes the WAL segment that
+    // backs these entries as soon as the table is installed. 'wx' refuses
+    // to overwrite an existing table. Buffers are written one by one, as
+    // a table may be larger than the biggest single Buffer.
+    const fd = openSync(filePath, 'wx');
+    try {
+      for (const buf of buffers) writeSync(fd, buf);
+      fsyncSync(fd);
+    } finally {
+      closeSync(fd);
+    }
   }
 }
 
@@ -121,161 +573,838 @@ export class SSTableWriter {
 /* ================================================================== */
 
 export class SSTableReader {
+  /** Data blocks shared by every open table in the process */
+  static blockCache = new BlockCache(BLOCK_CACHE_SIZE);
+
   /**
-   * Open an existing SSTable file and load its index + bloom filter
-   * into memory for efficient lookups.
+   * Open an existing SSTable file and load its block index + bloom
+   * filter into memory. Data blocks stay on disk until read.
    *
    * @param {string} filePath
+   * @param {object} [options]
+   * @param {boolean} [options.salvage] – open a damaged table to salvage
+   *        its intact blocks: skip the index and filter checksum, and
+   *        tolerate a damaged last block
+   * @param {import('./comparator.js').KeyComparator} [options.comparator] – the
+   *        order the table must be in; by default the built-in comparator
+   *        it records. Throws an SSTableComparatorError on a mismatch
    * @returns {SSTableReader}
    */
-  static open(filePath) {
+  static open(filePath, { salvage = false, comparator } = {}) {
     const reader = new SSTableReader();
+    reader.id = ++lastReaderId;
     reader.filePath = filePath;
-    reader.buf = readFileSync(filePath);
-    reader._parseFooter();
-    reader._parseBloom();
-    reader._parseIndex();
+    reader.fd = openSync(filePath, 'r');
+    openTables.register(reader, reader.fd, reader);
+    /** Open cursors reading the table */
+    reader._refs = 0;
+    /** Dropped from the tree: close once the last cursor is done */
+    reader._retired = false;
+    try {
+      /** Size of the table file in bytes */
+      reader.fileSize = fstatSync(reader.fd).size;
+      reader._parseFooter(!salvage);
+      reader._parseBloom();
+      reader._parseIndex();
+      try {
+        reader._parseKeyRange();
+      } catch (err) {
+        if (!salvage) throw err;
+      }
+      reader._useComparator(comparator);
+    } catch (err) {
+      reader.close();
+      throw err;
+    }
     return reader;
   }
 
+  /**
+   * Release the file descriptor. Reads after this throw.
+   */
+  close() {
+    if (this.fd === null) return;
+    openTables.unregister(this);
+    closeSync(this.fd);
+    this.fd = null;
+  }
+
+  /**
+   * Close the table once no cursor is reading it — for tables compacted
+   * or rewritten away while an iterator may still be on them. The open
+   * descriptor keeps the unlinked file readable until then.
+   */
+  retire() {
+    this._retired = true;
+    if (this._refs === 0) this.close();
+  }
+
+  /** Pin the table open for a cursor. */
+  _acquire() {
+    this._refs++;
+  }
+
+  /** Unpin it, closing a retired table after its last cursor. */
+  _release() {
+    this._refs--;
+    if (this._refs === 0 && this._retired) this.close();
+  }
+
   /* ---- Internal parsers ----------------------------------------- */
 
-  _parseFooter() {
-    const f = this.buf;
-    const footerStart = f.length - 16;
-    this.dataOffset = f.readUInt32LE(footerStart);
-    this.indexOffset = f.readUInt32LE(footerStart + 4);
-    this.bloomOffset = f.readUInt32LE(footerStart + 8);
-    const magic = f.readUInt32LE(footerStart + 12);
-    if (magic !== SSTABLE_MAGIC) {
-      throw new Error(`Invalid SSTable file: bad footer magic in ${this.filePath}`);
+  _parseFooter(verifyMetadata = true) {
+    if (this.fileSize < HEADER_SIZES[1] + footerSize(1)) {
+      throw new SSTableCorruptionError(`Invalid SSTable file: too short (${this.fileSize} bytes)`, this.filePath);
     }
-    // Read header
-    const headerMagic = f.readUInt32LE(0);
+    // Read header — the version decides the footer layout
+    const h = this._read(0, HEADER_SIZES[1]);
+    const headerMagic = h.readUInt32LE(0);
     if (headerMagic !== SSTABLE_MAGIC) {
-      throw new Error(`Invalid SSTable file: bad header magic in ${this.filePath}`);
+      throw new SSTableCorruptionError('Invalid SSTable file: bad header magic', this.filePath);
+    }
+    this.version = h.readUInt8(4);
+    if (!HEADER_SIZES[this.version]) {
+      throw new Error(`Unsupported SSTable version ${this.version} in ${this.filePath}`);
+    }
+    this.entryCount = h.readUInt32LE(5);
+
+    this._footerSize = footerSize(this.version);
+    const f = this._read(this.fileSize - this._footerSize, this._footerSize);
+    const wide = this.version >= 7;
+    const readOffset = i => (wide ? Number(f.readBigUInt64LE(8 * i)) : f.readUInt32LE(4 * i));
+    this.dataOffset = readOffset(0);
+    this.indexOffset = readOffset(1);
+    this.bloomOffset = readOffset(this.version >= 10 ? 3 : 2);
+    // Before v10 there is no properties block: the index runs up to the Bloom filters
+    this.propertiesOffset = this.version >= 10 ? readOffset(2) : this.bloomOffset;
+    const magic = f.readUInt32LE(this._footerSize - 4);
+    if (magic !== SSTABLE_MAGIC) {
+      throw new SSTableCorruptionError('Invalid SSTable file: bad footer magic', this.filePath);
     }
-    this.entryCount = f.readUInt32LE(5);
+    const metaEnd = this.fileSize - this._footerSize;
+    if (!(this.dataOffset <= this.indexOffset && this.indexOffset <= this.propertiesOffset &&
+          this.propertiesOffset <= this.bloomOffset && this.bloomOffset <= metaEnd)) {
+      throw new SSTableCorruptionError('Invalid SSTable file: footer offsets out of range', this.filePath);
+    }
+    /** True if this table carries checksums (v6+) */
+    this.checksummed = this.version >= 6;
+    if (this.checksummed && verifyMetadata) {
+      const meta = this._read(this.indexOffset, metaEnd - this.indexOffset);
+      if (crc32(meta) !== f.readUInt32LE(this._footerSize - 8)) {
+        throw new SSTableCorruptionError('Checksum mismatch in SSTable block index / properties / Bloom filter', this.filePath);
+      }
+    }
+
+    /** Highest sequence number stored in this table (0 for v1 files) */
+    this.maxSeq = this.version >= 2 ? Number(this._read(9, 8).readBigUInt64LE(0)) : 0;
+    this._entryHeaderSize = ENTRY_HEADER_SIZES[this.version];
+
+    const codecCode = this.version >= 4 ? this._read(17, 1).readUInt8(0) : 0;
+    this._codec = CODECS[codecCode];
+    if (!this._codec) {
+      throw new Error(`Unknown SSTable compression code ${codecCode} in ${this.filePath}`);
+    }
+    /** Block codec this table was written with */
+    this.compression = this._codec.name;
   }
 
   _parseBloom() {
-    const bloomBuf = this.buf.subarray(this.bloomOffset, this.buf.length - 16);
-    this.bloom = BloomFilter.deserialize(bloomBuf);
+    const bloomBuf = this._read(this.bloomOffset, this.fileSize - this._footerSize - this.bloomOffset);
+    const legacy = this.version < 9;
+    this.bloom = BloomFilter.deserialize(bloomBuf, { legacy });
+
+    // Optional prefix filter after the key filter
+    const rest = bloomBuf.subarray(this.bloom.serializedSize);
+    this.prefixDelimiter = null;
+    this.prefixBloom = null;
+    if (rest.length > 0) {
+      const delimLen = rest.readUInt8(0);
+      this.prefixDelimiter = rest.toString('latin1', 1, 1 + delimLen);
+      this.prefixBloom = BloomFilter.deserialize(rest.subarray(1 + delimLen), { legacy });
+    }
+  }
+
+  /**
+   * Expected false-positive rate of the key Bloom filter. Filters before
+   * v9 do not record their key count, so the entry count stands in.
+   * @returns {number}
+   */
+  get bloomFalsePositiveRate() {
+    return this.bloom.estimatedFalsePositiveRate(this.bloom.legacy ? this.entryCount : this.bloom.keyCount);
   }
 
   _parseIndex() {
-    this.sparseIndex = [];
-    let pos = this.indexOffset;
-    const end = this.bloomOffset;
+    /**
+     * One entry per data block: first key, position and size on disk,
+     * size once decompressed, CRC32 of the stored bytes (null before v6).
+     * @type {{ key: string, offset: number, size: number, rawSize: number, crc: number|null }[]}
+     */
+    this.blockIndex = [];
+    const buf = this._read(this.indexOffset, this.propertiesOffset - this.indexOffset);
+    const sized = this.version >= 3;
+    const compressed = this.version >= 4;
+    const entryHeader = this.checksummed ? 18 : compressed ? 14 : sized ? 10 : 6;
+    let pos = 0;
 
-    while (pos < end) {
-      const keyLen = this.buf.readUInt16LE(pos);
-      const offset = this.buf.readUInt32LE(pos + 2);
-      pos += 6;
-      const key = this.buf.toString('utf8', pos, pos + keyLen);
+    while (pos < buf.length) {
+      if (this.version >= 7) {
+        const keyLen = readVarint(buf, pos);
+        const offset = Number(buf.readBigUInt64LE(keyLen.next));
+        const size = readVarint(buf, keyLen.next + 8);
+        const rawSize = readVarint(buf, size.next);
+        const crc = buf.readUInt32LE(rawSize.next);
+        pos = rawSize.next + 4;
+        const key = buf.toString('latin1', pos, pos + keyLen.value);
+        pos += keyLen.value;
+        this.blockIndex.push({ key, offset, size: size.value, rawSize: rawSize.value, crc });
+        continue;
+      }
+
+      const keyLen = buf.readUInt16LE(pos);
+      const offset = buf.readUInt32LE(pos + 2);
+      const size = sized ? buf.readUInt32LE(pos + 6) : 0;
+      const rawSize = compressed ? buf.readUInt32LE(pos + 10) : size;
+      const crc = this.checksummed ? buf.readUInt32LE(pos + 14) : null;
+      pos += entryHeader;
+      const key = buf.toString('latin1', pos, pos + keyLen);
       pos += keyLen;
-      this.sparseIndex.push({ key, offset });
+      this.blockIndex.push({ key, offset, size, rawSize, crc });
+    }
+
+    // Older formats: each span between sparse index entries is a block
+    if (!sized) {
+      for (let i = 0; i < this.blockIndex.length; i++) {
+        const end = i + 1 < this.blockIndex.length ? this.blockIndex[i + 1].offset : this.indexOffset;
+        this.blockIndex[i].size = end - this.blockIndex[i].offset;
+        this.blockIndex[i].rawSize = this.blockIndex[i].size;
+      }
+    }
+
+    /** Bytes of data blocks on disk, and once decompressed */
+    this.dataSize = 0;
+    this.rawDataSize = 0;
+    for (const block of this.blockIndex) {
+      this.dataSize += block.size;
+      this.rawDataSize += block.rawSize;
     }
   }
 
+  /**
+   * Uncompressed size of the data blocks over their size on disk
+   * (1 for uncompressed or empty tables).
+   * @returns {number}
+   */
+  get compressionRatio() {
+    return this.dataSize === 0 ? 1 : this.rawDataSize / this.dataSize;
+  }
+
+  /**
+   * Find the first and last key (null for an empty table), the
+   * tombstone count (null before v10), the range tombstones (none
+   * before v11) and the comparator name ('bytewise' before v14) — from
+   * the properties block, or for older tables from the first and last
+   * data blocks.
+   */
+  _parseKeyRange() {
+    this.smallestKey = null;
+    this.largestKey = null;
+    this.tombstoneCount = null;
+    /** Range deletions stored in this table */
+    this.rangeTombstones = new RangeTombstones();
+    /** Name of the comparator that ordered the table (null if unreadable) */
+    this.comparatorName = this.version >= 14 ? null : Comparator.bytewise.name;
+
+    if (this.version >= 10) {
+      const buf = this._read(this.propertiesOffset, this.bloomOffset - this.propertiesOffset);
+      let pos = 0;
+      const next = () => {
+        const { value, next: after } = readVarint(buf, pos);
+        pos = after;
+        return value;
+      };
+      const entries = next();
+      this.tombstoneCount = next();
+      const smallestLen = next();
+      const smallestKey = buf.toString('latin1', pos, pos + smallestLen);
+      pos += smallestLen;
+      const largestLen = next();
+      const largestKey = buf.toString('latin1', pos, pos + largestLen);
+      pos += largestLen;
+      const rangeCount = this.version >= 11 ? next() : 0;
+      for (let i = 0; i < rangeCount; i++) {
+        const startLen = next();
+        const start = buf.toString('latin1', pos, pos + startLen);
+        pos += startLen;
+        const endLen = next();
+        const end = buf.toString('latin1', pos, pos + endLen);
+        pos += endLen;
+        const seq = Number(buf.readBigUInt64LE(pos));
+        pos += 8;
+        this.rangeTombstones.add({ start, end, seq });
+      }
+      if (this.version >= 14) {
+        const nameLen = next();
+        this.comparatorName = buf.toString('utf8', pos, pos + nameLen);
+        pos += nameLen;
+      }
+      if (entries > 0 || rangeCount > 0) {
+        this.smallestKey = smallestKey;
+        this.largestKey = largestKey;
+      }
+      return;
+    }
+
+    if (this.blockIndex.length === 0) return;
+
+    this.smallestKey = this.blockIndex[0].key;
+    const last = this._blockEntries(this.blockIndex.length - 1);
+    this.largestKey = last[last.length - 1].key;
+  }
+
+  /**
+   * Settle the order the table is read in: `comparator` if given — it
+   * must be the one the table records — or else the built-in comparator
+   * the table records. A salvaged table whose name is unreadable takes
+   * `comparator` (bytewise by default) on trust.
+   * @param {import('./comparator.js').KeyComparator} [comparator]
+   */
+  _useComparator(comparator) {
+    const name = this.comparatorName;
+    if (comparator !== undefined && name !== null && name !== comparator.name) {
+      throw new SSTableComparatorError(this.filePath, name, comparator.name);
+    }
+    /** Order of the table's keys */
+    this.comparator = comparator ?? Comparator.get(name ?? Comparator.bytewise.name);
+    this.rangeTombstones = new RangeTombstones(this.rangeTombstones, this.comparator);
+  }
+
+  /**
+   * Read `length` bytes at `position` from the table file.
+   * @param {number} position
+   * @param {number} length
+   * @returns {Buffer}
+   */
+  _read(position, length) {
+    if (this.fd === null) throw new Error(`SSTable ${this.filePath} is closed`);
+    const buf = Buffer.allocUnsafe(length);
+    let done = 0;
+    while (done < length) {
+      const n = readSync(this.fd, buf, done, length - done, position + done);
+      if (n === 0) throw new SSTableCorruptionError('Unexpected end of SSTable', this.filePath);
+      done += n;
+    }
+    return buf;
+  }
+
+  /**
+   * Fetch data block `i`, decompressed, from the block cache — reading,
+   * checksumming and decompressing it on a miss.
+   * @param {number} i
+   * @param {object} [options]
+   * @param {boolean} [options.cache] – false reads straight from disk
+   *        without touching the cache (whole-table passes such as compaction)
+   * @returns {Buffer}
+   */
+  _loadBlock(i, { cache = true } = {}) {
+    if (this.fd === null) throw new Error(`SSTable ${this.filePath} is closed`);
+    const { offset, size, crc } = this.blockIndex[i];
+    const load = () => {
+      const stored = this._read(offset, size);
+      if (crc !== null && crc32(stored) !== crc) {
+        throw new SSTableCorruptionError(`Checksum mismatch in SSTable data block ${i}`, this.filePath);
+      }
+      try {
+        return this._codec.decompress(stored);
+      } catch (err) {
+        throw new SSTableCorruptionError(`Cannot decompress SSTable data block ${i} (${err.message})`, this.filePath);
+      }
+    };
+    if (!cache) return load();
+    return SSTableReader.blockCache.fetch(`${this.id}:${i}`, load);
+  }
+
+  /**
+   * Decode the key of the entry at `pos` within a block buffer.
+   * @param {Buffer} buf
+   * @param {number} pos
+   * @param {Buffer|null} prevKey – bytes of the previous key in the run
+   *        (ignored at restart points and in formats before v5)
+   * @returns {{ keyBytes: Buffer, valueStart: number, valueLength: number, seq: number,
+   *             blob?: boolean, expiresAt?: number, tombstone?: boolean }}
+   */
+  _readKey(buf, pos, prevKey) {
+    if (this.version >= 7) {
+      const shared = readVarint(buf, pos);
+      const unshared = readVarint(buf, shared.next);
+      const valueLength = readVarint(buf, unshared.next);
+      const seq = Number(buf.readBigUInt64LE(valueLength.next));
+      const typed = this.version >= 8;
+      const type = typed ? buf.readUInt8(valueLength.next + 8) : ENTRY_VALUE;
+      const expires = (type & ENTRY_EXPIRES) !== 0;
+      const expiresAt = expires ? Number(buf.readBigUInt64LE(valueLength.next + 9)) : 0;
+      const suffixStart = valueLength.next + (typed ? 9 : 8) + (expires ? 8 : 0);
+      const suffix = buf.subarray(suffixStart, suffixStart + unshared.value);
+      return {
+        keyBytes: shared.value === 0 ? suffix : Buffer.concat([prevKey.subarray(0, shared.value), suffix]),
+        valueStart: suffixStart + unshared.value,
+        valueLength: valueLength.value,
+        seq,
+        blob: (type & ENTRY_BLOB) !== 0,
+        expiresAt,
+        tombstone: (type & ENTRY_TOMBSTONE) !== 0,
+      };
+    }
+
+    if (this.version < 5) {
+      const keyLen = buf.readUInt16LE(pos);
+      const valueLength = buf.readUInt32LE(pos + 2);
+      const seq = this.version >= 2 ? Number(buf.readBigUInt64LE(pos + 6)) : 0;
+      const keyStart = pos + this._entryHeaderSize;
+      return {
+        keyBytes: buf.subarray(keyStart, keyStart + keyLen),
+        valueStart: keyStart + keyLen,
+        valueLength,
+        seq,
+      };
+    }
+
+    const shared = buf.readUInt16LE(pos);
+    const unshared = buf.readUInt16LE(pos + 2);
+    const valueLength = buf.readUInt32LE(pos + 4);
+    const seq = Number(buf.readBigUInt64LE(pos + 8));
+    const suffixStart = pos + this._entryHeaderSize;
+    const suffix = buf.subarray(suffixStart, suffixStart + unshared);
+    return {
+      keyBytes: shared === 0 ? suffix : Buffer.concat([prevKey.subarray(0, shared), suffix]),
+      valueStart: suffixStart + unshared,
+      valueLength,
+      seq,
+    };
+  }
+
+  /**
+   * Locate the restart points of a decoded block. Blocks written before
+   * v5 have no restart array and count as a single run from offset 0.
+   * @param {Buffer} buf
+   * @returns {{ count: number, arrayStart: number, end: number }}
+   *          `end` is where the entries stop
+   */
+  _restarts(buf) {
+    if (this.version < 5) return { count: 1, arrayStart: -1, end: buf.length };
+    const count = buf.readUInt32LE(buf.length - 4);
+    const arrayStart = buf.length - 4 - 4 * count;
+    return { count, arrayStart, end: arrayStart };
+  }
+
+  /**
+   * Offset of restart point `j` within a block.
+   * @param {Buffer} buf
+   * @param {{ arrayStart: number }} restarts – from `_restarts`
+   * @param {number} j
+   * @returns {number}
+   */
+  _restartOffset(buf, restarts, j) {
+    return restarts.arrayStart === -1 ? 0 : buf.readUInt32LE(restarts.arrayStart + 4 * j);
+  }
+
+  /**
+   * The version held by an entry decoded with `_readKey`. Tables before
+   * v13 mark a tombstone with the LEGACY_TOMBSTONE value instead of a flag.
+   * @param {Buffer} buf
+   * @param {{ valueStart: number, valueLength: number, seq: number,
+   *           blob?: boolean, expiresAt?: number, tombstone?: boolean }} decoded
+   * @returns {{ value: string, seq: number, blob?: boolean, expiresAt?: number, tombstone?: boolean }}
+   */
+  _version(buf, { valueStart, valueLength, seq, blob, expiresAt, tombstone }) {
+    const version = { value: buf.toString('latin1', valueStart, valueStart + valueLength), seq };
+    if (blob) version.blob = true;
+    if (expiresAt > 0) version.expiresAt = expiresAt;
+    if (tombstone || (this.version < 13 && !blob && version.value === LEGACY_TOMBSTONE)) {
+      version.value = '';
+      version.tombstone = true;
+    }
+    return version;
+  }
+
+  /**
+   * The form of `key` this table's Bloom filters hashed: its bytes, or
+   * before v13 its UTF-16 code units.
+   * @param {string} key
+   * @returns {string}
+   */
+  _filterKey(key) {
+    return this.version < 13 ? Encoding.utf8.decode(key) : key;
+  }
+
+  /**
+   * Every stored version in data block `i`.
+   * @param {number} i
+   * @param {{ cache?: boolean }} [options] – see `_loadBlock`
+   * @returns {{ key: string, value: string, seq: number }[]}
+   */
+  _blockEntries(i, options) {
+    const buf = this._loadBlock(i, options);
+    const { end } = this._restarts(buf);
+    const result = [];
+    let prevKey = null;
+    let pos = 0;
+    while (pos < end) {
+      const decoded = this._readKey(buf, pos, prevKey);
+      result.push({ key: decoded.keyBytes.toString('latin1'), ...this._version(buf, decoded) });
+      prevKey = decoded.keyBytes;
+      pos = decoded.valueStart + decoded.valueLength;
+    }
+    return result;
+  }
+
   /* ---- Public API ----------------------------------------------- */
 
   /**
-   * Look up a single key.
+   * Look up a single key. For a value kept in a blob file this is its
+   * pointer — use getVersion to tell the two apart.
+   * @param {string} key
+   * @param {number} [seq] – read at this sequence number (default: latest)
+   * @returns {string|null} The value, or null if not found or deleted.
+   */
+  get(key, seq = Infinity) {
+    const version = this.getVersion(key, seq);
+    return version === null || version.tombstone ? null : version.value;
+  }
+
+  /**
+   * Look up the newest version of a key visible at `seq`.
    * @param {string} key
-   * @returns {string|null} The value, or null if not found.
+   * @param {number} [seq]
+   * @returns {{ value: string, seq: number, blob?: boolean, expiresAt?: number, tombstone?: boolean }|null}
+   *          `blob` is set when `value` is a blob pointer, `expiresAt`
+   *          when it was written with a TTL, `tombstone` when the key
+   *          was deleted
    */
-  get(key) {
+  getVersion(key, seq = Infinity) {
+    // 0. Key range check – no hashing, no I/O
+    if (!this.overlaps(key, key)) return null;
+
     // 1. Bloom filter check – fast path rejection
-    if (!this.bloom.mightContain(key)) return null;
-
-    // 2. Use sparse index to find the data segment to scan
-    let scanStart = this.dataOffset;
-    let scanEnd = this.indexOffset;
-
-    for (let i = 0; i < this.sparseIndex.length; i++) {
-      if (this.sparseIndex[i].key > key) {
-        scanEnd =
-          i < this.sparseIndex.length
-            ? this.sparseIndex[i].offset
-            : this.indexOffset;
-        break;
-      }
-      scanStart = this.sparseIndex[i].offset;
-    }
+    if (!this.bloom.mightContain(this._filterKey(key))) return null;
 
-    // 3. Linear scan of the data block segment
-    let pos = scanStart;
-    while (pos < scanEnd) {
-      const keyLen = this.buf.readUInt16LE(pos);
-      const valLen = this.buf.readUInt32LE(pos + 2);
-      pos += 6;
-      const k = this.buf.toString('utf8', pos, pos + keyLen);
-      pos += keyLen;
+    // 2. Use the block index to find the one block that can hold the key
+    const i = this._blockFor(key);
+    if (i === -1) return null;
+    const buf = this._loadBlock(i);
+    const restarts = this._restarts(buf);
 
-      if (k === key) {
-        return this.buf.toString('utf8', pos, pos + valLen);
+    // 3. Binary search for the last restart point whose key is < the
+    //    target — the key's first version can only come after it
+    let lo = 0;
+    let hi = restarts.count - 1;
+    let run = 0;
+    const { compare } = this.comparator;
+    while (lo <= hi) {
+      const mid = (lo + hi) >>> 1;
+      const { keyBytes } = this._readKey(buf, this._restartOffset(buf, restarts, mid), null);
+      if (compare(keyBytes.toString('latin1'), key) < 0) {
+        run = mid;
+        lo = mid + 1;
+      } else {
+        hi = mid - 1;
       }
+    }
+
+    // 4. Linear scan from that restart point
+    let prevKey = null;
+    let pos = this._restartOffset(buf, restarts, run);
+    while (pos < restarts.end) {
+      const decoded = this._readKey(buf, pos, prevKey);
+      const k = decoded.keyBytes.toString('latin1');
 
       // Keys are sorted — if we've passed the target, stop
-      if (k > key) return null;
+      if (compare(k, key) > 0) return null;
+
+      // Versions are newest first: the first one at or before `seq` wins
+      if (k === key && decoded.seq <= seq) return this._version(buf, decoded);
 
-      pos += valLen;
+      prevKey = decoded.keyBytes;
+      pos = decoded.valueStart + decoded.valueLength;
     }
 
     return null;
   }
 
   /**
-   * Range scan.
+   * Range scan — newest version visible at `seq` of each key in range.
    * @param {string} startKey
    * @param {string} endKey
-   * @returns {{ key: string, value: string }[]}
+   * @param {object} [options]
+   * @param {number} [options.seq]      – read at this sequence number (default: latest)
+   * @param {boolean} [options.reverse] – descending key order
+   * @param {number} [options.limit]    – return at most this many entries
+   * @param {number} [options.offset]   – skip this many entries first
+   * @returns {{ key: string, value: string, seq: number }[]}
    */
-  scan(startKey, endKey) {
+  scan(startKey, endKey, { seq = Infinity, reverse = false, limit = Infinity, offset = 0 } = {}) {
     const result = [];
-    let pos = this.dataOffset;
-    const end = this.indexOffset;
+    const cursor = this.cursor(seq, reverse);
+    let skipped = 0;
 
-    while (pos < end) {
-      const keyLen = this.buf.readUInt16LE(pos);
-      const valLen = this.buf.readUInt32LE(pos + 2);
-      pos += 6;
-      const key = this.buf.toString('utf8', pos, pos + keyLen);
-      pos += keyLen;
-      const value = this.buf.toString('utf8', pos, pos + valLen);
-      pos += valLen;
-
-      if (key > endKey) break;
-      if (key >= startKey) {
-        result.push({ key, value });
+    try {
+      for (cursor.seek(reverse ? endKey : startKey); cursor.valid && result.length < limit; cursor.next()) {
+        const cmp = this.comparator.compare(cursor.current.key, reverse ? startKey : endKey);
+        if (reverse ? cmp < 0 : cmp > 0) break;
+        if (skipped < offset) {
+          skipped++;
+          continue;
+        }
+        result.push(cursor.current);
       }
+    } finally {
+      cursor.close();
     }
 
     return result;
   }
 
   /**
-   * Iterate all entries (used during compaction).
-   * @returns {{ key: string, value: string }[]}
+   * Test whether this table's key range intersects [lower, upper].
+   * An undefined bound is open. Empty tables never overlap.
+   * @param {string} [lower]
+   * @param {string} [upper]
+   * @returns {boolean}
+   */
+  overlaps(lower, upper) {
+    if (this.smallestKey === null) return false;
+    const { compare } = this.comparator;
+    return (lower === undefined || compare(this.largestKey, lower) >= 0) &&
+      (upper === undefined || compare(this.smallestKey, upper) <= 0);
+  }
+
+  /**
+   * Test whether any key in this table *might* start with `prefix`.
+   * Bytewise tables whose key range holds no key under the prefix answer
+   * false (under other comparators prefix keys need not be adjacent).
+   * Otherwise the prefix filter is checked with the longest
+   * delimiter-terminated part of the prefix, so "user:000" is checked as
+   * "user:". Tables without a prefix filter, and prefixes without a
+   * delimiter, then answer true.
+   * @param {string} prefix
+   * @returns {boolean}
    */
-  entries() {
+  mightContainPrefix(prefix) {
+    if (this.smallestKey === null) return false;
+    // Bytewise, prefix keys sort right after the prefix itself
+    if (this.comparator === Comparator.bytewise) {
+      if (this.largestKey < prefix) return false;
+      if (this.smallestKey > prefix && !this.smallestKey.startsWith(prefix)) return false;
+    }
+    if (this.prefixBloom === null || this.prefixDelimiter === '') return true;
+    const cut = prefix.lastIndexOf(this.prefixDelimiter);
+    if (cut === -1) return true;
+    return this.prefixBloom.mightContain(this._filterKey(prefix.slice(0, cut + this.prefixDelimiter.length)));
+  }
+
+  /**
+   * Open a cursor over the newest version visible at `seq` of each key.
+   * It keeps the table open until closed, even if the table is retired.
+   * @param {number} [seq]
+   * @param {boolean} [reverse]
+   * @returns {SSTableCursor}
+   */
+  cursor(seq = Infinity, reverse = false) {
+    return new SSTableCursor(this, seq, reverse);
+  }
+
+  /**
+   * Decode data block `i`, keeping only the newest version visible at
+   * `seq` of each key.
+   * @param {number} i
+   * @param {number} seq
+   * @returns {{ key: string, value: string, seq: number }[]}
+   */
+  _readBlock(i, seq) {
     const result = [];
-    let pos = this.dataOffset;
-    const end = this.indexOffset;
+    let lastKey = null;
+    for (const entry of this._blockEntries(i)) {
+      if (entry.key !== lastKey && entry.seq <= seq) {
+        result.push(entry);
+        lastKey = entry.key;
+      }
+    }
+    return result;
+  }
 
-    while (pos < end) {
-      const keyLen = this.buf.readUInt16LE(pos);
-      const valLen = this.buf.readUInt32LE(pos + 2);
-      pos += 6;
-      const key = this.buf.toString('utf8', pos, pos + keyLen);
-      pos += keyLen;
-      const value = this.buf.toString('utf8', pos, pos + valLen);
-      pos += valLen;
+  /**
+   * Index of the last block whose first key is <= `key`, or -1.
+   * @param {string} key
+   * @returns {number}
+   */
+  _blockFor(key) {
+    let lo = 0;
+    let hi = this.blockIndex.length - 1;
+    let found = -1;
+    while (lo <= hi) {
+      const mid = (lo + hi) >>> 1;
+      if (this.comparator.compare(this.blockIndex[mid].key, key) <= 0) {
+        found = mid;
+        lo = mid + 1;
+      } else {
+        hi = mid - 1;
+      }
+    }
+    return found;
+  }
 
-      result.push({ key, value });
+  /**
+   * Stream every stored version, block by block (used during compaction).
+   * Bypasses the block cache so a full pass does not evict hot blocks.
+   * @returns {Generator<{ key: string, value: string, seq: number }>}
+   */
+  *versions() {
+    for (let i = 0; i < this.blockIndex.length; i++) {
+      yield* this._blockEntries(i, { cache: false });
+    }
+  }
+
+  /**
+   * Read and decode every data block, bypassing the block cache, and
+   * report the ones that are damaged. Tables written before v6 have no
+   * checksums, so only blocks that fail to decode are caught.
+   * @returns {{ blocks: number, entries: number, corruptBlocks: { block: number, error: string }[] }}
+   *          `entries` counts the versions in intact blocks
+   */
+  verify() {
+    const report = { blocks: this.blockIndex.length, entries: 0, corruptBlocks: [] };
+    for (let i = 0; i < this.blockIndex.length; i++) {
+      try {
+        report.entries += this._blockEntries(i, { cache: false }).length;
+      } catch (err) {
+        if (this.fd === null) throw err;
+        report.corruptBlocks.push({ block: i, error: err.message });
+      }
+    }
+    return report;
+  }
+
+  /**
+   * Every stored version in the blocks that pass their checksum and
+   * decode, skipping damaged ones (used by repair).
+   * @returns {Generator<{ key: string, value: string, seq: number }>}
+   */
+  *salvage() {
+    for (let i = 0; i < this.blockIndex.length; i++) {
+      let entries;
+      try {
+        entries = this._blockEntries(i, { cache: false });
+      } catch (err) {
+        if (this.fd === null) throw err;
+        continue;
+      }
+      yield* entries;
     }
+  }
 
+  /**
+   * All entries, every stored version included.
+   * @param {number} [limit] – stop after this many
+   * @returns {{ key: string, value: string, seq: number }[]}
+   */
+  entries(limit = Infinity) {
+    const result = [];
+    for (const entry of this.versions()) {
+      if (result.length >= limit) break;
+      result.push(entry);
+    }
     return result;
   }
 }
+
+/* ================================================================== */
+/*  SSTable Cursor                                                    */
+/* ================================================================== */
+
+/**
+ * Walks the newest visible version of each key in ascending (or, with
+ * `reverse`, descending) key order, reading one data block at a time.
+ * Used by LSMIterator.
+ */
+class SSTableCursor {
+  /**
+   * @param {SSTableReader} reader
+   * @param {number} seq
+   * @param {boolean} reverse
+   */
+  constructor(reader, seq, reverse) {
+    reader._acquire();
+    this._reader = reader;
+    this._closed = false;
+    this._compare = reader.comparator.compare;
+    this._seq = seq;
+    this._reverse = reverse;
+    this._block = -1;
+    this._entries = [];
+    this._pos = -1;
+    /** @type {{ key: string, value: string, seq: number }|null} */
+    this.current = null;
+  }
+
+  get valid() {
+    return this.current !== null;
+  }
+
+  /**
+   * Position at the first key >= target (or, in reverse, the last key
+   * <= target). Without a target, position at the first (last) key.
+   * @param {string} [target]
+   */
+  seek(target) {
+    if (this._reverse) {
+      const last = this._reader.blockIndex.length - 1;
+      this._load(target === undefined ? last : this._reader._blockFor(target));
+      if (target !== undefined) {
+        while (this._pos >= 0 && this._compare(this._entries[this._pos].key, target) > 0) this._pos--;
+      }
+    } else {
+      this._load(target === undefined ? 0 : Math.max(0, this._reader._blockFor(target)));
+      if (target !== undefined) {
+        while (this._pos < this._entries.length && this._compare(this._entries[this._pos].key, target) < 0) this._pos++;
+      }
+    }
+    this._settle();
+  }
+
+  /** Move to the next key in iteration order. */
+  next() {
+    if (this.current === null) return;
+    this._pos += this._reverse ? -1 : 1;
+    this._settle();
+  }
+
+  /** Stop reading and unpin the table. */
+  close() {
+    if (this._closed) return;
+    this._closed = true;
+    this.current = null;
+    this._entries = [];
+    this._reader._release();
+  }
+
+  /** Load block `i` and point at its first (last, in reverse) entry. */
+  _load(i) {
+    this._block = i;
+    const inRange = i >= 0 && i < this._reader.blockIndex.length;
+    this._entries = inRange ? this._reader._readBlock(i, this._seq) : [];
+    this._pos = this._reverse ? this._entries.length - 1 : 0;
+  }
+
+  /** Step into neighbouring blocks until the position is on an entry. */
+  _settle() {
+    const blocks = this._reader.blockIndex.length;
+    while (this._pos < 0 || this._pos >= this._entries.length) {
+      const nextBlock = this._block + (this._reverse ? -1 : 1);
+      if (nextBlock < 0 || nextBlock >= blocks) {
+        this.current = null;
+        return;
+      }
+      this._load(nextBlock);
+    }
+    this.current = this._entries[this._pos];
+  }
+}
@@ -5,19 +5,113 @@
  * before modifying the MemTable. On recovery the log is replayed
  * to rebuild the MemTable to its pre-crash state.
  *
- * Format (one entry per line):
- *   <timestamp>|<op>|<key>|<value>\n
+ * Binary format:
+ * ┌───────────────────────────────────────────────┐
+ * │ File Header: magic(4B) | version(1B)          │
+ * ├───────────────────────────────────────────────┤
+ * │ Record: repeated                              │
+ * │   crc32(4B) | length(4B) | payload            │
+ * │ Payload (PUT / DELETE / DELETE_RANGE):        │
+ * │   op(1B) | seq(8B) | expiresAt(8B)            │
+ * │   keyLen(4B) | key | valueLen(4B) | value     │
+ * │ Payload (BATCH):                              │
+ * │   op(1B) | count(4B) | count × PUT/DELETE     │
+ * └───────────────────────────────────────────────┘
+ *
+ * A DELETE_RANGE record stores the start of its range as the key and
+ * the (exclusive) end as the value; a DELETE record's value is empty.
+ * Keys and values are byte strings (see Encoding), written byte for byte.
+ *
+ * `seq` is the mutation's sequence number (see LSMTree) and `expiresAt`
+ * the time (ms since the epoch) a PUT with a TTL expires, 0 for none.
+ * Version 1 logs carried no sequence numbers and version 2 logs no
+ * expiry times; both are rewritten on recovery.
+ *
+ * The CRC32 covers the payload, so a record that was only partially
+ * written before a crash (a "torn" tail) is detected on recovery and
+ * truncated away instead of being replayed.
+ *
+ * Logs written by older versions (`<ts>|<op>|<key>|<value>\n` text lines)
+ * are still replayed once and rewritten in the binary format.
+ *
+ * The engine keeps one log per MemTable: numbered segments
+ * `wal-000001.log`, `wal-000002.log`, … A segment is deleted once the
+ * MemTable it backs has been written to a durable SSTable. The single
+ * `wal.log` of older versions is treated as segment 0.
+ *
+ * Durability is governed by `syncMode`:
+ *   always — fsync after every record
+ *   group  — fsync once per WAL_GROUP_COMMIT_MS / WAL_GROUP_COMMIT_BYTES;
+ *            `waitForSync()` resolves when the covering fsync completes
+ *   none   — never fsync (records still reach the OS page cache)
  */
 
-import { existsSync, mkdirSync, appendFileSync, readFileSync, writeFileSync } from 'node:fs';
-import { join, dirname } from 'node:path';
+import {
+  existsSync,
+  mkdirSync,
+  openSync,
+  closeSync,
+  writeSync,
+  fsyncSync,
+  ftruncateSync,
+  readFileSync,
+  writeFileSync,
+  statSync,
+  readdirSync,
+  unlinkSync,
+} from 'node:fs';
+import { dirname, join } from 'node:path';
+import { crc32 } from 'node:zlib';
+import {
+  WAL_MAGIC,
+  WAL_VERSION,
+  WAL_SYNC_MODE,
+  WAL_GROUP_COMMIT_MS,
+  WAL_GROUP_COMMIT_BYTES,
+} from '../lsm.config.js';
+
+const HEADER_SIZE = 5;
+const RECORD_HEADER_SIZE = 8;
+
+/** On-disk op codes */
+const OP_CODES = { PUT: 1, DELETE: 2, BATCH: 3, DELETE_RANGE: 4 };
+const OP_NAMES = { 1: 'PUT', 2: 'DELETE', 3: 'BATCH', 4: 'DELETE_RANGE' };
+
+const SYNC_MODES = ['always', 'group', 'none'];
+
+/** Log file written by versions that kept a single WAL */
+const LEGACY_LOG_NAME = 'wal.log';
 
 export default class WAL {
   /**
-   * @param {string} filePath — full path to the WAL file (e.g. data/wal.log)
+   * @param {string} filePath — full path to the WAL file (e.g. data/wal-000001.log)
+   * @param {object} [options]
+   * @param {'always'|'group'|'none'} [options.syncMode]
+   * @param {number} [options.groupCommitMs]    — max delay before a group fsync
+   * @param {number} [options.groupCommitBytes] — unsynced bytes that force a group fsync
    */
-  constructor(filePath) {
+  constructor(filePath, options = {}) {
     this.filePath = filePath;
+    this.syncMode = options.syncMode ?? WAL_SYNC_MODE;
+    this.groupCommitMs = options.groupCommitMs ?? WAL_GROUP_COMMIT_MS;
+    this.groupCommitBytes = options.groupCommitBytes ?? WAL_GROUP_COMMIT_BYTES;
+
+    if (!SYNC_MODES.includes(this.syncMode)) {
+      throw new Error(`Invalid WAL syncMode "${this.syncMode}" (expected ${SYNC_MODES.join(', ')})`);
+    }
+
+    /** Bytes written since the last fsync */
+    this.unsyncedBytes = 0;
+    /** @type {(() => void)[]} callers awaiting the next fsync */
+    this._syncWaiters = [];
+    /** @type {NodeJS.Timeout|null} pending group-commit timer */
+    this._syncTimer = null;
+
+    /**
+     * Outcome of the last `recover()` call.
+     * @type {{ replayed: number, discarded: number, truncatedBytes: number, migrated: boolean }}
+     */
+    this.lastRecovery = { replayed: 0, discarded: 0, truncatedBytes: 0, migrated: false };
 
     // Ensure parent directory exists
     const dir = dirname(filePath);
@@ -25,64 +119,444 @@ export default class WAL {
       mkdirSync(dir, { recursive: true });
     }
 
-    // Create the file if it doesn't exist
-    if (!existsSync(this.filePath)) {
-      writeFileSync(this.filePath, '');
+    // Create the file (or stamp an empty one) with the binary header
+    if (!existsSync(this.filePath) || statSync(this.filePath).size === 0) {
+      writeFileSync(this.filePath, WAL._fileHeader());
     }
+
+    this.fd = openSync(this.filePath, 'a');
   }
 
   /**
    * Append a mutation record to the log.
-   * Uses synchronous I/O to guarantee the write reaches disk before
-   * the in-memory MemTable is mutated.
+   * The record is written synchronously so it reaches the OS before the
+   * in-memory MemTable is mutated; whether it is also fsynced before
+   * returning depends on `syncMode`.
    *
-   * @param {'PUT'|'DELETE'} op
+   * @param {'PUT'|'DELETE'|'DELETE_RANGE'} op
    * @param {string} key
    * @param {string} value
+   * @param {number} [seq] – sequence number assigned by the engine
+   * @param {number} [expiresAt] – expiry time of a PUT (ms since the epoch, 0 = never)
+   */
+  append(op, key, value, seq = 0, expiresAt = 0) {
+    this._write(WAL._encodeRecord(op, key, value, seq, expiresAt));
+  }
+
+  /**
+   * Append several mutations as a single atomic record. Recovery
+   * replays the whole batch or — if the record is torn — none of it.
+   *
+   * @param {{ op: 'PUT'|'DELETE'|'DELETE_RANGE', key: string, value: string, seq: number, expiresAt?: number }[]} ops
+   */
+  appendBatch(ops) {
+    this._write(WAL._encodeBatchRecord(ops));
+  }
+
+  /**
+   * fsync everything written so far and release anyone waiting on it.
+   */
+  sync() {
+    if (this._syncTimer) {
+      clearTimeout(this._syncTimer);
+      this._syncTimer = null;
+    }
+    if (this.fd !== null && this.unsyncedBytes > 0) {
+      fsyncSync(this.fd);
+    }
+    this.unsyncedBytes = 0;
+
+    const waiters = this._syncWaiters;
+    this._syncWaiters = [];
+    for (const resolve of waiters) resolve();
+  }
+
+  /**
+   * Resolve once every record appended so far is durable.
+   * In `always` mode that is already true; in `none` mode durability is
+   * never promised, so this resolves immediately as well.
+   *
+   * @returns {Promise<void>}
+   */
+  waitForSync() {
+    if (this.syncMode !== 'group' || this.unsyncedBytes === 0) {
+      return Promise.resolve();
+    }
+    // The group-commit timer is unref'd so an idle engine never holds the
+    // process open — but someone is now waiting on it.
+    this._syncTimer?.ref();
+    return new Promise(resolve => this._syncWaiters.push(resolve));
+  }
+
+  /**
+   * Sync any pending group commit and release the file descriptor.
    */
-  append(op, key, value) {
-    const ts = Date.now();
-    const line = `${ts}|${op}|${key}|${value}\n`;
-    appendFileSync(this.filePath, line, 'utf8');
+  close() {
+    if (this.fd === null) return;
+    if (this.syncMode !== 'none') this.sync();
+    closeSync(this.fd);
+    this.fd = null;
+
+    // Nothing more will be synced — don't leave waiters hanging
+    const waiters = this._syncWaiters;
+    this._syncWaiters = [];
+    for (const resolve of waiters) resolve();
   }
 
   /**
    * Replay the log and return an ordered list of operations.
    * The caller is responsible for feeding these into a fresh MemTable.
    *
-   * @returns {{ op: string, key: string, value: string }[]}
+   * A torn or corrupt record ends the replay: it and everything after
+   * it are discarded and the file is truncated back to the last intact
+   * record. The counts are available afterwards in `lastRecovery`.
+   *
+   * A write batch is returned as a single `{ op: 'BATCH', ops }` entry.
+   * Records from logs that predate sequence numbers come back with
+   * `seq: 0`; the engine assigns them fresh numbers in log order. A PUT
+   * with a TTL comes back with its `expiresAt`.
+   *
+   * @returns {({ op: string, key: string, value: string, seq: number, expiresAt?: number }|{ op: 'BATCH', ops: object[] })[]}
    */
   recover() {
+    this.lastRecovery = { replayed: 0, discarded: 0, truncatedBytes: 0, migrated: false };
     if (!existsSync(this.filePath)) return [];
 
-    const content = readFileSync(this.filePath, 'utf8').trim();
-    if (content.length === 0) return [];
+    const buf = readFileSync(this.filePath);
+    if (buf.length === 0) return [];
+
+    if (buf.length < 4 || buf.readUInt32LE(0) !== WAL_MAGIC) {
+      return this._migrateTextLog(buf);
+    }
+
+    if (buf.length < HEADER_SIZE) {
+      // Crashed while stamping the header — nothing was logged yet
+      this.clear();
+      return [];
+    }
+
+    const version = buf.readUInt8(4);
+    if (version < 1 || version > WAL_VERSION) {
+      throw new Error(`Unsupported WAL version ${version} in ${this.filePath}`);
+    }
+
+    const entries = [];
+    let pos = HEADER_SIZE;
+
+    while (pos < buf.length) {
+      const record = WAL._readRecord(buf, pos, version);
+      if (!record) break;
+      entries.push(record.entry);
+      pos = record.next;
+    }
+
+    if (pos < buf.length) {
+      this.lastRecovery.discarded = WAL._countFrames(buf, pos);
+      this.lastRecovery.truncatedBytes = buf.length - pos;
+      ftruncateSync(this.fd, pos);
+    }
+
+    this.lastRecovery.replayed = entries.length;
+
+    // Appending current-format records to an older log would make it
+    // unreadable — rewrite what survived in the current format first.
+    if (version !== WAL_VERSION) {
+      this._rewrite(entries);
+      this.lastRecovery.migrated = true;
+    }
+    return entries;
+  }
+
+  /**
+   * Clear the WAL (called after a successful MemTable flush to SSTable).
+   */
+  clear() {
+    ftruncateSync(this.fd, 0);
+    this.unsyncedBytes = 0;
+    this._write(WAL._fileHeader());
+  }
+
+  /**
+   * Close the log and delete its file (called once the segment's
+   * MemTable has been flushed to SSTable).
+   */
+  remove() {
+    this.close();
+    if (existsSync(this.filePath)) unlinkSync(this.filePath);
+  }
+
+  /* ---- Segments ------------------------------------------------- */
+
+  /**
+   * Path of WAL segment `number` inside `dir`.
+   * @param {string} dir
+   * @param {number} number
+   * @returns {string}
+   */
+  static segmentPath(dir, number) {
+    return join(dir, `wal-${String(number).padStart(6, '0')}.log`);
+  }
+
+  /**
+   * List the WAL segments in `dir`, oldest first. A legacy `wal.log`
+   * comes back as segment 0.
+   * @param {string} dir
+   * @returns {{ number: number, path: string }[]}
+   */
+  static listSegments(dir) {
+    if (!existsSync(dir)) return [];
+    const segments = [];
+    for (const file of readdirSync(dir)) {
+      const match = file.match(/^wal-(\d+)\.log$/);
+      if (match) {
+        segments.push({ number: parseInt(match[1], 10), path: join(dir, file) });
+      } else if (file === LEGACY_LOG_NAME) {
+        segments.push({ number: 0, path: join(dir, file) });
+      }
+    }
+    return segments.sort((a, b) => a.number - b.number);
+  }
+
+  /* ---- Internal helpers ----------------------------------------- */
 
+  /**
+   * Write raw bytes at the end of the log and apply the sync policy.
+   * @param {Buffer} buf
+   */
+  _write(buf) {
+    if (this.fd === null) throw new Error(`WAL ${this.filePath} is closed`);
+    writeSync(this.fd, buf);
+    this.unsyncedBytes += buf.length;
+
+    if (this.syncMode === 'always') {
+      this.sync();
+    } else if (this.syncMode === 'group') {
+      if (this.unsyncedBytes >= this.groupCommitBytes) {
+        this.sync();
+      } else if (!this._syncTimer) {
+        this._syncTimer = setTimeout(() => this.sync(), this.groupCommitMs);
+        this._syncTimer.unref();
+      }
+    }
+  }
+
+  /**
+   * Parse a legacy text log, then rewrite it in the binary format so
+   * the text parser is only ever needed once.
+   *
+   * @param {Buffer} buf
+   * @returns {{ op: string, key: string, value: string }[]}
+   */
+  _migrateTextLog(buf) {
     const entries = [];
+    let discarded = 0;
 
-    for (const line of content.split('\n')) {
+    for (const line of buf.toString('latin1').split('\n')) {
       if (!line) continue;
       // Format: timestamp|op|key|value
       const pipeIdx1 = line.indexOf('|');
       const pipeIdx2 = line.indexOf('|', pipeIdx1 + 1);
       const pipeIdx3 = line.indexOf('|', pipeIdx2 + 1);
 
-      if (pipeIdx1 === -1 || pipeIdx2 === -1 || pipeIdx3 === -1) continue;
-
       const op = line.substring(pipeIdx1 + 1, pipeIdx2);
+      if (pipeIdx1 === -1 || pipeIdx2 === -1 || pipeIdx3 === -1 || !OP_CODES[op] || op === 'BATCH') {
+        discarded++;
+        continue;
+      }
+
       const key = line.substring(pipeIdx2 + 1, pipeIdx3);
       const value = line.substring(pipeIdx3 + 1);
 
-      entries.push({ op, key, value });
+      entries.push({ op, key, value, seq: 0 });
     }
 
+    this._rewrite(entries);
+
+    this.lastRecovery = {
+      replayed: entries.length,
+      discarded,
+      truncatedBytes: 0,
+      migrated: true,
+    };
     return entries;
   }
 
   /**
-   * Clear the WAL (called after a successful MemTable flush to SSTable).
+   * Replace the log's contents with `entries` in the current format.
+   * @param {object[]} entries – as returned by `recover()`
    */
-  clear() {
-    writeFileSync(this.filePath, '');
+  _rewrite(entries) {
+    const records = entries.map(e => (
+      e.op === 'BATCH'
+        ? WAL._encodeBatchRecord(e.ops)
+        : WAL._encodeRecord(e.op, e.key, e.value, e.seq, e.expiresAt)
+    ));
+    ftruncateSync(this.fd, 0);
+    this.unsyncedBytes = 0;
+    this._write(Buffer.concat([WAL._fileHeader(), ...records]));
+  }
+
+  /** @returns {Buffer} */
+  static _fileHeader() {
+    const header = Buffer.alloc(HEADER_SIZE);
+    header.writeUInt32LE(WAL_MAGIC, 0);
+    header.writeUInt8(WAL_VERSION, 4);
+    return header;
+  }
+
+  /**
+   * Encode a single mutation as a framed, checksummed record.
+   * @param {'PUT'|'DELETE'|'DELETE_RANGE'} op
+   * @param {string} key
+   * @param {string} value
+   * @param {number} seq
+   * @param {number} [expiresAt]
+   * @returns {Buffer}
+   */
+  static _encodeRecord(op, key, value, seq, expiresAt = 0) {
+    return WAL._frame(WAL._encodeMutation(op, key, value, seq, expiresAt));
+  }
+
+  /**
+   * Encode a group of mutations as ONE framed record, so recovery sees
+   * either all of them or none.
+   * @param {{ op: 'PUT'|'DELETE'|'DELETE_RANGE', key: string, value: string, seq: number, expiresAt?: number }[]} ops
+   * @returns {Buffer}
+   */
+  static _encodeBatchRecord(ops) {
+    const header = Buffer.alloc(5);
+    header.writeUInt8(OP_CODES.BATCH, 0);
+    header.writeUInt32LE(ops.length, 1);
+    const bodies = ops.map(({ op, key, value, seq, expiresAt }) => WAL._encodeMutation(op, key, value, seq, expiresAt));
+    return WAL._frame(Buffer.concat([header, ...bodies]));
+  }
+
+  /**
+   * op(1B) | seq(8B) | expiresAt(8B) | keyLen(4B) | key | valueLen(4B) | value
+   * @returns {Buffer}
+   */
+  static _encodeMutation(op, key, value, seq = 0, expiresAt = 0) {
+    const code = OP_CODES[op];
+    if (!code || code === OP_CODES.BATCH) throw new Error(`Unknown WAL op: ${op}`);
+
+    const keyBuf = Buffer.from(key, 'latin1');
+    const valBuf = Buffer.from(value, 'latin1');
+
+    const body = Buffer.alloc(1 + 8 + 8 + 4 + keyBuf.length + 4 + valBuf.length);
+    let pos = 0;
+    body.writeUInt8(code, pos);
+    body.writeBigUInt64LE(BigInt(seq), pos + 1);
+    body.writeBigUInt64LE(BigInt(expiresAt), pos + 9);
+    body.writeUInt32LE(keyBuf.length, pos + 17);
+    pos += 21;
+    keyBuf.copy(body, pos);
+    pos += keyBuf.length;
+    body.writeUInt32LE(valBuf.length, pos);
+    pos += 4;
+    valBuf.copy(body, pos);
+    return body;
+  }
+
+  /**
+   * Prefix a payload with its CRC32 and length.
+   * @param {Buffer} payload
+   * @returns {Buffer}
+   */
+  static _frame(payload) {
+    const header = Buffer.alloc(RECORD_HEADER_SIZE);
+    header.writeUInt32LE(crc32(payload), 0);
+    header.writeUInt32LE(payload.length, 4);
+    return Buffer.concat([header, payload]);
+  }
+
+  /**
+   * Decode the record starting at `pos`.
+   * @param {Buffer} buf
+   * @param {number} pos
+   * @param {number} version – WAL format version of the file
+   * @returns {{ entry: object, next: number }|null}
+   *          null if the record is torn, fails its checksum, or is malformed.
+   */
+  static _readRecord(buf, pos, version) {
+    if (pos + RECORD_HEADER_SIZE > buf.length) return null;
+
+    const checksum = buf.readUInt32LE(pos);
+    const length = buf.readUInt32LE(pos + 4);
+    const start = pos + RECORD_HEADER_SIZE;
+    const end = start + length;
+    if (end > buf.length) return null;
+
+    const payload = buf.subarray(start, end);
+    if (length === 0 || crc32(payload) !== checksum) return null;
+
+    if (payload[0] !== OP_CODES.BATCH) {
+      const mutation = WAL._decodeMutation(payload, 0, version);
+      if (!mutation || mutation.next !== length) return null;
+      return { entry: mutation.entry, next: end };
+    }
+
+    if (length < 5) return null;
+    const count = payload.readUInt32LE(1);
+    const ops = [];
+    let p = 5;
+    for (let i = 0; i < count; i++) {
+      const mutation = WAL._decodeMutation(payload, p, version);
+      if (!mutation) return null;
+      ops.push(mutation.entry);
+      p = mutation.next;
+    }
+    if (p !== length) return null;
+
+    return { entry: { op: 'BATCH', ops }, next: end };
+  }
+
+  /**
+   * Decode one mutation body at `pos` within a record payload.
+   * @param {Buffer} payload
+   * @param {number} pos
+   * @param {number} version
+   * @returns {{ entry: { op: string, key: string, value: string, seq: number, expiresAt?: number }, next: number }|null}
+   */
+  static _decodeMutation(payload, pos, version) {
+    const seqLen = version >= 2 ? 8 : 0;
+    const expiryLen = version >= 3 ? 8 : 0;
+    const fixedLen = 1 + seqLen + expiryLen;
+    const op = OP_NAMES[payload[pos]];
+    if (!op || op === 'BATCH' || pos + fixedLen + 4 > payload.length) return null;
+
+    const seq = seqLen ? Number(payload.readBigUInt64LE(pos + 1)) : 0;
+    const expiresAt = expiryLen ? Number(payload.readBigUInt64LE(pos + 1 + seqLen)) : 0;
+    const keyLen = payload.readUInt32LE(pos + fixedLen);
+    const keyStart = pos + fixedLen + 4;
+    if (keyStart + keyLen + 4 > payload.length) return null;
+    const key = payload.toString('latin1', keyStart, keyStart + keyLen);
+
+    const valLen = payload.readUInt32LE(keyStart + keyLen);
+    const valStart = keyStart + keyLen + 4;
+    if (valStart + valLen > payload.length) return null;
+    const value = payload.toString('latin1', valStart, valStart + valLen);
+
+    const entry = { op, key, value, seq };
+    if (expiresAt > 0) entry.expiresAt = expiresAt;
+    return { entry, next: valStart + valLen };
+  }
+
+  /**
+   * Count the records from `pos` onwards that are being discarded.
+   * Frames are followed by their length prefix for as long as that is
+   * possible; a torn frame that runs past the end counts as one.
+   *
+   * @param {Buffer} buf
+   * @param {number} pos
+   * @returns {number}
+   */
+  static _countFrames(buf, pos) {
+    let count = 0;
+    while (pos < buf.length) {
+      count++;
+      if (pos + RECORD_HEADER_SIZE > buf.length) break;
+      pos += RECORD_HEADER_SIZE + buf.readUInt32LE(pos + 4);
+    }
+    return count;
   }
 }
@@ -0,0 +1,89 @@
+/**
+ * WriteBatch — a group of mutations applied atomically.
+ *
+ * Operations are buffered in memory until `commit()`, which writes them
+ * to the WAL as a single checksummed record and applies them to the
+ * MemTable in one step. After a crash the batch is replayed in full or
+ * not at all.
+ *
+ *   db.batch()
+ *     .put('user:00042:name', 'Alice')
+ *     .put('user:00042:city', 'Tokyo')
+ *     .delete('user:00042:temp')
+ *     .commit();
+ *
+ * Keys and values are encoded with the engine's encodings as they are
+ * queued, so the batch holds byte strings (see Encoding).
+ */
+
+import { SSTableWriter } from './sstable.js';
+
+export default class WriteBatch {
+  /**
+   * @param {import('./lsm-tree.js').default} db – engine the batch commits to
+   */
+  constructor(db) {
+    this._db = db;
+    /** @type {{ op: 'PUT'|'DELETE', key: string, value: string }[]} */
+    this.ops = [];
+    this.committed = false;
+  }
+
+  /**
+   * Queue an insert / update. An oversized key or value throws here,
+   * before anything is committed.
+   * @param {string|Uint8Array} key
+   * @param {string|Uint8Array} value
+   * @returns {WriteBatch}
+   */
+  put(key, value) {
+    this._assertOpen();
+    const keyBytes = this._db.keyEncoding.encode(key);
+    const valueBytes = this._db.valueEncoding.encode(value);
+    SSTableWriter.assertEntrySize(keyBytes, valueBytes);
+    this.ops.push({ op: 'PUT', key: keyBytes, value: valueBytes });
+    return this;
+  }
+
+  /**
+   * Queue a delete.
+   * @param {string|Uint8Array} key
+   * @returns {WriteBatch}
+   */
+  delete(key) {
+    this._assertOpen();
+    const keyBytes = this._db.keyEncoding.encode(key);
+    SSTableWriter.assertEntrySize(keyBytes);
+    this.ops.push({ op: 'DELETE', key: keyBytes, value: '' });
+    return this;
+  }
+
+  /** Number of queued operations. */
+  get length() {
+    return this.ops.length;
+  }
+
+  /**
+   * Drop all queued operations.
+   * @returns {WriteBatch}
+   */
+  clear() {
+    this._assertOpen();
+    this.ops = [];
+    return this;
+  }
+
+  /**
+   * Atomically write every queued operation. A batch can only be
+   * committed once.
+   */
+  commit() {
+    this._assertOpen();
+    this._db._writeBatch(this.ops);
+    this.committed = true;
+  }
+
+  _assertOpen() {
+    if (this.committed) throw new Error('WriteBatch has already been committed');
+  }
+}
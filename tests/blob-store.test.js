@@ -0,0 +1,102 @@
+/**
+ * Tests — BlobStore (large-value files)
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, rmSync, mkdirSync, readFileSync, writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+import BlobStore from '../src/blob-store.js';
+
+const TEST_DIR = join(process.cwd(), 'test_data_blob');
+
+describe('BlobStore', () => {
+  beforeEach(() => {
+    if (existsSync(TEST_DIR)) rmSync(TEST_DIR, { recursive: true, force: true });
+    mkdirSync(TEST_DIR, { recursive: true });
+  });
+
+  afterEach(() => {
+    if (existsSync(TEST_DIR)) rmSync(TEST_DIR, { recursive: true, force: true });
+  });
+
+  it('should read back appended values after reopening', () => {
+    const store = new BlobStore(TEST_DIR);
+    const a = store.append('a', 'x'.repeat(5000));
+    const b = store.append('b', 'héllo wörld');
+    store.sync();
+    assert.equal(store.read(b), 'héllo wörld');
+    store.close();
+
+    const reopened = new BlobStore(TEST_DIR);
+    assert.equal(reopened.read(a), 'x'.repeat(5000));
+    assert.equal(reopened.read(b), 'héllo wörld');
+
+    // New values go to a new file, never the one from the earlier run
+    const c = reopened.append('c', 'later');
+    assert.equal(BlobStore.parsePointer(c).file, 2);
+    assert.deepEqual(reopened.stats().files, 2);
+    reopened.close();
+  });
+
+  it('should start a new file once the current one is full', () => {
+    const store = new BlobStore(TEST_DIR, { fileSize: 1024 });
+    const pointers = [];
+    for (let i = 0; i < 10; i++) pointers.push(store.append(`k${i}`, String(i).repeat(300)));
+
+    assert.ok(store.stats().files > 1);
+    pointers.forEach((p, i) => assert.equal(store.read(p), String(i).repeat(300)));
+
+    const first = BlobStore.parsePointer(pointers[0]).file;
+    store.remove(first);
+    assert.ok(!existsSync(BlobStore.filePath(TEST_DIR, first)));
+    assert.ok(!store.files.has(first));
+    store.close();
+  });
+
+  it('should delete a removed file only once its last pin is released', () => {
+    const store = new BlobStore(TEST_DIR, { fileSize: 64 });
+    const old = store.append('a', 'x'.repeat(100));
+    store.append('b', 'y'.repeat(100));
+    const first = BlobStore.parsePointer(old).file;
+    const path = BlobStore.filePath(TEST_DIR, first);
+
+    const reader = {};
+    const other = {};
+    store.pin(reader);
+    store.pin(other);
+    store.remove(first);
+    assert.ok(!store.files.has(first));
+    assert.ok(existsSync(path));
+    assert.equal(store.read(old), 'x'.repeat(100));
+
+    store.unpin(reader);
+    store.unpin(reader);
+    assert.ok(existsSync(path));
+    store.unpin(other);
+    assert.ok(!existsSync(path));
+
+    // Files created after a pin are not held by it
+    store.pin(reader);
+    const later = BlobStore.parsePointer(store.append('c', 'z'.repeat(100))).file;
+    store.remove(later);
+    assert.ok(!existsSync(BlobStore.filePath(TEST_DIR, later)));
+    store.close();
+  });
+
+  it('should reject a damaged record', () => {
+    const store = new BlobStore(TEST_DIR);
+    const pointer = store.append('k', 'v'.repeat(100));
+    store.close();
+
+    const { file, offset } = BlobStore.parsePointer(pointer);
+    const path = BlobStore.filePath(TEST_DIR, file);
+    const buf = readFileSync(path);
+    buf[offset + 50] ^= 0xff;
+    writeFileSync(path, buf);
+
+    const reopened = new BlobStore(TEST_DIR);
+    assert.throws(() => reopened.read(pointer), /Corrupt blob record/);
+    reopened.close();
+  });
+});
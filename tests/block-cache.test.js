@@ -0,0 +1,80 @@
+/**
+ * Tests — Block cache
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import BlockCache from '../src/block-cache.js';
+
+describe('BlockCache', () => {
+  const block = (size, fill = 0) => Buffer.alloc(size, fill);
+
+  it('should load on a miss and serve hits from memory', () => {
+    const cache = new BlockCache(1024);
+    let loads = 0;
+    const load = () => {
+      loads++;
+      return block(100, 1);
+    };
+
+    assert.equal(cache.fetch('t1:0', load)[0], 1);
+    assert.equal(cache.fetch('t1:0', load)[0], 1);
+    assert.equal(loads, 1);
+    assert.deepEqual(
+      { hits: cache.hits, misses: cache.misses, usedBytes: cache.usedBytes },
+      { hits: 1, misses: 1, usedBytes: 100 }
+    );
+  });
+
+  it('should evict the least recently used blocks past its byte capacity', () => {
+    const cache = new BlockCache(300);
+    cache.fetch('a', () => block(100));
+    cache.fetch('b', () => block(100));
+    cache.fetch('c', () => block(100));
+    cache.fetch('a', () => assert.fail('a is cached'));
+
+    cache.fetch('d', () => block(100)); // evicts b, the least recently used
+    assert.equal(cache.evictions, 1);
+    assert.equal(cache.usedBytes, 300);
+
+    let reloaded = false;
+    cache.fetch('b', () => {
+      reloaded = true;
+      return block(100);
+    });
+    assert.ok(reloaded);
+    cache.fetch('a', () => assert.fail('a survived'));
+  });
+
+  it('should not cache a block larger than the whole cache', () => {
+    const cache = new BlockCache(100);
+    cache.fetch('small', () => block(50));
+    cache.fetch('huge', () => block(500));
+    assert.equal(cache.stats().blocks, 1);
+    assert.equal(cache.evictions, 0);
+  });
+
+  it('should shrink on resize and report a hit rate', () => {
+    const cache = new BlockCache(1000);
+    for (let i = 0; i < 10; i++) cache.fetch(`k${i}`, () => block(100));
+    cache.fetch('k9', () => block(100));
+
+    cache.resize(250);
+    const stats = cache.stats();
+    assert.equal(stats.blocks, 2);
+    assert.equal(stats.usedBytes, 200);
+    assert.equal(stats.evictions, 8);
+    assert.equal(stats.hitRate, 1 / 11);
+  });
+
+  it('should reject a capacity that is not a non-negative number', () => {
+    for (const bad of [NaN, -1, Infinity, '64MB', undefined]) {
+      assert.throws(() => new BlockCache(bad), /Invalid block cache capacity/);
+    }
+    const cache = new BlockCache(300);
+    assert.throws(() => cache.resize(Number('64MB')), /Invalid block cache capacity: NaN/);
+    assert.equal(cache.capacityBytes, 300);
+    cache.resize(0);
+    assert.equal(cache.stats().capacityBytes, 0);
+  });
+});
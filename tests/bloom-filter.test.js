@@ -58,4 +58,29 @@ describe('BloomFilter', () => {
     assert.equal(bf2.mightContain('beta'), true);
     assert.equal(bf2.mightContain('gamma'), true);
   });
+
+  it('should size a filter from its key count and hit the expected false-positive rate', () => {
+    const bf = BloomFilter.forKeys(10000, { bitsPerKey: 10 });
+    assert.equal(bf.size, 100000);
+    assert.equal(bf.hashCount, 7);
+    for (let i = 0; i < 10000; i++) bf.add(`key_${String(i).padStart(5, '0')}`);
+
+    let fp = 0;
+    const checks = 20000;
+    for (let i = 0; i < checks; i++) {
+      if (bf.mightContain(`other_${i}`)) fp++;
+    }
+    const estimate = bf.estimatedFalsePositiveRate();
+    assert.ok(estimate > 0.005 && estimate < 0.012, `estimate ${estimate}`);
+    assert.ok(fp / checks < 0.02, `False positive rate too high: ${(fp / checks * 100).toFixed(2)}%`);
+
+    // Key count travels with the filter
+    const copy = BloomFilter.deserialize(bf.serialize());
+    assert.equal(copy.keyCount, 10000);
+    assert.equal(copy.estimatedFalsePositiveRate(), estimate);
+    assert.equal(copy.mightContain('key_04242'), true);
+
+    assert.ok(Math.abs(BloomFilter.bitsPerKeyFor(0.01) - 9.585) < 0.01);
+    assert.throws(() => BloomFilter.forKeys(10, { bitsPerKey: 0 }), /Invalid Bloom filter bits per key/);
+  });
 });
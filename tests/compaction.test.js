@@ -1,5 +1,5 @@
 /**
- * Tests — Compaction (Size-Tiered Strategy)
+ * Tests — Compaction (Size-Tiered and Leveled Strategies)
  */
 
 import { describe, it, beforeEach, afterEach } from 'node:test';
@@ -8,7 +8,11 @@ import { existsSync, rmSync, mkdirSync, readdirSync } from 'node:fs';
 import { join } from 'node:path';
 import { SSTableWriter, SSTableReader } from '../src/sstable.js';
 import Compaction from '../src/compaction.js';
-import { TOMBSTONE, MAX_LEVELS } from '../lsm.config.js';
+import {
+  MAX_LEVELS,
+  LEVEL0_COMPACTION_TRIGGER,
+  TARGET_FILE_SIZE,
+} from '../lsm.config.js';
 
 const TEST_DIR = join(process.cwd(), 'test_data_compaction');
 
@@ -96,7 +100,7 @@ describe('Compaction', () => {
     const levels = emptyLevels();
     // Level 0 has 4 tables, one with a tombstone
     levels.get(0).push(
-      createSSTable([{ key: 'a', value: TOMBSTONE }], 'L0_004.sst'),
+      createSSTable([{ key: 'a', value: '', tombstone: true }], 'L0_004.sst'),
       createSSTable([{ key: 'b', value: '2' }], 'L0_003.sst'),
       createSSTable([{ key: 'c', value: '3' }], 'L0_002.sst'),
       createSSTable([{ key: 'd', value: '4' }], 'L0_001.sst'),
@@ -113,7 +117,7 @@ describe('Compaction', () => {
     const levels = emptyLevels();
     // Level 0: 4 tables, one with a tombstone
     levels.get(0).push(
-      createSSTable([{ key: 'a', value: TOMBSTONE }], 'L0_004.sst'),
+      createSSTable([{ key: 'a', value: '', tombstone: true }], 'L0_004.sst'),
       createSSTable([{ key: 'b', value: '2' }], 'L0_003.sst'),
       createSSTable([{ key: 'c', value: '3' }], 'L0_002.sst'),
       createSSTable([{ key: 'd', value: '4' }], 'L0_001.sst'),
@@ -126,7 +130,7 @@ describe('Compaction', () => {
     const result = Compaction.run(levels, TEST_DIR);
     const reader = result.get(1)[0].reader;
     // Tombstone should still be present
-    assert.equal(reader.get('a'), TOMBSTONE);
+    assert.equal(reader.getVersion('a').tombstone, true);
   });
 
   it('should remove old SSTable files from disk after compaction', () => {
@@ -167,4 +171,155 @@ describe('Compaction', () => {
       assert.ok(entries[i - 1].key < entries[i].key, `Expected sorted: ${entries[i-1].key} < ${entries[i].key}`);
     }
   });
+
+  it('should keep older versions only while a snapshot can see them', () => {
+    const levels = emptyLevels();
+    levels.get(0).push(
+      createSSTable([{ key: 'k', value: 'v4', seq: 40 }], 'L0_004.sst'),
+      createSSTable([{ key: 'k', value: 'v3', seq: 30 }], 'L0_003.sst'),
+      createSSTable([{ key: 'k', value: 'v2', seq: 20 }], 'L0_002.sst'),
+      createSSTable([{ key: 'k', value: 'v1', seq: 10 }], 'L0_001.sst'),
+    );
+
+    // A snapshot at 25 reads v2; nobody reads v3 or v1 any more
+    const result = Compaction.run(levels, TEST_DIR, { snapshots: [25] });
+    const entries = result.get(1)[0].reader.entries();
+    assert.deepEqual(entries.map(e => e.value), ['v4', 'v2']);
+  });
+
+  it('should not drop a tombstone that hides a version a snapshot reads', () => {
+    const entries = [
+      { key: 'k', value: '', seq: 20, tombstone: true },
+      { key: 'k', value: 'old', seq: 10 },
+    ];
+    assert.deepEqual(Compaction.retainVersions(entries, [], true), []);
+    assert.deepEqual(
+      Compaction.retainVersions(entries, [15], true).map(e => e.seq),
+      [20, 10]
+    );
+  });
+
+  /** Entries key_<from>..key_<to-1>, each with a `size`-byte value */
+  function range(from, to, seq, size = 10) {
+    const entries = [];
+    for (let i = from; i < to; i++) {
+      entries.push({ key: `key_${String(i).padStart(5, '0')}`, value: 'x'.repeat(size), seq });
+    }
+    return entries;
+  }
+
+  it('should reject an unknown strategy', () => {
+    assert.throws(() => Compaction.run(emptyLevels(), TEST_DIR, { strategy: 'random' }), /Unknown compaction strategy/);
+  });
+
+  it('leveled: should merge Level 0 into non-overlapping Level 1 tables', () => {
+    const levels = emptyLevels();
+    for (let i = 0; i < LEVEL0_COMPACTION_TRIGGER; i++) {
+      // Overlapping ranges, newest first; 1 KB values so the output spans several files
+      const seq = LEVEL0_COMPACTION_TRIGGER - i;
+      levels.get(0).push(createSSTable(range(i * 30, i * 30 + 60, seq, 1024), `L0_00${seq}.sst`));
+    }
+
+    const result = Compaction.run(levels, TEST_DIR, { strategy: 'leveled' });
+    const l1 = result.get(1);
+    assert.equal(result.get(0).length, 0);
+    assert.ok(l1.length > 1, 'output should be split by TARGET_FILE_SIZE');
+
+    const sorted = [...l1].sort((a, b) => (a.reader.smallestKey < b.reader.smallestKey ? -1 : 1));
+    for (let i = 1; i < sorted.length; i++) {
+      assert.ok(sorted[i - 1].reader.largestKey < sorted[i].reader.smallestKey, 'Level 1 tables must not overlap');
+    }
+    for (const t of l1) assert.ok(t.reader.fileSize < TARGET_FILE_SIZE * 2);
+
+    const total = l1.reduce((n, t) => n + t.reader.entryCount, 0);
+    assert.equal(total, (LEVEL0_COMPACTION_TRIGGER - 1) * 30 + 60);
+  });
+
+  it('leveled: should split range tombstones across outputs, dropping what they delete', () => {
+    const deleted = { start: 'key_00040', end: 'key_00150', seq: 10 };
+    const build = (tag) => {
+      const levels = emptyLevels();
+      const path = join(TEST_DIR, `L0_${tag}_rt.sst`);
+      SSTableWriter.write([], path, { rangeTombstones: [deleted] });
+      levels.get(0).push(
+        { path, reader: SSTableReader.open(path) },
+        createSSTable(range(0, 60, 3, 1024), `L0_${tag}_3.sst`),
+        createSSTable(range(30, 90, 2, 1024), `L0_${tag}_2.sst`),
+        createSSTable(range(60, 200, 1, 1024), `L0_${tag}_1.sst`),
+      );
+      return levels;
+    };
+
+    // A snapshot older than the deletion keeps every version and the
+    // tombstone, which is cut at the output boundaries
+    const l1 = Compaction.run(build('snap'), TEST_DIR, { strategy: 'leveled', snapshots: [5] }).get(1);
+    assert.ok(l1.length > 1);
+    const sorted = [...l1].sort((a, b) => (a.reader.smallestKey < b.reader.smallestKey ? -1 : 1));
+    const fragments = sorted.flatMap(t => [...t.reader.rangeTombstones]);
+    assert.ok(fragments.length > 1, 'the tombstone spans several outputs');
+    assert.equal(fragments[0].start, deleted.start);
+    assert.equal(fragments[fragments.length - 1].end, deleted.end);
+    for (let i = 1; i < fragments.length; i++) assert.equal(fragments[i].start, fragments[i - 1].end);
+    for (let i = 1; i < sorted.length; i++) {
+      assert.ok(sorted[i - 1].reader.largestKey <= sorted[i].reader.smallestKey);
+    }
+    assert.equal(l1.reduce((n, t) => n + t.reader.entryCount, 0), 200);
+
+    // Without it the deleted keys and, at the bottom, the tombstone go
+    const bottom = Compaction.run(build('bottom'), TEST_DIR, { strategy: 'leveled' }).get(1);
+    assert.equal(bottom.reduce((n, t) => n + t.reader.entryCount, 0), 90);
+    assert.ok(bottom.every(t => t.reader.rangeTombstones.size === 0));
+  });
+
+  it('leveled: should compact one over-budget table with only the tables it overlaps', () => {
+    const levels = emptyLevels();
+    // Level 1: five disjoint ~60 KB tables = ~300 KB, over the 256 KB budget
+    for (let i = 0; i < 5; i++) {
+      levels.get(1).push(createSSTable(range(i * 100, i * 100 + 60, 10 + i, 1024), `L1_00${i}.sst`));
+    }
+    // Level 2: one table under the oldest Level 1 table, one far away
+    const under = createSSTable(range(50, 150, 1, 100), 'L2_001.sst');
+    const away = createSSTable(range(900, 950, 2, 100), 'L2_002.sst');
+    levels.get(2).push(under, away);
+
+    const oldest = levels.get(1)[0];
+    const result = Compaction.run(levels, TEST_DIR, { strategy: 'leveled' });
+
+    assert.equal(result.get(1).length, 4);
+    assert.ok(!result.get(1).includes(oldest));
+    assert.ok(result.get(2).includes(away), 'untouched table stays in place');
+    assert.ok(!result.get(2).includes(under));
+    assert.ok(!existsSync(oldest.path) && !existsSync(under.path) && existsSync(away.path));
+
+    // The newer Level 1 data shadows the Level 2 data it was merged with
+    const merged = result.get(2).filter(t => t !== away);
+    const value = merged.map(t => t.reader.get('key_00055')).find(v => v !== null);
+    assert.equal(value.length, 1024);
+    assert.equal(merged.reduce((n, t) => n + t.reader.entryCount, 0), 150);
+  });
+
+  it('should execute a job in steps and leave the old levels untouched', () => {
+    const levels = emptyLevels();
+    for (let i = 0; i < 4; i++) {
+      levels.get(0).push(createSSTable(range(i * 1000, i * 1000 + 1000, 4 - i), `L0_00${4 - i}.sst`));
+    }
+
+    const job = Compaction.pick(levels, 'size-tiered');
+    assert.equal(job.level, 0);
+    assert.equal(job.inputs.length, 4);
+
+    const steps = Compaction.execute(levels, job, TEST_DIR);
+    let yields = 0;
+    let step = steps.next();
+    while (!step.done) {
+      yields++;
+      step = steps.next();
+    }
+    assert.ok(yields >= 4, `expected the merge to be split into steps, got ${yields}`);
+
+    const installed = Compaction.install(levels, step.value);
+    assert.equal(levels.get(0).length, 4, 'input map is not mutated');
+    assert.equal(installed.get(0).length, 0);
+    assert.equal(installed.get(1)[0].reader.entryCount, 4000);
+  });
 });
@@ -0,0 +1,40 @@
+/**
+ * Tests — Comparator (key orders)
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import Comparator from '../src/comparator.js';
+
+const sorted = (keys, comparator) => [...keys].sort(comparator.compare);
+
+describe('Comparator', () => {
+  it('should order keys bytewise, in reverse, or with digit runs by value', () => {
+    const keys = ['user:10', 'user:2', 'user:002', 'user:1:name', 'user:', 'item:9'];
+
+    assert.deepEqual(sorted(keys, Comparator.bytewise),
+      ['item:9', 'user:', 'user:002', 'user:10', 'user:1:name', 'user:2']);
+    assert.deepEqual(sorted(keys, Comparator.reverse),
+      ['user:2', 'user:1:name', 'user:10', 'user:002', 'user:', 'item:9']);
+    assert.deepEqual(sorted(keys, Comparator.numeric),
+      ['item:9', 'user:', 'user:1:name', 'user:002', 'user:2', 'user:10']);
+
+    // Numbers longer than a double holds still compare exactly
+    assert.ok(Comparator.numeric.compare('n:99999999999999999998', 'n:99999999999999999999') < 0);
+    // Distinct keys never tie: '2' and '002' have the same value
+    assert.ok(Comparator.numeric.compare('user:002', 'user:2') !== 0);
+    assert.equal(Comparator.numeric.compare('user:2', 'user:2'), 0);
+  });
+
+  it('should look up built-in comparators by name and accept custom ones', () => {
+    assert.equal(Comparator.get('numeric'), Comparator.numeric);
+
+    const byLength = { name: 'by-length', compare: (a, b) => a.length - b.length || (a < b ? -1 : a > b ? 1 : 0) };
+    assert.equal(Comparator.get(byLength), byLength);
+
+    assert.throws(() => Comparator.get('natural'),
+      /Unknown comparator "natural" \(expected bytewise, reverse, numeric, or \{ name, compare \}\)/);
+    assert.throws(() => Comparator.get({ compare: byLength.compare }), /A comparator is a built-in name or/);
+    assert.throws(() => Comparator.get((a, b) => a - b), /A comparator is a built-in name or/);
+  });
+});
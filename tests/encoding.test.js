@@ -0,0 +1,41 @@
+/**
+ * Tests — Encoding (byte strings and key / value encodings)
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import Encoding from '../src/encoding.js';
+
+describe('Encoding', () => {
+  it('should turn strings, Buffers and Uint8Arrays into byte strings that compare bytewise', () => {
+    assert.equal(Encoding.toBytes('abc'), 'abc');
+    assert.equal(Encoding.toBytes('é'), 'Ã©');
+    assert.equal(Encoding.toBytes(Buffer.from([0x00, 0xff])), '\u0000ÿ');
+    const bytes = new Uint8Array([9, 1, 2, 3]).subarray(1);
+    assert.equal(Encoding.toBytes(bytes), '\u0001\u0002\u0003');
+    assert.throws(() => Encoding.toBytes(42), /Expected a string, Buffer or Uint8Array, got number/);
+
+    // UTF-16 order puts U+FFFF after an emoji's surrogates; byte order does not
+    assert.ok('\uffff' > '\u{1f600}');
+    assert.ok(Encoding.toBytes('\uffff') < Encoding.toBytes('\u{1f600}'));
+  });
+
+  it('should decode with the named encoding', () => {
+    const utf8 = Encoding.get('utf8');
+    assert.equal(utf8.decode(utf8.encode('héllo wörld')), 'héllo wörld');
+
+    const buffer = Encoding.get('buffer');
+    const png = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0xff]);
+    assert.deepEqual(buffer.decode(buffer.encode(png)), png);
+    assert.deepEqual(buffer.decode(buffer.encode('é')), Buffer.from('é'));
+
+    const json = Encoding.get('json');
+    const doc = { name: 'Zoë', tags: ['a', 'b'], age: 42 };
+    assert.equal(json.encode(doc), Encoding.toBytes(JSON.stringify(doc)));
+    assert.deepEqual(json.decode(json.encode(doc)), doc);
+    assert.equal(json.decode(json.encode(7)), 7);
+    assert.throws(() => json.encode(undefined), /Expected a JSON value, got undefined/);
+
+    assert.throws(() => Encoding.get('hex'), /Unknown encoding "hex" \(expected utf8, json, buffer\)/);
+  });
+});
@@ -0,0 +1,162 @@
+/**
+ * Tests — Streaming iterator
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, rmSync } from 'node:fs';
+import { join } from 'node:path';
+import LSMTree from '../src/lsm-tree.js';
+import LSMIterator from '../src/iterator.js';
+
+const TEST_DIR = join(process.cwd(), 'test_data_iterator');
+
+describe('LSMIterator', () => {
+  let db;
+
+  beforeEach(() => {
+    if (existsSync(TEST_DIR)) rmSync(TEST_DIR, { recursive: true, force: true });
+    db = new LSMTree(TEST_DIR);
+  });
+
+  afterEach(() => {
+    if (existsSync(TEST_DIR)) rmSync(TEST_DIR, { recursive: true, force: true });
+  });
+
+  /** Spread keys across two SSTables and the MemTable. */
+  function populate() {
+    for (let i = 0; i < 50; i++) db.put(`key_${String(i).padStart(3, '0')}`, `old_${i}`);
+    db.flush();
+    for (let i = 0; i < 50; i += 2) db.put(`key_${String(i).padStart(3, '0')}`, `new_${i}`);
+    db.flush();
+    for (let i = 0; i < 50; i += 5) db.delete(`key_${String(i).padStart(3, '0')}`);
+  }
+
+  function expected() {
+    const result = [];
+    for (let i = 0; i < 50; i++) {
+      if (i % 5 === 0) continue;
+      result.push({ key: `key_${String(i).padStart(3, '0')}`, value: i % 2 === 0 ? `new_${i}` : `old_${i}` });
+    }
+    return result;
+  }
+
+  it('should merge all sources in key order, newest wins, tombstones hidden', () => {
+    populate();
+    assert.deepEqual([...db.iterator()], expected());
+  });
+
+  it('should iterate in reverse', () => {
+    populate();
+    assert.deepEqual([...db.iterator({ reverse: true })], expected().reverse());
+  });
+
+  it('should honour gte / lt bounds and limit', () => {
+    populate();
+    const all = expected();
+    const inRange = all.filter(e => e.key >= 'key_010' && e.key < 'key_030');
+
+    assert.deepEqual([...db.iterator({ gte: 'key_010', lt: 'key_030' })], inRange);
+    assert.deepEqual(
+      [...db.iterator({ gte: 'key_010', lt: 'key_030', reverse: true, limit: 3 })],
+      inRange.reverse().slice(0, 3)
+    );
+    assert.deepEqual(
+      [...db.iterator({ gt: 'key_011', lte: 'key_013' })].map(e => e.key),
+      ['key_012', 'key_013']
+    );
+  });
+
+  it('should seek forward and backward', () => {
+    populate();
+    const it = db.iterator({ gte: 'key_010' });
+    assert.equal(it.next().value.key, 'key_011');
+
+    it.seek('key_040');
+    assert.equal(it.next().value.key, 'key_041');
+
+    // Seeking before the lower bound clamps to it
+    it.seek('a');
+    assert.equal(it.next().value.key, 'key_011');
+
+    const rev = db.iterator({ reverse: true });
+    rev.seek('key_025');
+    assert.deepEqual(rev.next().value, { key: 'key_024', value: 'new_24' });
+  });
+
+  it('should seek again after running out, until closed', () => {
+    populate();
+    const it = db.iterator({ gte: 'key_040' });
+    assert.equal([...it].length, 8);
+    assert.equal(it.next().done, true);
+
+    it.seek('key_045');
+    assert.deepEqual([...it].map(e => e.key), ['key_046', 'key_047', 'key_048', 'key_049']);
+
+    it.close();
+    it.seek('key_045');
+    assert.equal(it.next().done, true);
+  });
+
+  it('should release the tables it opened if the first seek fails', () => {
+    populate();
+    const { reader } = db.levels.get(0)[0];
+    const broken = { valid: false, current: null, seek() { throw new Error('seek failed'); }, next() {} };
+    assert.throws(() => new LSMIterator([reader.cursor(), broken]), /seek failed/);
+    assert.equal(reader._refs, 0);
+  });
+
+  it('should read a stable view while writes and flushes continue', () => {
+    populate();
+    const it = db.iterator();
+    const first = it.next().value;
+
+    db.put('key_001', 'changed');
+    db.put('key_0015', 'inserted');
+    db.flush();
+
+    const rest = [...it];
+    assert.deepEqual([first, ...rest], expected());
+  });
+
+  it('should iterate a snapshot', () => {
+    db.put('a', '1');
+    const snap = db.snapshot();
+    db.put('a', '2');
+    db.put('b', '3');
+    db.flush();
+
+    assert.deepEqual([...snap.iterator()], [{ key: 'a', value: '1' }]);
+    snap.release();
+  });
+
+  it('should support async iteration', async () => {
+    populate();
+    const keys = [];
+    for await (const { key } of db.iterator({ lt: 'key_005' })) keys.push(key);
+    assert.deepEqual(keys, ['key_001', 'key_002', 'key_003', 'key_004']);
+  });
+
+  it('should agree with a model across random writes', () => {
+    const model = new Map();
+    for (let round = 0; round < 4; round++) {
+      for (let i = 0; i < 200; i++) {
+        const key = `k${String(Math.floor(Math.random() * 120)).padStart(3, '0')}`;
+        if (Math.random() < 0.25) {
+          db.delete(key);
+          model.delete(key);
+        } else {
+          db.put(key, `v${round}_${i}`);
+          model.set(key, `v${round}_${i}`);
+        }
+      }
+      if (round < 3) db.flush();
+    }
+
+    const want = [...model.entries()]
+      .sort(([a], [b]) => (a < b ? -1 : 1))
+      .map(([key, value]) => ({ key, value }));
+    assert.deepEqual([...db.iterator()], want);
+    assert.deepEqual([...db.iterator({ reverse: true })], [...want].reverse());
+  });
+});
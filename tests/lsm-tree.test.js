@@ -4,9 +4,12 @@
 
 import { describe, it, beforeEach, afterEach } from 'node:test';
 import assert from 'node:assert/strict';
-import { existsSync, rmSync } from 'node:fs';
+import { existsSync, rmSync, readFileSync, writeFileSync, readdirSync, readlinkSync } from 'node:fs';
 import { join } from 'node:path';
 import LSMTree from '../src/lsm-tree.js';
+import { SSTableReader } from '../src/sstable.js';
+import { ComparatorMismatchError } from '../src/comparator.js';
+import { MEMTABLE_SIZE_THRESHOLD, L0_STOP_WRITES_TRIGGER, MAX_KEY_SIZE } from '../lsm.config.js';
 
 const TEST_DIR = join(process.cwd(), 'test_data_lsm');
 
@@ -96,12 +99,13 @@ describe('LSMTree', () => {
     assert.ok(stats.levels);
   });
 
-  it('should handle many writes triggering auto-flush', () => {
+  it('should handle many writes triggering auto-flush', async () => {
     // Write enough data to trigger at least one auto-flush (64KB threshold)
     for (let i = 0; i < 2000; i++) {
       db.put(`key_${String(i).padStart(5, '0')}`, `value_${'x'.repeat(30)}_${i}`);
     }
-    // Should have flushed to SSTables
+    // Should have flushed to SSTables in the background
+    await db.waitForFlush();
     const stats = db.stats();
     assert.ok(stats.totalSSTables > 0, 'Expected at least one SSTable after bulk writes');
 
@@ -125,4 +129,732 @@ describe('LSMTree', () => {
     assert.equal(results.length, 3);
     assert.equal(results.find(r => r.key === 'fruit:banana').value, 'green');
   });
+
+  it('should honour the WAL sync mode and report durability', async () => {
+    const safeDir = join(TEST_DIR, 'always');
+    const safe = new LSMTree(safeDir, { syncMode: 'always' });
+    safe.put('k', 'v');
+    assert.equal(safe.wal.unsyncedBytes, 0);
+    safe.close();
+
+    const grouped = new LSMTree(join(TEST_DIR, 'group'), { syncMode: 'group', groupCommitMs: 5 });
+    grouped.put('k', 'v');
+    await grouped.waitForSync();
+    assert.equal(grouped.wal.unsyncedBytes, 0);
+    grouped.close();
+
+    assert.throws(() => new LSMTree(join(TEST_DIR, 'bad'), { syncMode: 'eventually' }), /syncMode/);
+  });
+
+  it('should scan in reverse with limit and offset', () => {
+    for (let i = 0; i < 30; i++) db.put(`key_${String(i).padStart(2, '0')}`, `v${i}`);
+    db.flush();
+    db.delete('key_27');
+
+    const page = db.scan('key_00', 'key_29', { reverse: true, offset: 1, limit: 3 });
+    assert.deepEqual(page.map(e => e.key), ['key_28', 'key_26', 'key_25']);
+    assert.equal(db.scan('key_00', 'key_29', { limit: 5 }).length, 5);
+  });
+
+  it('should page through a range with a continuation cursor', () => {
+    for (let i = 0; i < 25; i++) db.put(`key_${String(i).padStart(2, '0')}`, `v${i}`);
+    db.flush();
+    db.put('key_99', 'outside');
+
+    for (const reverse of [false, true]) {
+      const keys = [];
+      let cursor;
+      let pages = 0;
+      do {
+        const page = db.scanPage('key_00', 'key_24', { limit: 10, reverse, cursor });
+        keys.push(...page.entries.map(e => e.key));
+        cursor = page.nextCursor ?? undefined;
+        pages++;
+      } while (cursor);
+
+      const expected = db.scan('key_00', 'key_24', { reverse }).map(e => e.key);
+      assert.equal(pages, 3);
+      assert.deepEqual(keys, expected);
+    }
+
+    // A page that cannot hold a key would look like the end of the range
+    for (const limit of [0, -1, 2.5, NaN]) {
+      assert.throws(() => db.scanPage('key_00', 'key_24', { limit }), /Invalid page size/);
+    }
+  });
+
+  it('should scan a key prefix and skip tables without it', () => {
+    db.put('user:00001:name', 'Alice');
+    db.put('user:00001:email', 'alice@example.com');
+    db.put('user:00002:name', 'Bob');
+    db.flush();
+    db.put('order:00001:total', '42');
+    db.flush();
+    db.put('user:00001:city', 'Tokyo');
+    db.delete('user:00001:email');
+
+    const results = db.scanPrefix('user:00001:');
+    assert.deepEqual(results, [
+      { key: 'user:00001:city', value: 'Tokyo' },
+      { key: 'user:00001:name', value: 'Alice' },
+    ]);
+    assert.deepEqual(db.scanPrefix('user:', { reverse: true, limit: 1 }).map(e => e.key), ['user:00002:name']);
+
+    // The orders table is ruled out by its prefix Bloom filter
+    const opened = [];
+    for (const table of db.levels.get(0)) {
+      const cursor = table.reader.cursor.bind(table.reader);
+      table.reader.cursor = (...args) => {
+        opened.push(table.path);
+        return cursor(...args);
+      };
+    }
+    db.scanPrefix('user:00002:');
+    assert.equal(opened.length, 1);
+  });
+
+  it('should skip tables whose key range misses a get or scan', () => {
+    for (let i = 0; i < 50; i++) db.put(`apple:${i}`, `a${i}`);
+    db.flush();
+    for (let i = 0; i < 50; i++) db.put(`mango:${i}`, `m${i}`);
+    db.flush();
+    const [mangoes, apples] = db.levels.get(0);
+    assert.equal(apples.reader.largestKey, 'apple:9');
+
+    const touched = [];
+    for (const table of [apples, mangoes]) {
+      const { reader } = table;
+      const mightContain = reader.bloom.mightContain.bind(reader.bloom);
+      reader.bloom.mightContain = key => {
+        touched.push(table);
+        return mightContain(key);
+      };
+      const cursor = reader.cursor.bind(reader);
+      reader.cursor = (...args) => {
+        touched.push(table);
+        return cursor(...args);
+      };
+    }
+
+    assert.equal(db.get('mango:7'), 'm7');
+    assert.equal(db.get('banana'), null);
+    assert.deepEqual(db.scan('mango:1', 'mango:11').map(e => e.value), ['m1', 'm10', 'm11']);
+    assert.equal(db.scanPrefix('mango:').length, 50);
+    assert.ok(!touched.includes(apples), 'the apple table is never consulted');
+    assert.equal(db.scan('a', 'z').length, 100);
+    assert.ok(touched.includes(apples));
+  });
+
+  it('should keep levels non-overlapping under the leveled strategy', async () => {
+    const leveled = new LSMTree(join(TEST_DIR, 'leveled'), { compactionStrategy: 'leveled' });
+    const value = 'v'.repeat(200);
+    for (let i = 0; i < 3000; i++) {
+      const n = (i * 7919) % 3000; // scattered key order
+      leveled.put(`key_${String(n).padStart(5, '0')}`, `${value}${i}`);
+    }
+    leveled.flush();
+    await leveled.waitForCompaction();
+
+    assert.equal(leveled.stats().compactionStrategy, 'leveled');
+    for (let lvl = 1; lvl < leveled.levels.size; lvl++) {
+      const tables = [...leveled.levels.get(lvl)]
+        .sort((a, b) => (a.reader.smallestKey < b.reader.smallestKey ? -1 : 1));
+      for (let i = 1; i < tables.length; i++) {
+        assert.ok(tables[i - 1].reader.largestKey < tables[i].reader.smallestKey, `Level ${lvl} overlaps`);
+      }
+    }
+    assert.ok(leveled.levels.get(2).length > 0, 'data should have reached Level 2');
+    assert.equal(leveled.scan('key_00000', 'key_99999').length, 3000);
+    const writeIndex = [...Array(3000).keys()].find(i => (i * 7919) % 3000 === 1234);
+    assert.equal(leveled.get('key_01234'), `${value}${writeIndex}`);
+    leveled.close();
+
+    assert.throws(() => new LSMTree(join(TEST_DIR, 'bad'), { compactionStrategy: 'random' }), /Unknown compaction strategy/);
+  });
+
+  it('should compact in the background and install the result atomically', async () => {
+    for (let i = 0; i < 4; i++) {
+      db.put(`key${i}`, `v${i}`);
+      db.flush();
+    }
+
+    // The flush returned before compacting; reads use the old table set
+    const before = db.levels;
+    assert.equal(before.get(0).length, 4);
+    assert.equal(db.get('key2'), 'v2');
+
+    await db.waitForCompaction();
+    assert.equal(db.levels.get(0).length, 0);
+    assert.equal(db.levels.get(1).length, 1);
+    assert.equal(before.get(0).length, 4, 'the old table set is never mutated');
+    assert.equal(db.get('key2'), 'v2');
+    assert.equal(db.stats().compaction.completed, 1);
+  });
+
+  it('should close compacted tables once no iterator reads them', { skip: !existsSync('/proc/self/fd') }, async () => {
+    const dir = join(TEST_DIR, 'retired');
+    const tree = new LSMTree(dir);
+    // Descriptors still open on its deleted table files
+    const deletedTables = () => readdirSync('/proc/self/fd').filter(fd => {
+      try {
+        const target = readlinkSync(`/proc/self/fd/${fd}`);
+        return target.startsWith(dir) && target.endsWith('.sst (deleted)');
+      } catch {
+        return false; // closed since it was listed
+      }
+    }).length;
+
+    for (let round = 0; round < 5; round++) {
+      for (let i = 0; i < 4; i++) {
+        tree.put(`key${round}_${i}`, `v${i}`);
+        tree.flush();
+      }
+      await tree.waitForCompaction();
+    }
+    assert.ok(tree.stats().compaction.completed >= 5);
+    assert.equal(deletedTables(), 0);
+
+    // An open iterator keeps reading the tables compacted away under it
+    for (let i = 0; i < 4; i++) {
+      tree.put(`key2_${i}`, 'new');
+      tree.flush();
+    }
+    const it = tree.iterator();
+    assert.equal(it.next().value.key, 'key0_0');
+    await tree.waitForCompaction();
+    assert.equal(tree.levels.get(0).length, 0);
+    assert.ok(deletedTables() > 0);
+    const rest = [...it];
+    assert.equal(rest.length, 19);
+    assert.equal(rest.find(e => e.key === 'key2_0').value, 'new');
+    // Until closed it can still seek back into them
+    assert.ok(deletedTables() > 0);
+    it.close();
+    assert.equal(deletedTables(), 0);
+    tree.close();
+  });
+
+  it('should throttle writes while Level 0 is backed up', () => {
+    const big = 'x'.repeat(MEMTABLE_SIZE_THRESHOLD);
+    let maxL0 = 0;
+    for (let i = 0; i < 2 * L0_STOP_WRITES_TRIGGER; i++) {
+      db.put(`big${i}`, big); // every put crosses the flush threshold
+      maxL0 = Math.max(maxL0, db.levels.get(0).length);
+    }
+
+    // No event-loop turn ever let the background loop run, so writers did the work
+    const { writeSlowdowns, writeStalls } = db.stats().compaction;
+    assert.ok(writeSlowdowns + writeStalls > 0);
+    assert.ok(maxL0 < L0_STOP_WRITES_TRIGGER);
+    assert.equal(db.get('big3'), big);
+    db.close();
+  });
+
+  it('should keep serving a frozen MemTable until its SSTable is written', async () => {
+    const big = 'x'.repeat(MEMTABLE_SIZE_THRESHOLD);
+    db.put('a', '1');
+    db.put('big', big); // crosses the threshold: the MemTable is frozen
+    db.put('b', '2');   // lands in the fresh MemTable
+
+    assert.equal(db.immutables.length, 1);
+    assert.equal(db.levels.get(0).length, 0, 'the write did not wait for the flush');
+    const frozenSegment = db.immutables[0].wal.filePath;
+    assert.notEqual(db.wal.filePath, frozenSegment);
+    assert.equal(db.get('a'), '1');
+    assert.deepEqual(db.scan('a', 'b').map(e => e.key), ['a', 'b']);
+
+    await db.waitForFlush();
+    assert.equal(db.immutables.length, 0);
+    assert.equal(db.levels.get(0).length, 1);
+    assert.ok(!existsSync(frozenSegment), 'the flushed segment is deleted');
+    assert.equal(db.get('big'), big);
+    assert.equal(db.get('b'), '2');
+  });
+
+  it('should recover frozen MemTables from their WAL segments', async () => {
+    const big = 'x'.repeat(MEMTABLE_SIZE_THRESHOLD);
+    db.put('first', '1');
+    db.put('big', big);
+    db.put('second', '2');
+    // Crash before the background flush gets a turn
+    const db2 = new LSMTree(TEST_DIR);
+
+    assert.equal(db2.immutables.length, 1);
+    assert.equal(db2.get('first'), '1');
+    assert.equal(db2.get('second'), '2');
+    assert.equal(db2.stats().walRecovery.replayed, 3);
+
+    await Promise.all([db.waitForFlush(), db2.waitForFlush()]);
+    assert.equal(db2.immutables.length, 0);
+    assert.equal(db2.get('big'), big);
+  });
+
+  it('should serve repeated reads of a hot key from the block cache', () => {
+    for (let i = 0; i < 500; i++) db.put(`key_${String(i).padStart(3, '0')}`, `value_${i}`);
+    db.flush();
+
+    const before = db.stats().blockCache;
+    for (let i = 0; i < 20; i++) assert.equal(db.get('key_123'), 'value_123');
+    db.scan('key_100', 'key_150');
+    const after = db.stats().blockCache;
+
+    assert.ok(after.misses - before.misses <= 2, 'the block is read from disk at most once');
+    assert.ok(after.hits - before.hits >= 19);
+    assert.ok(after.usedBytes > 0 && after.usedBytes <= after.capacityBytes);
+  });
+
+  it('should read levels mixing compressed and uncompressed tables', () => {
+    db.close();
+    const value = i => JSON.stringify({ id: i, name: `user ${i}`, tags: ['a', 'b'] });
+
+    let mixed = new LSMTree(TEST_DIR, { compression: 'deflate' });
+    for (let i = 0; i < 300; i++) mixed.put(`user:${String(i).padStart(4, '0')}`, value(i));
+    mixed.close();
+
+    mixed = new LSMTree(TEST_DIR, { compression: 'none' });
+    for (let i = 300; i < 600; i++) mixed.put(`user:${String(i).padStart(4, '0')}`, value(i));
+    mixed.flush();
+
+    const { sstables, compression } = mixed.inspect(0);
+    assert.deepEqual(sstables.map(t => t.compression).sort(), ['deflate', 'none']);
+    assert.ok(sstables.find(t => t.compression === 'deflate').compressionRatio > 2);
+    assert.equal(compression.codec, 'none');
+    assert.ok(compression.ratio > 1);
+    assert.equal(mixed.get('user:0042'), value(42));
+    assert.equal(mixed.get('user:0442'), value(442));
+    assert.equal(mixed.scan('user:0295', 'user:0304').length, 10);
+
+    assert.throws(() => new LSMTree(TEST_DIR, { compression: 'zstd' }), /compression/);
+    mixed.close();
+  });
+
+  it('should verify tables and repair a damaged one from its intact blocks', () => {
+    db.close();
+    const key = i => `key_${String(i).padStart(4, '0')}`;
+    let repaired = new LSMTree(TEST_DIR, { backgroundCompaction: false });
+    for (let i = 0; i < 1000; i++) repaired.put(key(i), `old-${i}`);
+    repaired.flush();
+    for (let i = 0; i < 1000; i += 2) repaired.put(key(i), `new-${i}`);
+    repaired.flush();
+    for (let i = 0; i < 10; i++) repaired.put(key(i), `newest-${i}`);
+    repaired.flush();
+    assert.equal(repaired.verify().damaged, 0);
+
+    // Corrupt one block of the middle Level-0 table
+    const [, middle] = repaired.levels.get(0);
+    const block = middle.reader.blockIndex[0];
+    const buf = readFileSync(middle.path);
+    buf[block.offset + 40] ^= 0xff;
+    writeFileSync(middle.path, buf);
+    const middleFile = middle.path.split('/').pop();
+    SSTableReader.blockCache.clear();
+
+    assert.throws(() => repaired.get(key(20)), /Checksum mismatch/);
+    const report = repaired.verify();
+    assert.equal(report.damaged, 1);
+    const damaged = report.tables.find(t => t.file === middleFile);
+    assert.deepEqual(damaged.corruptBlocks.map(b => b.block), [0]);
+    assert.ok(damaged.entries > 0 && damaged.entries < 500);
+
+    const fixed = repaired.verify({ repair: true });
+    const result = fixed.tables.find(t => t.file === middleFile).repaired;
+    assert.equal(fixed.repaired, 1);
+    assert.equal(result.salvaged, damaged.entries);
+    assert.ok(existsSync(`${middle.path}.corrupt`));
+    assert.equal(repaired.verify().damaged, 0);
+
+    // The replacement keeps its place between the newer and older tables
+    assert.equal(repaired.get(key(4)), 'newest-4');
+    assert.equal(repaired.get(key(998)), 'new-998');
+    assert.equal(repaired.get(key(20)), 'old-20', 'lost update falls back to the older version');
+    repaired.close();
+
+    repaired = new LSMTree(TEST_DIR);
+    assert.equal(repaired.get(key(998)), 'new-998');
+    assert.equal(repaired.get(key(4)), 'newest-4');
+    repaired.close();
+  });
+
+  it('should store keys over 64 KB and large values', () => {
+    const bigKey = n => `blob:${n}:`.padEnd(100 * 1024, 'k');
+    const bigValue = 'v'.repeat(3 * 1024 * 1024);
+    db.put(bigKey(1), bigValue);
+    db.put(bigKey(2), 'small');
+    db.put('blob:0', 'before');
+    db.flush();
+    db.close();
+
+    db = new LSMTree(TEST_DIR);
+    assert.equal(db.get(bigKey(1)), bigValue);
+    assert.equal(db.get(bigKey(2)), 'small');
+    assert.deepEqual(db.scanPrefix('blob:').map(e => e.value.length), [6, bigValue.length, 5]);
+
+    // Oversized writes are rejected before anything is logged
+    const seq = db.seq;
+    const tooLong = 'k'.repeat(MAX_KEY_SIZE + 1);
+    assert.throws(() => db.put(tooLong, 'x'), /Key too large: 1048577 bytes/);
+    assert.throws(() => db.delete(tooLong), /Key too large/);
+    assert.throws(() => db.batch().put('ok', '1').put(tooLong, '2'), /Key too large/);
+    assert.equal(db.seq, seq);
+    assert.equal(db.get('ok'), null);
+  });
+
+  it('should keep large values in blob files and reclaim them with blob GC', () => {
+    db.close();
+    db = new LSMTree(TEST_DIR, { blobThreshold: 1024, blobFileSize: 16 * 1024, backgroundCompaction: false });
+    const key = i => `doc:${String(i).padStart(3, '0')}`;
+    const big = (i, gen) => `${gen}:${i}:`.padEnd(2000, '#');
+    for (let i = 0; i < 24; i++) db.put(key(i), big(i, 'v1'));
+    db.put('small', 'inline');
+    db.flush();
+
+    // The SSTable holds pointers; reads return the values
+    const [table] = db.levels.get(0);
+    const stored = table.reader.getVersion(key(7));
+    assert.ok(stored.blob);
+    assert.ok(stored.value.length < 32);
+    assert.equal(table.reader.getVersion('small').blob, undefined);
+    assert.equal(db.get(key(7)), big(7, 'v1'));
+    assert.deepEqual(db.scan(key(22), key(23)).map(e => e.value), [big(22, 'v1'), big(23, 'v1')]);
+    assert.ok(db.stats().blobs.files >= 3);
+
+    // Overwrite most values; the fourth Level-0 table triggers a
+    // compaction that drops the old pointers
+    for (let i = 0; i < 20; i++) db.put(key(i), big(i, 'v2'));
+    db.flush();
+    db.delete(key(20));
+    db.flush();
+    db.put('small', 'inline');
+    db.flush();
+    assert.equal(db.levels.get(0).length, 0);
+
+    const before = db.stats().blobs;
+    const report = db.gcBlobs({ ratio: 0.25 });
+    assert.ok(report.deletedFiles > 0);
+    assert.ok(report.relocatedValues > 0, 'live values of a mostly-garbage file are moved');
+    assert.ok(report.reclaimedBytes > 0);
+    assert.ok(db.stats().blobs.sizeBytes < before.sizeBytes);
+
+    assert.equal(db.get(key(5)), big(5, 'v2'));
+    assert.equal(db.get(key(20)), null);
+    assert.equal(db.get(key(23)), big(23, 'v1'));
+    db.close();
+
+    // Relocated pointers survive a restart
+    db = new LSMTree(TEST_DIR, { blobThreshold: 1024 });
+    assert.equal(db.scan(key(0), key(23)).length, 23);
+    assert.equal(db.get(key(21)), big(21, 'v1'));
+    assert.equal(db.get('small'), 'inline');
+  });
+
+  it('should delete blob files at GC, or once the iterators reading them close', { skip: !existsSync('/proc/self/fd') }, () => {
+    const dir = join(TEST_DIR, 'blob-gc');
+    const tree = new LSMTree(dir, { blobThreshold: 1024, blobFileSize: 16 * 1024, backgroundCompaction: false });
+    const key = i => `doc:${String(i).padStart(3, '0')}`;
+    const big = (i, gen) => `${gen}:${i}:`.padEnd(2000, '#');
+    const blobFiles = () => readdirSync(dir).filter(f => f.endsWith('.blob')).length;
+    // Descriptors still open on deleted blob files
+    const deletedBlobs = () => readdirSync('/proc/self/fd').filter(fd => {
+      try {
+        const target = readlinkSync(`/proc/self/fd/${fd}`);
+        return target.startsWith(dir) && target.endsWith('.blob (deleted)');
+      } catch {
+        return false; // closed since it was listed
+      }
+    }).length;
+    const write = (gen, flushes) => {
+      for (let f = 0; f < flushes; f++) {
+        for (let i = 0; i < 24; i++) tree.put(key(i), big(i, gen));
+        tree.flush();
+      }
+    };
+
+    // The fourth Level-0 table triggers a compaction dropping the v1 pointers
+    write('v1', 1);
+    // A read leaves a descriptor open on a file GC then deletes
+    assert.equal(tree.get(key(3)), big(3, 'v1'));
+    write('v2', 3);
+    assert.ok(tree.gcBlobs().deletedFiles > 0);
+    assert.equal(blobFiles(), tree.stats().blobs.files);
+    assert.equal(deletedBlobs(), 0);
+
+    // An iterator opened before GC still follows pointers into the files
+    // GC removes, though it had not opened them yet
+    write('v3', 1);
+    const it = tree.iterator();
+    write('v4', 3);
+    const report = tree.gcBlobs();
+    assert.ok(report.deletedFiles > 0);
+    assert.ok(blobFiles() > tree.stats().blobs.files);
+    assert.deepEqual([...it].map(e => e.value), [...Array(24).keys()].map(i => big(i, 'v3')));
+    it.close();
+    assert.equal(blobFiles(), tree.stats().blobs.files);
+    assert.equal(deletedBlobs(), 0);
+    assert.equal(tree.get(key(7)), big(7, 'v4'));
+    tree.close();
+  });
+
+  it('should refuse blob GC while a table cannot be opened', () => {
+    db.close();
+    const options = { blobThreshold: 1024, backgroundCompaction: false };
+    db = new LSMTree(TEST_DIR, options);
+    for (let i = 0; i < 4; i++) db.put(`doc:${i}`, `${i}`.padEnd(2000, '#'));
+    db.flush();
+    db.put('doc:9', 'small');
+    db.flush();
+    const [, older] = db.levels.get(0);
+    db.close();
+    writeFileSync(older.path, 'not a table');
+
+    db = new LSMTree(TEST_DIR, options);
+    const blobs = db.stats().blobs;
+    assert.throws(() => db.gcBlobs(), /Blob GC skipped: SSTable L0_\d+\.sst could not be opened/);
+    assert.deepEqual(db.stats().blobs, blobs, 'the values the table points at are kept');
+  });
+
+  it('should hide a deleted key range in get and scan, across flush and restart', () => {
+    const key = i => `key:${String(i).padStart(2, '0')}`;
+    for (let i = 0; i < 20; i++) db.put(key(i), `v${i}`);
+    db.flush();
+    db.deleteRange(key(5), key(10));
+    assert.throws(() => db.deleteRange('b', 'a'), /start key must sort before end key/);
+
+    const check = () => {
+      assert.equal(db.get(key(4)), 'v4');
+      assert.equal(db.get(key(5)), null);
+      assert.equal(db.get(key(9)), null);
+      assert.equal(db.get(key(10)), 'v10', 'the end of the range is exclusive');
+      assert.deepEqual(db.scan(key(3), key(11)).map(e => e.key), [key(3), key(4), key(10), key(11)]);
+      assert.equal(db.scanPrefix('key:0').length, 5);
+    };
+    check();
+
+    // A later write brings a key back
+    db.put(key(7), 'again');
+    assert.equal(db.get(key(7)), 'again');
+    db.delete(key(7));
+
+    // Replayed from the WAL, then flushed into a table's properties block
+    db.close();
+    db = new LSMTree(TEST_DIR);
+    check();
+    db.flush();
+    const [table] = db.levels.get(0);
+    assert.deepEqual([...table.reader.rangeTombstones], [{ start: key(5), end: key(10), seq: 21 }]);
+    check();
+  });
+
+  it('should drop deleted ranges in compaction, keeping what snapshots read', () => {
+    db.close();
+    db = new LSMTree(TEST_DIR, { backgroundCompaction: false, compactionStrategy: 'leveled' });
+    const key = i => `key:${String(i).padStart(2, '0')}`;
+    for (let i = 0; i < 20; i++) db.put(key(i), `v${i}`);
+    db.flush();
+    const snap = db.snapshot();
+    db.deleteRange(key(0), key(10));
+    db.flush();
+    db.put('other', '1');
+    db.flush();
+    db.put('other', '2');
+    db.flush();
+
+    // The snapshot predates the tombstone, so both survive the merge
+    assert.equal(db.levels.get(0).length, 0);
+    let [table] = db.levels.get(1);
+    assert.equal(table.reader.rangeTombstones.size, 1);
+    assert.equal(snap.get(key(3)), 'v3');
+    assert.equal(db.get(key(3)), null);
+    assert.equal(db.scan(key(0), key(19)).length, 10);
+    snap.release();
+
+    // With no snapshot left, the bottom-level merge drops both
+    for (let i = 0; i < 4; i++) {
+      db.put('other', String(i));
+      db.flush();
+    }
+    assert.equal(db.levels.get(1).length, 1);
+    [table] = db.levels.get(1);
+    assert.equal(table.reader.rangeTombstones.size, 0);
+    assert.equal(table.reader.entryCount, 11);
+    assert.equal(db.get(key(3)), null);
+    assert.equal(db.get(key(12)), 'v12');
+    assert.equal(db.scan(key(0), key(19)).length, 10);
+  });
+
+  it('should hide values whose TTL ran out and drop them in compaction', async () => {
+    db.close();
+    db = new LSMTree(TEST_DIR, { backgroundCompaction: false });
+    assert.throws(() => db.put('k', 'v', { ttlMs: 0 }), /Invalid TTL/);
+
+    db.put('keep', 'forever');
+    db.put('session', 'token', { ttlMs: 60 });
+    db.put('cache', 'old');
+    db.put('cache', 'new', { ttlMs: 60 });
+    db.put('later', 'x', { ttlMs: 60 * 60 * 1000 });
+    assert.equal(db.expire('keep2', 60), false);
+    db.put('keep2', 'soon');
+    assert.equal(db.expire('keep2', 60), true);
+    assert.equal(db.get('session'), 'token');
+
+    // The expiry time survives the WAL and the SSTable
+    db.close();
+    db = new LSMTree(TEST_DIR, { backgroundCompaction: false });
+    db.flush();
+    const [table] = db.levels.get(0);
+    assert.ok(table.reader.getVersion('later').expiresAt > Date.now());
+    assert.equal(table.reader.getVersion('keep').expiresAt, undefined);
+
+    await new Promise(resolve => setTimeout(resolve, 100));
+    assert.equal(db.get('session'), null);
+    assert.equal(db.get('cache'), null, 'an expired value does not uncover older ones');
+    assert.equal(db.get('keep2'), null);
+    assert.equal(db.get('later'), 'x');
+    assert.deepEqual(db.scan('a', 'z').map(e => e.key), ['keep', 'later']);
+
+    // Compaction to the bottom level drops every version of them
+    for (let i = 0; i < 3; i++) {
+      db.put('other', String(i));
+      db.flush();
+    }
+    const [merged] = db.levels.get(1);
+    assert.deepEqual(merged.reader.entries().map(e => e.key), ['keep', 'later', 'other']);
+  });
+
+  it('should store binary keys and values, ordered bytewise, across flush and restart', () => {
+    db.close();
+    db = new LSMTree(TEST_DIR, { keyEncoding: 'buffer', valueEncoding: 'buffer' });
+    const png = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0xff, 0xfe]);
+    db.put(Buffer.from([0x00]), png);
+    db.put(Buffer.from([0xff, 0x00]), Buffer.from('high'));
+    db.put(Buffer.from([0x7f]), new Uint8Array([1, 2, 3]));
+    // Any value can be stored, even the old tombstone sentinel
+    db.put('é', '__TOMBSTONE__');
+    db.put('gone', 'x');
+    db.delete(Buffer.from('gone'));
+    assert.throws(() => db.put(42, 'x'), /Expected a string, Buffer or Uint8Array/);
+
+    const check = () => {
+      assert.deepEqual(db.get(Buffer.from([0x00])), png);
+      assert.deepEqual(db.get('é'), Buffer.from('__TOMBSTONE__'));
+      assert.equal(db.get('gone'), null);
+      assert.deepEqual(
+        db.scan('', Buffer.from([0xff, 0xff])).map(e => [...e.key]),
+        [[0x00], [0x7f], [0xc3, 0xa9], [0xff, 0x00]]
+      );
+    };
+    check();
+    db.flush();
+    check();
+    db.close();
+    db = new LSMTree(TEST_DIR, { keyEncoding: 'buffer', valueEncoding: 'buffer' });
+    check();
+
+    // Read back as strings, paging past a key that is not valid UTF-8
+    db.close();
+    db = new LSMTree(TEST_DIR);
+    assert.equal(db.get('é'), '__TOMBSTONE__');
+    const keys = [];
+    let cursor;
+    do {
+      const page = db.scanPage('', Buffer.from([0xff, 0xff]), { limit: 1, cursor });
+      keys.push(...page.entries.map(e => e.key));
+      cursor = page.nextCursor ?? undefined;
+    } while (cursor !== undefined);
+    assert.deepEqual(keys, ['\u0000', '\u007f', 'é', '\ufffd\u0000']);
+  });
+
+  it('should order keys with a numeric comparator through flush, compaction and restart', () => {
+    db.close();
+    rmSync(TEST_DIR, { recursive: true, force: true });
+    const options = { comparator: 'numeric', valueEncoding: 'json', backgroundCompaction: false };
+    db = new LSMTree(TEST_DIR, options);
+    // Four flushes trigger a compaction into level 1
+    for (let round = 0; round < 4; round++) {
+      for (let i = round; i <= 120; i += 4) db.put(`user:${i}`, { id: i, tags: ['a'] });
+      db.flush();
+    }
+    db.delete('user:3');
+    db.deleteRange('user:9', 'user:100');
+    assert.throws(() => db.deleteRange('user:100', 'user:9'), /start key must sort before end key/);
+    assert.equal(db.levels.get(0).length, 0);
+    assert.ok(db.levels.get(1).length > 0);
+
+    const check = () => {
+      assert.deepEqual(db.get('user:42'), null);
+      assert.deepEqual(db.get('user:7'), { id: 7, tags: ['a'] });
+      assert.deepEqual(db.scan('user:1', 'user:12').map(e => e.key),
+        ['user:1', 'user:2', 'user:4', 'user:5', 'user:6', 'user:7', 'user:8']);
+      assert.deepEqual(db.scan('user:100', 'user:120', { reverse: true, limit: 3 }).map(e => e.value.id),
+        [120, 119, 118]);
+      // Prefix keys are spread out in numeric order, and still all found
+      // (user:11 itself falls in the deleted range)
+      assert.deepEqual(db.scanPrefix('user:11').map(e => e.key),
+        ['user:110', 'user:111', 'user:112', 'user:113', 'user:114', 'user:115', 'user:116',
+          'user:117', 'user:118', 'user:119']);
+      const keys = [];
+      let cursor;
+      do {
+        const page = db.scanPage('user:0', 'user:9', { limit: 3, cursor });
+        keys.push(...page.entries.map(e => e.key));
+        cursor = page.nextCursor ?? undefined;
+      } while (cursor !== undefined);
+      assert.deepEqual(keys, ['user:0', 'user:1', 'user:2', 'user:4', 'user:5', 'user:6', 'user:7', 'user:8']);
+    };
+    check();
+    db.flush();
+    check();
+    db.close();
+    db = new LSMTree(TEST_DIR, options);
+    check();
+    db.close();
+
+    // The database records its order: opening with another one fails
+    assert.throws(() => new LSMTree(TEST_DIR), /is ordered by the "numeric" comparator, not "bytewise"/);
+    db = new LSMTree(TEST_DIR, options);
+    assert.deepEqual(db.get('user:7'), { id: 7, tags: ['a'] });
+  });
+
+  it('should order keys with the reverse or a custom comparator', () => {
+    db.close();
+    rmSync(TEST_DIR, { recursive: true, force: true });
+    db = new LSMTree(TEST_DIR, { comparator: 'reverse', keyEncoding: 'json' });
+    for (const key of [['b', 1], ['a', 2], ['c', 0]]) db.put(key, 'v');
+    db.flush();
+    db.put(['a', 1], 'v');
+    assert.deepEqual(db.scan(['c', 0], ['a', 1]).map(e => e.key), [['c', 0], ['b', 1], ['a', 2], ['a', 1]]);
+    assert.deepEqual(db.iterator({ gt: ['b', 1] }).next().value.key, ['a', 2]);
+    db.close();
+
+    // Keys by length, then bytewise
+    rmSync(TEST_DIR, { recursive: true, force: true });
+    const byLength = { name: 'by-length', compare: (a, b) => a.length - b.length || (a < b ? -1 : a > b ? 1 : 0) };
+    db = new LSMTree(TEST_DIR, { comparator: byLength });
+    for (const key of ['ccc', 'a', 'bb', 'zz', 'b']) db.put(key, key.toUpperCase());
+    db.flush();
+    assert.deepEqual(db.scan('a', 'zzz').map(e => e.key), ['a', 'b', 'bb', 'zz', 'ccc']);
+    assert.equal(db.get('zz'), 'ZZ');
+    db.close();
+    assert.throws(() => new LSMTree(TEST_DIR, { comparator: 'bytewise' }), /ordered by the "by-length" comparator/);
+    assert.throws(() => new LSMTree(TEST_DIR, { comparator: 'natural' }), /Unknown comparator "natural"/);
+    db = new LSMTree(TEST_DIR, { comparator: { ...byLength } });
+    assert.equal(db.get('ccc'), 'CCC');
+  });
+
+  it('should refuse to reopen a WAL-only database with another comparator', () => {
+    db.close();
+    rmSync(TEST_DIR, { recursive: true, force: true });
+    db = new LSMTree(TEST_DIR, { comparator: 'numeric' });
+    db.put('user:10', 'ten');
+    db.put('user:2', 'two');
+    // Simulate crash: nothing is flushed, so no table records the order
+    db.wal.close();
+
+    assert.throws(() => new LSMTree(TEST_DIR), err => {
+      assert.ok(err instanceof ComparatorMismatchError);
+      assert.match(err.message, /^Database .* is ordered by the "numeric" comparator, not "bytewise"$/);
+      return true;
+    });
+    db = new LSMTree(TEST_DIR, { comparator: 'numeric' });
+    assert.deepEqual(db.scan('user:0', 'user:99').map(e => e.value), ['two', 'ten']);
+  });
 });
@@ -0,0 +1,136 @@
+/**
+ * Tests — MANIFEST (version-edit log)
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, rmSync, mkdirSync, readFileSync, writeFileSync, readdirSync } from 'node:fs';
+import { join } from 'node:path';
+import Manifest from '../src/manifest.js';
+import LSMTree from '../src/lsm-tree.js';
+import { SSTableWriter } from '../src/sstable.js';
+
+const TEST_DIR = join(process.cwd(), 'test_data_manifest');
+
+/** Fake table objects — the manifest only looks at their paths */
+const t = name => ({ path: join(TEST_DIR, name) });
+
+describe('Manifest', () => {
+  beforeEach(() => {
+    if (existsSync(TEST_DIR)) rmSync(TEST_DIR, { recursive: true, force: true });
+    mkdirSync(TEST_DIR, { recursive: true });
+  });
+
+  afterEach(() => {
+    if (existsSync(TEST_DIR)) rmSync(TEST_DIR, { recursive: true, force: true });
+  });
+
+  it('should replay edits in install order', () => {
+    const m = new Manifest(TEST_DIR);
+    m.rewrite();
+    m.logEdit({ added: [{ level: 0, table: t('L0_1.sst') }] });
+    m.logEdit({ added: [{ level: 0, table: t('L0_2.sst') }] });
+    m.logEdit({
+      removed: [t('L0_1.sst'), t('L0_2.sst')],
+      added: [{ level: 1, table: t('L1_3.sst') }, { level: 1, table: t('L1_4.sst') }],
+    });
+    m.logEdit({ added: [{ level: 0, table: t('L0_5.sst') }] });
+    m.close();
+
+    const reopened = new Manifest(TEST_DIR);
+    assert.ok(reopened.existed);
+    const levels = reopened.recover();
+    assert.deepEqual(levels.get(0), ['L0_5.sst']);
+    assert.deepEqual(levels.get(1), ['L1_3.sst', 'L1_4.sst']);
+    assert.equal(reopened.lastRecovery.edits, 5);
+
+    // A rewrite collapses the log into one equivalent edit
+    reopened.rewrite();
+    reopened.close();
+    const compacted = new Manifest(TEST_DIR);
+    assert.deepEqual(compacted.recover(), levels);
+    assert.equal(compacted.lastRecovery.edits, 1);
+  });
+
+  it('should discard a torn trailing edit', () => {
+    const m = new Manifest(TEST_DIR);
+    m.rewrite();
+    m.logEdit({ added: [{ level: 0, table: t('L0_1.sst') }] });
+    m.logEdit({ added: [{ level: 0, table: t('L0_2.sst') }] });
+    m.close();
+
+    const full = readFileSync(m.filePath);
+    writeFileSync(m.filePath, full.subarray(0, full.length - 5));
+
+    const reopened = new Manifest(TEST_DIR);
+    assert.deepEqual(reopened.recover().get(0), ['L0_1.sst']);
+    assert.equal(reopened.lastRecovery.discarded, 1);
+
+    // A last record that is complete but damaged is torn too
+    const damaged = readFileSync(m.filePath);
+    damaged[damaged.length - 2] ^= 0xff;
+    writeFileSync(m.filePath, damaged);
+    const again = new Manifest(TEST_DIR);
+    assert.deepEqual([...again.recover()], []);
+    assert.equal(again.lastRecovery.discarded, 1);
+  });
+
+  it('should refuse to open past a corrupt edit instead of dropping later ones', () => {
+    let db = new LSMTree(TEST_DIR, { backgroundCompaction: false });
+    for (const key of ['a', 'b']) {
+      db.put(key, key.toUpperCase());
+      db.flush();
+    }
+    db.close();
+    assert.equal(readdirSync(TEST_DIR).filter(f => f.endsWith('.sst')).length, 2);
+
+    // Flip a byte inside the first of several edits
+    db = new LSMTree(TEST_DIR, { backgroundCompaction: false });
+    db.put('c', 'C');
+    db.flush();
+    db.close();
+    const path = join(TEST_DIR, 'MANIFEST');
+    const buf = readFileSync(path);
+    buf[20] ^= 0xff;
+    writeFileSync(path, buf);
+
+    assert.throws(() => new LSMTree(TEST_DIR), /Corrupt MANIFEST record at offset 5 in .*, followed by \d+ more bytes/);
+    assert.equal(readdirSync(TEST_DIR).filter(f => f.endsWith('.sst')).length, 3, 'no table was deleted');
+    assert.deepEqual(readFileSync(path), buf, 'nothing was truncated');
+  });
+
+  it('should garbage-collect orphaned tables on open', () => {
+    let db = new LSMTree(TEST_DIR, { backgroundCompaction: false });
+    db.put('a', '1');
+    db.flush();
+    db.close();
+    const [live] = readdirSync(TEST_DIR).filter(f => f.endsWith('.sst'));
+
+    // A compaction output that was written but never committed
+    SSTableWriter.write([{ key: 'a', value: 'stale', seq: 0 }], join(TEST_DIR, 'L1_1.sst'));
+
+    db = new LSMTree(TEST_DIR);
+    assert.deepEqual(readdirSync(TEST_DIR).filter(f => f.endsWith('.sst')), [live]);
+    assert.equal(db.get('a'), '1');
+    db.close();
+  });
+
+  it('should adopt a data directory written before the MANIFEST', () => {
+    SSTableWriter.write([{ key: 'a', value: 'old', seq: 1 }], join(TEST_DIR, 'L1_100.sst'));
+    SSTableWriter.write([{ key: 'a', value: 'new', seq: 2 }], join(TEST_DIR, 'L0_200.sst'));
+    SSTableWriter.write([{ key: 'b', value: 'newer', seq: 3 }], join(TEST_DIR, 'L0_300.sst'));
+
+    const db = new LSMTree(TEST_DIR);
+    assert.ok(existsSync(join(TEST_DIR, 'MANIFEST')));
+    assert.deepEqual(db.levels.get(0).map(tb => tb.path.split('/').pop()), ['L0_300.sst', 'L0_200.sst']);
+    assert.equal(db.get('a'), 'new');
+    assert.equal(db.get('b'), 'newer');
+
+    // New tables are numbered past every existing one
+    db.put('c', '1');
+    db.flush();
+    const number = f => parseInt(f.match(/_(\d+)\.sst$/)[1], 10);
+    assert.ok(number(db.levels.get(0)[0].path) > 300);
+    db.close();
+  });
+});
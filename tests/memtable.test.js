@@ -5,7 +5,6 @@
 import { describe, it, beforeEach } from 'node:test';
 import assert from 'node:assert/strict';
 import MemTable from '../src/memtable.js';
-import { TOMBSTONE } from '../lsm.config.js';
 
 describe('MemTable', () => {
   let mem;
@@ -32,7 +31,8 @@ describe('MemTable', () => {
   it('should delete a key with a tombstone', () => {
     mem.put('name', 'Alice');
     mem.delete('name');
-    assert.equal(mem.get('name'), TOMBSTONE);
+    assert.equal(mem.get('name'), null);
+    assert.equal(mem.getVersion('name').tombstone, true);
   });
 
   it('should return sorted entries', () => {
@@ -52,6 +52,12 @@ describe('MemTable', () => {
     assert.deepEqual(result.map(e => e.key), ['b', 'c']);
   });
 
+  it('should scan in reverse with limit and offset', () => {
+    for (const k of ['a', 'b', 'c', 'd', 'e']) mem.put(k, k.toUpperCase());
+    const result = mem.scan('b', 'e', { reverse: true, offset: 1, limit: 2 });
+    assert.deepEqual(result.map(e => e.key), ['d', 'c']);
+  });
+
   it('should track entry count', () => {
     mem.put('a', '1');
     mem.put('b', '2');
@@ -87,4 +93,59 @@ describe('MemTable', () => {
       assert.ok(entries[i - 1].key < entries[i].key, 'entries should be sorted');
     }
   });
+
+  it('should apply a batch of mutations', () => {
+    mem.put('stale', 'x');
+    mem.applyBatch([
+      { op: 'PUT', key: 'a', value: '1' },
+      { op: 'PUT', key: 'b', value: '2' },
+      { op: 'DELETE', key: 'stale', value: '' },
+    ]);
+    assert.equal(mem.get('a'), '1');
+    assert.equal(mem.get('b'), '2');
+    assert.equal(mem.getVersion('stale').tombstone, true);
+  });
+
+  it('should keep versions and read as of a sequence number', () => {
+    mem.put('k', 'v1', 1);
+    mem.put('k', 'v2', 5);
+    mem.delete('k', 9);
+
+    assert.equal(mem.getVersion('k').tombstone, true);
+    assert.equal(mem.get('k', 8), 'v2');
+    assert.equal(mem.get('k', 4), 'v1');
+    assert.equal(mem.get('k', 0), null);
+    assert.equal(mem.count, 3);
+
+    // entries() lists every version, newest first within a key
+    assert.deepEqual(mem.entries().map(e => e.seq), [9, 5, 1]);
+    // scan() returns only the visible version
+    assert.deepEqual(mem.scan('a', 'z', { seq: 6 }), [{ key: 'k', value: 'v2', seq: 5 }]);
+  });
+
+  it('should walk the visible version of each key with a cursor', () => {
+    mem.put('a', 'a1', 1);
+    mem.put('b', 'b2', 2);
+    mem.put('b', 'b5', 5);
+    mem.put('c', 'c6', 6);
+    mem.put('d', 'd3', 3);
+
+    const walk = (cursor, target) => {
+      const out = [];
+      for (cursor.seek(target); cursor.valid; cursor.next()) out.push(cursor.current.value);
+      return out;
+    };
+
+    assert.deepEqual(walk(mem.cursor(4)), ['a1', 'b2', 'd3']);
+    assert.deepEqual(walk(mem.cursor(), 'b'), ['b5', 'c6', 'd3']);
+    assert.deepEqual(walk(mem.cursor(4, true)), ['d3', 'b2', 'a1']);
+    assert.deepEqual(walk(mem.cursor(Infinity, true), 'c'), ['c6', 'b5', 'a1']);
+
+    // An open cursor keeps its data when the MemTable is cleared
+    const cursor = mem.cursor();
+    cursor.seek();
+    mem.clear();
+    cursor.next();
+    assert.equal(cursor.current.value, 'b5');
+  });
 });
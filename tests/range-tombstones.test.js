@@ -0,0 +1,39 @@
+/**
+ * Tests — RangeTombstones
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import RangeTombstones from '../src/range-tombstones.js';
+
+describe('RangeTombstones', () => {
+  it('should cover [start, end) for versions older than the deletion', () => {
+    const set = new RangeTombstones([{ start: 'b', end: 'd', seq: 10 }]);
+    set.add({ start: 'c', end: 'f', seq: 20 });
+
+    assert.equal(set.maxSeqCovering('a'), 0);
+    assert.equal(set.maxSeqCovering('b'), 10);
+    assert.equal(set.maxSeqCovering('c'), 20);
+    assert.equal(set.maxSeqCovering('c', 15), 10, 'a reader at seq 15 cannot see the newer deletion');
+    assert.equal(set.maxSeqCovering('f'), 0, 'the end is exclusive');
+
+    assert.ok(set.covers('e', 19));
+    assert.ok(!set.covers('e', 21));
+
+    const merged = RangeTombstones.merge([set, new RangeTombstones([{ start: 'x', end: 'y', seq: 30 }])], 20);
+    assert.equal(merged.size, 2);
+  });
+
+  it('should clip tombstones to a key range', () => {
+    const set = new RangeTombstones([
+      { start: 'a', end: 'm', seq: 1 },
+      { start: 'p', end: 'z', seq: 2 },
+    ]);
+    assert.deepEqual(set.clip('f', 'r'), [
+      { start: 'f', end: 'm', seq: 1 },
+      { start: 'p', end: 'r', seq: 2 },
+    ]);
+    assert.deepEqual(set.clip(undefined, 'p'), [{ start: 'a', end: 'm', seq: 1 }]);
+    assert.deepEqual(set.clip('x', undefined), [{ start: 'x', end: 'z', seq: 2 }]);
+  });
+});
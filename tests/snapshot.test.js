@@ -0,0 +1,116 @@
+/**
+ * Tests — Snapshots & sequence numbers
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, rmSync } from 'node:fs';
+import { join } from 'node:path';
+import LSMTree from '../src/lsm-tree.js';
+
+const TEST_DIR = join(process.cwd(), 'test_data_snapshot');
+
+describe('Snapshot', () => {
+  let db;
+
+  beforeEach(() => {
+    if (existsSync(TEST_DIR)) rmSync(TEST_DIR, { recursive: true, force: true });
+    db = new LSMTree(TEST_DIR);
+  });
+
+  afterEach(() => {
+    if (existsSync(TEST_DIR)) rmSync(TEST_DIR, { recursive: true, force: true });
+  });
+
+  it('should stamp every mutation with an increasing sequence number', () => {
+    db.put('a', '1');
+    db.put('b', '2');
+    db.delete('a');
+    db.batch().put('c', '3').put('d', '4').commit();
+    assert.equal(db.seq, 5);
+    assert.equal(db.stats().sequence, 5);
+  });
+
+  it('should not see writes made after it was taken', () => {
+    db.put('k', 'old');
+    db.put('gone', 'here');
+    const snap = db.snapshot();
+
+    db.put('k', 'new');
+    db.delete('gone');
+    db.put('added', 'later');
+
+    assert.equal(snap.get('k'), 'old');
+    assert.equal(snap.get('gone'), 'here');
+    assert.equal(snap.get('added'), null);
+    assert.deepEqual(snap.scan('a', 'z').map(e => e.key), ['gone', 'k']);
+
+    assert.equal(db.get('k'), 'new');
+    assert.equal(db.get('gone'), null);
+    snap.release();
+  });
+
+  it('should keep its view across a flush', () => {
+    db.put('k', 'v1');
+    const snap = db.snapshot();
+    db.put('k', 'v2');
+    db.flush();
+
+    assert.equal(db.memTable.count, 0);
+    assert.equal(snap.get('k'), 'v1');
+    assert.equal(db.get('k'), 'v2');
+    snap.release();
+  });
+
+  it('should keep its view across compaction', async () => {
+    db.put('k', 'v1');
+    db.flush();
+    const snap = db.snapshot();
+
+    // The fourth flush triggers a Level 0 → Level 1 compaction
+    for (let i = 2; i <= 4; i++) {
+      db.put('k', `v${i}`);
+      db.flush();
+    }
+    await db.waitForCompaction();
+    assert.equal(db.levels.get(0).length, 0, 'Level 0 should have been compacted');
+
+    assert.equal(snap.get('k'), 'v1');
+    assert.equal(db.get('k'), 'v4');
+    snap.release();
+  });
+
+  it('should let compaction discard versions once released', async () => {
+    db.put('k', 'v1');
+    const snap = db.snapshot();
+    db.put('k', 'v2');
+    db.flush();
+    assert.equal(db.levels.get(0)[0].reader.entryCount, 2, 'both versions pinned');
+
+    snap.release();
+    assert.throws(() => snap.get('k'), /released/);
+
+    db.put('k', 'v3');
+    db.flush();
+    for (let i = 0; i < 2; i++) {
+      db.put(`filler${i}`, 'x');
+      db.flush();
+    }
+    await db.waitForCompaction();
+    const merged = db.levels.get(1)[0].reader.entries().filter(e => e.key === 'k');
+    assert.deepEqual(merged.map(e => e.value), ['v3']);
+  });
+
+  it('should continue the sequence after reopening', () => {
+    db.put('a', '1');
+    db.put('b', '2');
+    db.flush();
+    db.put('c', '3'); // still only in the WAL
+
+    const db2 = new LSMTree(TEST_DIR);
+    assert.equal(db2.seq, 3);
+    db2.put('a', 'newer');
+    assert.equal(db2.seq, 4);
+    assert.equal(db2.get('a'), 'newer');
+  });
+});
@@ -4,9 +4,13 @@
 
 import { describe, it, beforeEach, afterEach } from 'node:test';
 import assert from 'node:assert/strict';
-import { mkdirSync, existsSync, rmSync } from 'node:fs';
+import { mkdirSync, existsSync, rmSync, readFileSync, writeFileSync } from 'node:fs';
 import { join } from 'node:path';
-import { SSTableWriter, SSTableReader } from '../src/sstable.js';
+import { crc32 } from 'node:zlib';
+import { SSTableWriter, SSTableReader, SSTableCorruptionError, SSTableComparatorError } from '../src/sstable.js';
+import BloomFilter from '../src/bloom-filter.js';
+import Comparator from '../src/comparator.js';
+import { SSTABLE_MAGIC, SSTABLE_VERSION, SSTABLE_BLOCK_SIZE } from '../lsm.config.js';
 
 const TEST_DIR = join(process.cwd(), 'test_data_sstable');
 
@@ -56,6 +60,18 @@ describe('SSTable', () => {
     assert.equal(results[5].key, 'key_015');
   });
 
+  it('should scan in reverse with limit and offset', () => {
+    const entries = [];
+    for (let i = 0; i < 50; i++) entries.push({ key: `key_${String(i).padStart(3, '0')}`, value: `v${i}` });
+
+    const path = join(TEST_DIR, 'reverse.sst');
+    SSTableWriter.write(entries, path);
+    const reader = SSTableReader.open(path);
+
+    const result = reader.scan('key_010', 'key_040', { reverse: true, offset: 2, limit: 3 });
+    assert.deepEqual(result.map(e => e.key), ['key_038', 'key_037', 'key_036']);
+  });
+
   it('should return all entries via entries()', () => {
     const entries = [
       { key: 'x', value: '1' },
@@ -69,10 +85,11 @@ describe('SSTable', () => {
     const reader = SSTableReader.open(path);
     const all = reader.entries();
     assert.equal(all.length, 3);
-    assert.deepEqual(all, entries);
+    // Entries written without a sequence number read back as seq 0
+    assert.deepEqual(all, entries.map(e => ({ ...e, seq: 0 })));
   });
 
-  it('should handle large SSTables with sparse index', () => {
+  it('should handle large SSTables with a block index', () => {
     const entries = [];
     for (let i = 0; i < 500; i++) {
       entries.push({
@@ -85,10 +102,471 @@ describe('SSTable', () => {
     SSTableWriter.write(entries, path);
 
     const reader = SSTableReader.open(path);
-    // Check random access via sparse index
+    // Check random access via the block index
     assert.equal(reader.get('k_0000'), 'value_is_0_with_some_padding_data');
     assert.equal(reader.get('k_0250'), 'value_is_250_with_some_padding_data');
     assert.equal(reader.get('k_0499'), 'value_is_499_with_some_padding_data');
     assert.equal(reader.get('k_9999'), null);
   });
+
+  it('should store multiple versions and read as of a sequence number', () => {
+    const entries = [
+      { key: 'a', value: 'a1', seq: 3 },
+      { key: 'k', value: 'k3', seq: 30 },
+      { key: 'k', value: 'k2', seq: 20 },
+      { key: 'k', value: 'k1', seq: 10 },
+      { key: 'z', value: 'z1', seq: 4 },
+    ];
+
+    const path = join(TEST_DIR, 'versions.sst');
+    SSTableWriter.write(entries, path);
+
+    const reader = SSTableReader.open(path);
+    assert.equal(reader.maxSeq, 30);
+    assert.equal(reader.get('k'), 'k3');
+    assert.equal(reader.get('k', 25), 'k2');
+    assert.equal(reader.get('k', 10), 'k1');
+    assert.equal(reader.get('k', 9), null);
+    assert.deepEqual(reader.scan('a', 'z', { seq: 15 }).map(e => e.value), ['a1', 'k1', 'z1']);
+    assert.equal(reader.entries().length, 5);
+  });
+
+  it('should never split versions of one key across data blocks', () => {
+    const entries = [];
+    for (let i = 0; i < 40; i++) {
+      // Every key has three versions, so tiny blocks fill up mid-key
+      for (let seq = 3; seq >= 1; seq--) {
+        entries.push({ key: `k_${String(i).padStart(2, '0')}`, value: `v${seq}`, seq: i * 10 + seq });
+      }
+    }
+
+    const path = join(TEST_DIR, 'versions_index.sst');
+    SSTableWriter.write(entries, path, { blockSize: 64 });
+
+    const reader = SSTableReader.open(path);
+    assert.ok(reader.blockIndex.length > 10);
+    for (let i = 0; i < 40; i++) {
+      assert.equal(reader.get(`k_${String(i).padStart(2, '0')}`), 'v3');
+    }
+  });
+
+  it('should walk blocks in both directions with a cursor', () => {
+    const entries = [];
+    for (let i = 0; i < 100; i++) {
+      const key = `key_${String(i).padStart(4, '0')}`;
+      if (i % 3 === 0) entries.push({ key, value: `new_${i}`, seq: 200 + i });
+      entries.push({ key, value: `old_${i}`, seq: i + 1 });
+    }
+
+    const path = join(TEST_DIR, 'cursor.sst');
+    SSTableWriter.write(entries, path, { blockSize: 256 });
+    const reader = SSTableReader.open(path);
+
+    const walk = (cursor, target) => {
+      const out = [];
+      for (cursor.seek(target); cursor.valid; cursor.next()) out.push(cursor.current);
+      return out;
+    };
+
+    const forward = walk(reader.cursor());
+    assert.equal(forward.length, 100);
+    assert.equal(forward[3].value, 'new_3');
+    assert.equal(forward[4].value, 'old_4');
+
+    // Reading below the rewrites sees only old versions
+    assert.ok(walk(reader.cursor(199)).every(e => e.value.startsWith('old_')));
+
+    const reverse = walk(reader.cursor(Infinity, true), 'key_0050');
+    assert.equal(reverse.length, 51);
+    assert.equal(reverse[0].key, 'key_0050');
+    assert.equal(reverse[50].key, 'key_0000');
+
+    assert.equal(walk(reader.cursor(), 'key_0099x').length, 0);
+    assert.equal(walk(reader.cursor(Infinity, true), 'a').length, 0);
+  });
+
+  it('should answer prefix membership from the prefix Bloom filter', () => {
+    const entries = [
+      { key: 'order:7:total', value: '10' },
+      { key: 'user:00042:email', value: 'a@example.com' },
+      { key: 'user:00042:name', value: 'Alice' },
+    ];
+    const path = join(TEST_DIR, 'prefix.sst');
+    SSTableWriter.write(entries, path);
+    const reader = SSTableReader.open(path);
+
+    assert.equal(reader.prefixDelimiter, ':');
+    assert.equal(reader.mightContainPrefix('user:00042:'), true);
+    assert.equal(reader.mightContainPrefix('user:00042:em'), true);
+    assert.equal(reader.mightContainPrefix('order:'), true);
+    assert.equal(reader.mightContainPrefix('payment:'), false);
+    assert.equal(reader.mightContainPrefix('user:99999:'), false);
+    // Outside the table's key range
+    assert.equal(reader.mightContainPrefix('invoice:'), false);
+    assert.equal(reader.mightContainPrefix('zebra'), false);
+    // No delimiter in the prefix — the filter cannot rule anything out
+    assert.equal(reader.mightContainPrefix('pay'), true);
+
+    // A table written without the prefix filter never rules a prefix out
+    const buf = readFileSync(path);
+    const keyBloomEnd = reader.bloomOffset + reader.bloom.serializedSize;
+    const legacyPath = join(TEST_DIR, 'legacy.sst');
+    const withoutPrefixFilter = buf.subarray(0, keyBloomEnd);
+    const footer = Buffer.from(buf.subarray(buf.length - 40));
+    footer.writeUInt32LE(crc32(withoutPrefixFilter.subarray(reader.indexOffset)), 32);
+    writeFileSync(legacyPath, Buffer.concat([withoutPrefixFilter, footer]));
+    const legacy = SSTableReader.open(legacyPath);
+    assert.equal(legacy.prefixBloom, null);
+    assert.equal(legacy.mightContainPrefix('payment:'), true);
+    assert.equal(legacy.get('user:00042:name'), 'Alice');
+  });
+
+  it('should read data blocks on demand through the file descriptor', () => {
+    const entries = [];
+    for (let i = 0; i < 2000; i++) {
+      entries.push({ key: `k_${String(i).padStart(5, '0')}`, value: 'v'.repeat(40), seq: i + 1 });
+    }
+    const path = join(TEST_DIR, 'blocks.sst');
+    SSTableWriter.write(entries, path);
+
+    const reader = SSTableReader.open(path);
+    assert.equal(reader.version, SSTABLE_VERSION);
+    assert.equal(reader.buf, undefined, 'the file is not loaded into memory');
+    assert.ok(reader.blockIndex.length > 10);
+    for (const block of reader.blockIndex.slice(0, -1)) {
+      assert.ok(block.rawSize >= SSTABLE_BLOCK_SIZE && block.rawSize < SSTABLE_BLOCK_SIZE + 100);
+    }
+    assert.equal(reader.smallestKey, 'k_00000');
+    assert.equal(reader.largestKey, 'k_01999');
+    assert.equal(reader.get('k_01234'), 'v'.repeat(40));
+
+    reader.close();
+    assert.throws(() => reader.get('k_01234'), /closed/);
+  });
+
+  it('should still open version 2 tables', () => {
+    // Hand-built v2 layout: entries, then a sparse index every 16th key
+    const entries = [];
+    for (let i = 0; i < 50; i++) entries.push({ key: `k_${String(i).padStart(2, '0')}`, value: `v${i}`, seq: i + 1 });
+
+    const header = Buffer.alloc(17);
+    header.writeUInt32LE(SSTABLE_MAGIC, 0);
+    header.writeUInt8(2, 4);
+    header.writeUInt32LE(entries.length, 5);
+    header.writeBigUInt64LE(50n, 9);
+
+    const data = [];
+    const index = [];
+    const bloom = new BloomFilter(1024, 7, { legacy: true });
+    let offset = header.length;
+    entries.forEach(({ key, value, seq }, i) => {
+      bloom.add(key);
+      if (i % 16 === 0) {
+        const idx = Buffer.alloc(6 + Buffer.byteLength(key));
+        idx.writeUInt16LE(Buffer.byteLength(key), 0);
+        idx.writeUInt32LE(offset, 2);
+        idx.write(key, 6);
+        index.push(idx);
+      }
+      const entry = Buffer.alloc(14 + Buffer.byteLength(key) + Buffer.byteLength(value));
+      entry.writeUInt16LE(Buffer.byteLength(key), 0);
+      entry.writeUInt32LE(Buffer.byteLength(value), 2);
+      entry.writeBigUInt64LE(BigInt(seq), 6);
+      entry.write(key, 14);
+      entry.write(value, 14 + Buffer.byteLength(key));
+      data.push(entry);
+      offset += entry.length;
+    });
+
+    const indexOffset = offset;
+    const indexBuf = Buffer.concat(index);
+    const bloomBuf = bloom.serialize();
+    const footer = Buffer.alloc(16);
+    footer.writeUInt32LE(header.length, 0);
+    footer.writeUInt32LE(indexOffset, 4);
+    footer.writeUInt32LE(indexOffset + indexBuf.length, 8);
+    footer.writeUInt32LE(SSTABLE_MAGIC, 12);
+
+    const path = join(TEST_DIR, 'v2.sst');
+    writeFileSync(path, Buffer.concat([header, ...data, indexBuf, bloomBuf, footer]));
+
+    const reader = SSTableReader.open(path);
+    assert.equal(reader.version, 2);
+    assert.equal(reader.blockIndex.length, 4);
+    assert.equal(reader.maxSeq, 50);
+    assert.equal(reader.largestKey, 'k_49');
+    assert.equal(reader.get('k_33'), 'v33');
+    assert.equal(reader.get('k_33', 10), null);
+    assert.deepEqual(reader.scan('k_14', 'k_17').map(e => e.key), ['k_14', 'k_15', 'k_16', 'k_17']);
+    assert.equal(reader.entries().length, 50);
+  });
+
+  it('should read sentinel tombstones and UTF-16 key filters of tables before v13', () => {
+    const key = Buffer.from('clé', 'utf8').toString('latin1');
+    const path = join(TEST_DIR, 'v12.sst');
+    SSTableWriter.write([
+      { key: 'a', value: '__TOMBSTONE__', seq: 2 },
+      { key, value: 'v', seq: 1 },
+    ], path);
+
+    // Turn it into a v12 table: the version byte, and a key filter that
+    // hashed the UTF-16 code units of each key
+    const written = SSTableReader.open(path);
+    const { bloomOffset, indexOffset, bloom } = written;
+    written.close();
+    const legacy = new BloomFilter(bloom.size, bloom.hashCount);
+    legacy.add('a');
+    legacy.add('clé');
+    const buf = readFileSync(path);
+    buf.writeUInt8(12, 4);
+    legacy.serialize().copy(buf, bloomOffset);
+    buf.writeUInt32LE(crc32(buf.subarray(indexOffset, buf.length - 40)), buf.length - 8);
+    writeFileSync(path, buf);
+
+    const reader = SSTableReader.open(path);
+    assert.equal(reader.version, 12);
+    assert.equal(reader.comparatorName, 'bytewise', 'tables before v14 are ordered bytewise');
+    assert.deepEqual(reader.getVersion('a'), { value: '', seq: 2, tombstone: true });
+    assert.equal(reader.get('a'), null);
+    assert.equal(reader.get(key), 'v');
+    reader.close();
+  });
+
+  it('should size Bloom filters from the table key count', () => {
+    const entries = [];
+    for (let i = 0; i < 10000; i++) {
+      const key = `user:${String(i).padStart(5, '0')}:name`;
+      entries.push({ key, value: 'new', seq: 20000 + i });
+      if (i % 2 === 0) entries.push({ key, value: 'old', seq: i + 1 });
+    }
+    const path = join(TEST_DIR, 'sized.sst');
+    SSTableWriter.write(entries, path, { bloomBitsPerKey: 12 });
+
+    const reader = SSTableReader.open(path);
+    // Versions of one key count once; prefixes get a filter of their own size
+    assert.equal(reader.bloom.keyCount, 10000);
+    assert.equal(reader.bloom.size, 120000);
+    assert.equal(reader.prefixBloom.keyCount, 10001);
+    assert.ok(reader.bloomFalsePositiveRate < 0.005);
+
+    let fp = 0;
+    for (let i = 0; i < 5000; i++) {
+      if (reader.bloom.mightContain(`user:${i}:missing`)) fp++;
+    }
+    assert.ok(fp / 5000 < 0.01, `${fp} false positives`);
+
+    const small = join(TEST_DIR, 'small.sst');
+    SSTableWriter.write([{ key: 'a', value: '1', seq: 1 }], small);
+    assert.equal(SSTableReader.open(small).bloom.size, 64, 'tiny tables get the minimum filter');
+  });
+
+  it('should compress blocks with the codec chosen per table', () => {
+    const entries = [];
+    for (let i = 0; i < 1000; i++) {
+      entries.push({ key: `user:${String(i).padStart(5, '0')}`, value: JSON.stringify({ id: i, role: 'member', active: true }), seq: i + 1 });
+    }
+
+    const readers = {};
+    for (const compression of ['none', 'deflate', 'brotli']) {
+      const path = join(TEST_DIR, `${compression}.sst`);
+      SSTableWriter.write(entries, path, { compression });
+      readers[compression] = SSTableReader.open(path);
+    }
+
+    assert.equal(readers.none.compression, 'none');
+    assert.equal(readers.none.compressionRatio, 1);
+    for (const compression of ['deflate', 'brotli']) {
+      const reader = readers[compression];
+      assert.equal(reader.compression, compression);
+      assert.ok(reader.compressionRatio > 2, `${compression} ratio ${reader.compressionRatio}`);
+      assert.ok(reader.fileSize < readers.none.fileSize / 2);
+      assert.equal(reader.rawDataSize, readers.none.rawDataSize);
+      assert.equal(reader.get('user:00777'), entries[777].value);
+      assert.deepEqual(reader.entries(), readers.none.entries());
+    }
+
+    assert.throws(
+      () => SSTableWriter.write(entries, join(TEST_DIR, 'bad.sst'), { compression: 'lz4' }),
+      /Unknown SSTable compression "lz4"/
+    );
+  });
+
+  it('should prefix-compress keys and find them through restart points', () => {
+    const entries = [];
+    let seq = 0;
+    for (let i = 0; i < 500; i++) {
+      const id = String(i).padStart(5, '0');
+      for (const field of ['email', 'name', 'ünïcode']) {
+        entries.push({ key: `user:${id}:${field}`, value: `${field}-${i}`, seq: ++seq });
+      }
+    }
+    // A key with more versions than a restart interval holds
+    const hot = [];
+    for (let v = 40; v >= 1; v--) hot.push({ key: 'user:00250:hits', value: `hits-${v}`, seq: 10000 + v });
+    entries.splice(entries.findIndex(e => e.key > 'user:00250:hits'), 0, ...hot);
+
+    SSTableWriter.write(entries, join(TEST_DIR, 'full.sst'), { restartInterval: 1 });
+    SSTableWriter.write(entries, join(TEST_DIR, 'shared.sst'));
+    const full = SSTableReader.open(join(TEST_DIR, 'full.sst'));
+    const shared = SSTableReader.open(join(TEST_DIR, 'shared.sst'));
+
+    assert.ok(shared.rawDataSize < full.rawDataSize * 0.75, `${shared.rawDataSize} vs ${full.rawDataSize}`);
+    assert.deepEqual(shared.entries(), full.entries());
+
+    // Versions are newest first, so the first entry of each key is its latest
+    const latest = new Map();
+    for (const { key, value } of entries) if (!latest.has(key)) latest.set(key, value);
+
+    for (const reader of [full, shared]) {
+      for (const [key, value] of latest) assert.equal(reader.get(key), value);
+      assert.equal(reader.get('user:00250:hits', 10017), 'hits-17');
+      assert.equal(reader.get('user:00250:hits', 10000), null);
+      assert.equal(reader.get('user:00250:emai'), null);
+      assert.equal(reader.get('user:99999:name'), null);
+      assert.deepEqual(reader.scan('user:00249:ünïcode', 'user:00250:hits').map(e => e.key),
+        ['user:00249:ünïcode', 'user:00250:email', 'user:00250:hits']);
+    }
+  });
+
+  it('should read only the blocks a lookup or scan needs', () => {
+    const entries = [];
+    for (let i = 0; i < 5000; i++) {
+      entries.push({ key: `k_${String(i).padStart(5, '0')}`, value: 'v'.repeat(60), seq: i + 1 });
+    }
+    const path = join(TEST_DIR, 'seek.sst');
+    SSTableWriter.write(entries, path);
+    const reader = SSTableReader.open(path);
+    assert.ok(reader.blockIndex.length > 50);
+
+    const misses = () => SSTableReader.blockCache.stats().misses;
+    const before = misses();
+    assert.equal(reader.get('k_03791'), 'v'.repeat(60));
+    assert.equal(misses() - before, 1, 'a lookup reads one block');
+
+    const scanned = misses();
+    const result = reader.scan('k_04100', 'k_04105');
+    assert.deepEqual(result.map(e => e.key), ['k_04100', 'k_04101', 'k_04102', 'k_04103', 'k_04104', 'k_04105']);
+    assert.ok(misses() - scanned <= 2, 'a narrow scan seeks straight to its block');
+
+    const reversed = misses();
+    assert.equal(reader.scan('k_00000', 'k_02500', { reverse: true, limit: 1 })[0].key, 'k_02500');
+    assert.ok(misses() - reversed <= 2);
+    reader.close();
+  });
+
+  it('should keep the key range and tombstone count in the properties block', () => {
+    const entries = [];
+    for (let i = 0; i < 2000; i++) {
+      const key = `k_${String(i).padStart(5, '0')}`;
+      entries.push(i % 10 === 0 ? { key, value: '', seq: i + 1, tombstone: true } : { key, value: `v${i}`, seq: i + 1 });
+    }
+    const path = join(TEST_DIR, 'props.sst');
+    SSTableWriter.write(entries, path);
+
+    // Opening reads no data block
+    const misses = SSTableReader.blockCache.stats().misses;
+    const reader = SSTableReader.open(path);
+    assert.equal(SSTableReader.blockCache.stats().misses, misses);
+    assert.equal(reader.smallestKey, 'k_00000');
+    assert.equal(reader.largestKey, 'k_01999');
+    assert.equal(reader.entryCount, 2000);
+    assert.equal(reader.tombstoneCount, 200);
+
+    // Keys outside the range are answered without the Bloom filter
+    let bloomChecks = 0;
+    const mightContain = reader.bloom.mightContain.bind(reader.bloom);
+    reader.bloom.mightContain = key => {
+      bloomChecks++;
+      return mightContain(key);
+    };
+    assert.equal(reader.get('a'), null);
+    assert.equal(reader.get('k_02000'), null);
+    assert.equal(bloomChecks, 0);
+    assert.equal(reader.get('k_00001'), 'v1');
+    assert.equal(bloomChecks, 1);
+
+    assert.equal(reader.overlaps('k_01999', undefined), true);
+    assert.equal(reader.overlaps(undefined, 'k_'), false);
+
+    const empty = join(TEST_DIR, 'empty.sst');
+    SSTableWriter.write([], empty);
+    const emptyReader = SSTableReader.open(empty);
+    assert.equal(emptyReader.smallestKey, null);
+    assert.equal(emptyReader.tombstoneCount, 0);
+    assert.equal(emptyReader.overlaps(), false);
+  });
+
+  it('should record the comparator that ordered the table and refuse another', () => {
+    // Numeric order across many small blocks, so lookups go through the index
+    const entries = [];
+    for (let i = 1; i <= 500; i++) entries.push({ key: `k${i}`, value: `v${i}`, seq: i });
+    const path = join(TEST_DIR, 'numeric.sst');
+    SSTableWriter.write(entries, path, {
+      blockSize: 256,
+      comparator: Comparator.numeric,
+      rangeTombstones: [{ start: 'k90', end: 'k100', seq: 600 }],
+    });
+
+    const reader = SSTableReader.open(path);
+    assert.equal(reader.comparatorName, 'numeric');
+    assert.equal(reader.comparator, Comparator.numeric);
+    assert.equal(reader.smallestKey, 'k1');
+    assert.equal(reader.largestKey, 'k500');
+    assert.equal(reader.get('k9'), 'v9');
+    assert.equal(reader.get('k499'), 'v499');
+    assert.deepEqual(reader.scan('k98', 'k102').map(e => e.key), ['k98', 'k99', 'k100', 'k101', 'k102']);
+    assert.ok(reader.rangeTombstones.covers('k95', 95));
+    assert.ok(!reader.rangeTombstones.covers('k950', 950), 'k950 sorts after k100 numerically');
+
+    assert.throws(
+      () => SSTableReader.open(path, { comparator: Comparator.bytewise }),
+      err => err instanceof SSTableComparatorError &&
+        /is ordered by the "numeric" comparator, not "bytewise"/.test(err.message)
+    );
+
+    // A custom comparator must be passed in to be read
+    const custom = join(TEST_DIR, 'custom.sst');
+    const byLength = { name: 'by-length', compare: (a, b) => a.length - b.length || Comparator.bytewise.compare(a, b) };
+    SSTableWriter.write([{ key: 'b', value: '1' }, { key: 'aa', value: '2' }], custom, { comparator: byLength });
+    assert.throws(() => SSTableReader.open(custom), /Unknown comparator "by-length"/);
+    const customReader = SSTableReader.open(custom, { comparator: byLength });
+    assert.deepEqual(customReader.scan('a', 'zz').map(e => e.key), ['b', 'aa']);
+  });
+
+  it('should detect a damaged block by its checksum', () => {
+    const entries = [];
+    for (let i = 0; i < 1000; i++) {
+      entries.push({ key: `k_${String(i).padStart(4, '0')}`, value: `value-${i}`, seq: i + 1 });
+    }
+    const path = join(TEST_DIR, 'damaged.sst');
+    SSTableWriter.write(entries, path);
+
+    // Flip one bit inside a value of block 1
+    const buf = readFileSync(path);
+    const block = SSTableReader.open(path).blockIndex[1];
+    buf[block.offset + Math.floor(block.size / 2)] ^= 0x01;
+    writeFileSync(path, buf);
+
+    const reader = SSTableReader.open(path);
+    assert.ok(reader.checksummed);
+    const damagedKey = reader.blockIndex[1].key;
+    assert.throws(() => reader.get(damagedKey), err =>
+      err instanceof SSTableCorruptionError && /Checksum mismatch in SSTable data block 1/.test(err.message));
+    assert.equal(reader.get('k_0000'), 'value-0');
+
+    const report = reader.verify();
+    assert.deepEqual(report.corruptBlocks.map(b => b.block), [1]);
+    const position = key => entries.findIndex(e => e.key === key);
+    const inDamagedBlock = position(reader.blockIndex[2].key) - position(damagedKey);
+    assert.equal(report.entries, 1000 - inDamagedBlock);
+    const salvaged = [...reader.salvage()];
+    assert.equal(salvaged.length, report.entries);
+    assert.ok(salvaged.every(e => entries[e.seq - 1].value === e.value));
+
+    // Damage to the block index or Bloom filter fails the open
+    buf[reader.indexOffset + 3] ^= 0x01;
+    writeFileSync(path, buf);
+    assert.throws(() => SSTableReader.open(path), SSTableCorruptionError);
+    assert.equal(SSTableReader.open(path, { salvage: true }).blockIndex.length, reader.blockIndex.length);
+  });
 });
@@ -4,8 +4,9 @@
 
 import { describe, it, afterEach } from 'node:test';
 import assert from 'node:assert/strict';
-import { existsSync, rmSync, mkdirSync } from 'node:fs';
+import { existsSync, rmSync, mkdirSync, writeFileSync, appendFileSync, readFileSync, statSync } from 'node:fs';
 import { join } from 'node:path';
+import { crc32 } from 'node:zlib';
 import WAL from '../src/wal.js';
 
 const TEST_DIR = join(process.cwd(), 'test_data_wal');
@@ -62,6 +63,224 @@ describe('WAL', () => {
     assert.equal(entries[0].value, 'a|b|c');
   });
 
+  it('should handle keys and values containing newlines', () => {
+    const walPath = join(TEST_DIR, 'newlines.log');
+    const wal = new WAL(walPath);
+
+    wal.append('PUT', 'multi\nline', 'first\nsecond|third');
+    wal.append('PUT', 'next', 'ok');
+    const entries = wal.recover();
+    assert.equal(entries.length, 2);
+    assert.equal(entries[0].key, 'multi\nline');
+    assert.equal(entries[0].value, 'first\nsecond|third');
+    assert.equal(entries[1].key, 'next');
+  });
+
+  it('should truncate a torn tail and report discarded records', () => {
+    const walPath = join(TEST_DIR, 'torn.log');
+    const wal = new WAL(walPath);
+
+    wal.append('PUT', 'a', '1');
+    wal.append('PUT', 'b', '2');
+    const intactSize = statSync(walPath).size;
+    wal.append('PUT', 'c', '3');
+
+    // Simulate a crash halfway through writing the last record
+    const full = readFileSync(walPath);
+    writeFileSync(walPath, full.subarray(0, full.length - 3));
+
+    const entries = wal.recover();
+    assert.deepEqual(entries.map(e => e.key), ['a', 'b']);
+    assert.equal(wal.lastRecovery.replayed, 2);
+    assert.equal(wal.lastRecovery.discarded, 1);
+    assert.equal(statSync(walPath).size, intactSize, 'torn tail should be truncated');
+
+    // The log is usable again after truncation
+    wal.append('PUT', 'd', '4');
+    assert.deepEqual(new WAL(walPath).recover().map(e => e.key), ['a', 'b', 'd']);
+  });
+
+  it('should stop replay at a record with a bad checksum', () => {
+    const walPath = join(TEST_DIR, 'corrupt.log');
+    const wal = new WAL(walPath);
+
+    wal.append('PUT', 'a', '1');
+    const secondStart = statSync(walPath).size;
+    wal.append('PUT', 'b', '2');
+    wal.append('PUT', 'c', '3');
+
+    // Flip a bit inside the second record's payload
+    const buf = readFileSync(walPath);
+    buf[secondStart + 10] ^= 0xff;
+    writeFileSync(walPath, buf);
+
+    const entries = wal.recover();
+    assert.deepEqual(entries.map(e => e.key), ['a']);
+    assert.equal(wal.lastRecovery.replayed, 1);
+    assert.equal(wal.lastRecovery.discarded, 2);
+  });
+
+  it('should migrate a legacy text log to the binary format', () => {
+    const walPath = join(TEST_DIR, 'legacy.log');
+    mkdirSync(TEST_DIR, { recursive: true });
+    writeFileSync(walPath, '');
+    appendFileSync(walPath, '1700000000000|PUT|name|Alice\n');
+    appendFileSync(walPath, '1700000000001|PUT|data|a|b\n');
+    appendFileSync(walPath, '1700000000002|DELETE|name|__TOMBSTONE__\n');
+    appendFileSync(walPath, 'garbage line\n');
+
+    const wal = new WAL(walPath);
+    const entries = wal.recover();
+    assert.equal(entries.length, 3);
+    assert.equal(entries[1].value, 'a|b');
+    assert.equal(wal.lastRecovery.migrated, true);
+    assert.equal(wal.lastRecovery.discarded, 1);
+
+    // Second recovery reads the rewritten binary log
+    const again = new WAL(walPath).recover();
+    assert.deepEqual(again, entries);
+  });
+
+  it('should recover a batch as a single entry', () => {
+    const walPath = join(TEST_DIR, 'batch.log');
+    const wal = new WAL(walPath);
+
+    wal.append('PUT', 'before', '0');
+    wal.appendBatch([
+      { op: 'PUT', key: 'a', value: '1' },
+      { op: 'DELETE', key: 'b', value: '__TOMBSTONE__' },
+    ]);
+
+    const entries = wal.recover();
+    assert.equal(entries.length, 2);
+    assert.equal(entries[1].op, 'BATCH');
+    assert.deepEqual(entries[1].ops.map(o => `${o.op}:${o.key}`), ['PUT:a', 'DELETE:b']);
+    assert.equal(wal.lastRecovery.replayed, 2);
+  });
+
+  it('should discard a torn batch as a whole', () => {
+    const walPath = join(TEST_DIR, 'torn_batch.log');
+    const wal = new WAL(walPath);
+
+    wal.append('PUT', 'before', '0');
+    wal.appendBatch([
+      { op: 'PUT', key: 'a', value: '1' },
+      { op: 'PUT', key: 'b', value: '2' },
+    ]);
+    const full = readFileSync(walPath);
+    writeFileSync(walPath, full.subarray(0, full.length - 5));
+
+    const entries = wal.recover();
+    assert.deepEqual(entries.map(e => e.key), ['before']);
+    assert.equal(wal.lastRecovery.discarded, 1);
+  });
+
+  it('should persist sequence numbers', () => {
+    const walPath = join(TEST_DIR, 'seq.log');
+    const wal = new WAL(walPath);
+
+    wal.append('PUT', 'a', '1', 7);
+    wal.appendBatch([
+      { op: 'PUT', key: 'b', value: '2', seq: 8 },
+      { op: 'DELETE', key: 'a', value: '__TOMBSTONE__', seq: 9 },
+    ]);
+
+    const entries = wal.recover();
+    assert.equal(entries[0].seq, 7);
+    assert.deepEqual(entries[1].ops.map(o => o.seq), [8, 9]);
+  });
+
+  it('should persist the expiry time of a PUT with a TTL', () => {
+    const walPath = join(TEST_DIR, 'ttl.log');
+    const wal = new WAL(walPath);
+
+    wal.append('PUT', 'session', 'token', 3, 1_900_000_000_000);
+    wal.appendBatch([{ op: 'PUT', key: 'cache', value: 'x', seq: 4, expiresAt: 1_900_000_000_500 }]);
+    wal.append('PUT', 'plain', 'v', 5);
+
+    const entries = new WAL(walPath).recover();
+    assert.equal(entries[0].expiresAt, 1_900_000_000_000);
+    assert.equal(entries[1].ops[0].expiresAt, 1_900_000_000_500);
+    assert.deepEqual(entries[2], { op: 'PUT', key: 'plain', value: 'v', seq: 5 });
+  });
+
+  it('should upgrade a version 1 log without sequence numbers', () => {
+    const walPath = join(TEST_DIR, 'v1.log');
+    mkdirSync(TEST_DIR, { recursive: true });
+
+    // v1 payload: op(1B) | keyLen(4B) | key | valueLen(4B) | value
+    const payload = Buffer.concat([
+      Buffer.from([1]), Buffer.from([1, 0, 0, 0]), Buffer.from('k'),
+      Buffer.from([1, 0, 0, 0]), Buffer.from('v'),
+    ]);
+    const frame = Buffer.alloc(8);
+    frame.writeUInt32LE(crc32(payload), 0);
+    frame.writeUInt32LE(payload.length, 4);
+    const header = Buffer.from([0x57, 0x4d, 0x53, 0x4c, 1]); // "LSMW" LE, v1
+    writeFileSync(walPath, Buffer.concat([header, frame, payload]));
+
+    const wal = new WAL(walPath);
+    assert.deepEqual(wal.recover(), [{ op: 'PUT', key: 'k', value: 'v', seq: 0 }]);
+    assert.equal(wal.lastRecovery.migrated, true);
+
+    // New records can be appended and everything reads back
+    wal.append('PUT', 'k2', 'v2', 5);
+    assert.deepEqual(new WAL(walPath).recover().map(e => e.key), ['k', 'k2']);
+  });
+
+  it('should reject an unknown sync mode', () => {
+    assert.throws(
+      () => new WAL(join(TEST_DIR, 'bad.log'), { syncMode: 'sometimes' }),
+      /Invalid WAL syncMode/
+    );
+  });
+
+  it('should fsync every record in always mode', async () => {
+    const wal = new WAL(join(TEST_DIR, 'always.log'), { syncMode: 'always' });
+    wal.append('PUT', 'a', '1');
+    assert.equal(wal.unsyncedBytes, 0);
+    await wal.waitForSync();
+    wal.close();
+  });
+
+  it('should batch fsyncs in group mode and resolve waiters on commit', async () => {
+    const wal = new WAL(join(TEST_DIR, 'group.log'), {
+      syncMode: 'group',
+      groupCommitMs: 5,
+      groupCommitBytes: 1024 * 1024,
+    });
+    wal.append('PUT', 'a', '1');
+    wal.append('PUT', 'b', '2');
+    assert.ok(wal.unsyncedBytes > 0, 'records should wait for the group commit');
+
+    await wal.waitForSync();
+    assert.equal(wal.unsyncedBytes, 0);
+    assert.equal(wal.recover().length, 2);
+    wal.close();
+  });
+
+  it('should commit a group early once the byte threshold is reached', () => {
+    const wal = new WAL(join(TEST_DIR, 'group_bytes.log'), {
+      syncMode: 'group',
+      groupCommitMs: 60_000,
+      groupCommitBytes: 64,
+    });
+    wal.append('PUT', 'small', 'x');
+    assert.ok(wal.unsyncedBytes > 0);
+    wal.append('PUT', 'big', 'y'.repeat(100));
+    assert.equal(wal.unsyncedBytes, 0);
+    wal.close();
+  });
+
+  it('should never fsync in none mode', async () => {
+    const wal = new WAL(join(TEST_DIR, 'none.log'), { syncMode: 'none' });
+    wal.append('PUT', 'a', '1');
+    assert.ok(wal.unsyncedBytes > 0);
+    await wal.waitForSync(); // resolves immediately — no durability promised
+    wal.close();
+    assert.equal(new WAL(join(TEST_DIR, 'none.log')).recover().length, 1);
+  });
+
   afterEach(() => {
     if (existsSync(TEST_DIR)) rmSync(TEST_DIR, { recursive: true, force: true });
   });
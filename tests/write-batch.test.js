@@ -0,0 +1,83 @@
+/**
+ * Tests — WriteBatch (atomic multi-key writes)
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, rmSync, readFileSync, writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+import LSMTree from '../src/lsm-tree.js';
+
+const TEST_DIR = join(process.cwd(), 'test_data_batch');
+
+describe('WriteBatch', () => {
+  let db;
+
+  beforeEach(() => {
+    if (existsSync(TEST_DIR)) rmSync(TEST_DIR, { recursive: true, force: true });
+    db = new LSMTree(TEST_DIR);
+  });
+
+  afterEach(() => {
+    if (existsSync(TEST_DIR)) rmSync(TEST_DIR, { recursive: true, force: true });
+  });
+
+  it('should apply puts and deletes on commit', () => {
+    db.put('user:1:temp', 'x');
+
+    const batch = db.batch()
+      .put('user:1:name', 'Alice')
+      .put('user:1:city', 'Tokyo')
+      .delete('user:1:temp');
+
+    // Nothing is visible before commit
+    assert.equal(db.get('user:1:name'), null);
+    assert.equal(batch.length, 3);
+
+    batch.commit();
+    assert.equal(db.get('user:1:name'), 'Alice');
+    assert.equal(db.get('user:1:city'), 'Tokyo');
+    assert.equal(db.get('user:1:temp'), null);
+  });
+
+  it('should apply operations in order within the batch', () => {
+    db.batch().put('k', 'first').delete('k').put('k', 'last').commit();
+    assert.equal(db.get('k'), 'last');
+  });
+
+  it('should refuse to be committed twice', () => {
+    const batch = db.batch().put('a', '1');
+    batch.commit();
+    assert.throws(() => batch.commit(), /already been committed/);
+    assert.throws(() => batch.put('b', '2'), /already been committed/);
+  });
+
+  it('should replay a committed batch after a crash', () => {
+    db.batch().put('a', '1').put('b', '2').commit();
+
+    const db2 = new LSMTree(TEST_DIR);
+    assert.equal(db2.get('a'), '1');
+    assert.equal(db2.get('b'), '2');
+  });
+
+  it('should replay a torn batch all-or-nothing', () => {
+    db.put('before', '0');
+    db.batch()
+      .put('user:2:name', 'Bob')
+      .put('user:2:email', 'bob@example.com')
+      .put('user:2:age', '41')
+      .commit();
+
+    // Crash halfway through writing the batch record
+    const walPath = db.wal.filePath;
+    const full = readFileSync(walPath);
+    writeFileSync(walPath, full.subarray(0, full.length - 10));
+
+    const db2 = new LSMTree(TEST_DIR);
+    assert.equal(db2.get('before'), '0');
+    assert.equal(db2.get('user:2:name'), null);
+    assert.equal(db2.get('user:2:email'), null);
+    assert.equal(db2.get('user:2:age'), null);
+    assert.equal(db2.stats().walRecovery.discarded, 1);
+  });
+});
@@ -38,7 +38,8 @@ async function refreshStats() {
   document.getElementById('stat-memtable-entries').textContent =
     `${stats.memTable.entries} entries`;
   document.getElementById('stat-memtable-size').textContent =
-    formatBytes(stats.memTable.sizeBytes);
+    formatBytes(stats.memTable.sizeBytes) +
+    (stats.memTable.immutable > 0 ? ` · ${stats.memTable.immutable} flushing` : '');
 
   document.getElementById('stat-sstable-count').textContent =
     stats.totalSSTables;
@@ -48,7 +49,15 @@ async function refreshStats() {
   const activeLevels = stats.levels.filter(l => l.sstables > 0).length;
   document.getElementById('stat-active-levels').textContent = activeLevels;
 
-  const totalSize = stats.memTable.sizeBytes + stats.totalSizeBytes;
+  const cache = stats.blockCache;
+  document.getElementById('stat-cache-hit-rate').textContent =
+    `${(cache.hitRate * 100).toFixed(1)}% hits`;
+  document.getElementById('stat-cache-detail').textContent =
+    `${cache.hits} hits · ${cache.misses} misses · ${cache.evictions} evictions`;
+  document.getElementById('cache-bar').style.width =
+    `${Math.min((cache.usedBytes / cache.capacityBytes) * 100, 100)}%`;
+
+  const totalSize = stats.memTable.sizeBytes + stats.totalSizeBytes + stats.blobs.sizeBytes;
   document.getElementById('stat-total-size').textContent =
     formatBytes(totalSize);
 
@@ -214,15 +223,19 @@ document.getElementById('btn-delete').addEventListener('click', async () => {
   refreshStats();
 });
 
-// SCAN
-document.getElementById('btn-scan').addEventListener('click', async () => {
-  const start = document.getElementById('scan-start').value.trim();
-  const end = document.getElementById('scan-end').value.trim();
-  if (!start || !end) return;
+// SCAN — results come back a page at a time; "Next page" follows nextCursor
+let scanState = null;
+
+async function runScan(cursor) {
+  const { start, end, limit, order } = scanState;
+  let path = `/api/scan?start=${encodeURIComponent(start)}&end=${encodeURIComponent(end)}` +
+    `&limit=${limit}&reverse=${order === 'desc'}`;
+  if (cursor) path += `&cursor=${encodeURIComponent(cursor)}`;
 
-  const data = await api('GET', `/api/scan?start=${encodeURIComponent(start)}&end=${encodeURIComponent(end)}`);
+  const data = await api('GET', path);
   addLine(
-    `<span class="meta">[${timestamp()}]</span> SCAN <span class="key">${start}</span> → <span class="key">${end}</span>  (${data.count} result${data.count !== 1 ? 's' : ''})`
+    `<span class="meta">[${timestamp()}]</span> SCAN <span class="key">${start}</span> → <span class="key">${end}</span>  ` +
+    `${order === 'desc' ? '(desc) ' : ''}(${data.count} result${data.count !== 1 ? 's' : ''}${cursor ? ', continued' : ''})`
   );
   for (const { key, value } of data.results) {
     addLine(`  <span class="key">${key}</span> = <span class="value">${value}</span>`);
@@ -230,6 +243,28 @@ document.getElementById('btn-scan').addEventListener('click', async () => {
   if (data.count === 0) {
     addLine('  <span class="null-val">(no results)</span>');
   }
+
+  scanState.nextCursor = data.nextCursor;
+  document.getElementById('btn-scan-more').disabled = !data.nextCursor;
+}
+
+document.getElementById('btn-scan').addEventListener('click', async () => {
+  const start = document.getElementById('scan-start').value.trim();
+  const end = document.getElementById('scan-end').value.trim();
+  if (!start || !end) return;
+
+  scanState = {
+    start,
+    end,
+    limit: parseInt(document.getElementById('scan-limit').value, 10) || 100,
+    order: document.getElementById('scan-order').value,
+    nextCursor: null,
+  };
+  await runScan();
+});
+
+document.getElementById('btn-scan-more').addEventListener('click', async () => {
+  if (scanState && scanState.nextCursor) await runScan(scanState.nextCursor);
 });
 
 // FLUSH
@@ -252,6 +287,13 @@ document.getElementById('btn-generate').addEventListener('click', async () => {
   refreshAll();
 });
 
+// Badge listing range tombstones, each as [start, end) @seq on hover
+function rangeTombstoneBadge(list) {
+  if (!list || list.length === 0) return '';
+  const ranges = list.map(t => `[${t.start}, ${t.end}) @${t.seq}`).join('\n');
+  return `<span class="insp-badge" title="${escapeHtml(ranges).replace(/"/g, '&quot;')}">✂️ ${list.length} range tombstone${list.length > 1 ? 's' : ''}</span>`;
+}
+
 // REFRESH (stats + inspector)
 async function refreshInspector() {
   const data = await api('GET', '/api/inspect?limit=200');
@@ -261,7 +303,7 @@ async function refreshInspector() {
   const memWrap = document.getElementById('memtable-table-wrap');
   const memMeta = document.getElementById('memtable-meta');
 
-  if (data.memTable.length === 0) {
+  if (data.memTable.length === 0 && data.memTableRangeTombstones.length === 0) {
     memEmpty.innerHTML = 'MemTable is <strong>empty</strong> — all data has been flushed to SSTables';
     memEmpty.style.display = 'block';
     memWrap.style.display = 'none';
@@ -269,11 +311,12 @@ async function refreshInspector() {
     memEmpty.style.display = 'none';
     memWrap.style.display = 'block';
 
-    const tombstones = data.memTable.filter(e => e.value === TOMBSTONE).length;
+    const tombstones = data.memTable.filter(e => e.tombstone).length;
     memMeta.innerHTML = `
       <span class="insp-badge">${data.memTable.length} entries</span>
       <span class="insp-badge">Skip List (sorted)</span>
       ${tombstones > 0 ? `<span class="insp-badge">🪦 ${tombstones} tombstone${tombstones > 1 ? 's' : ''}</span>` : ''}
+      ${rangeTombstoneBadge(data.memTableRangeTombstones)}
     `;
 
     buildEntryTable(data.memTable, 'memtable-data');
@@ -320,13 +363,18 @@ async function refreshInspector() {
         </div>
         <div class="sst-body${isOpen ? ' open' : ''}" id="sst-body-${idx}">
           <div class="insp-meta">
-            <span class="insp-badge">Sparse Index: ${sst.sparseIndexSize} entries</span>
-            <span class="insp-badge">Bloom Filter: ${sst.bloomFilterBits} bits</span>
-            <span class="insp-badge">Binary format v1</span>
+            <span class="insp-badge">Keys: ${sst.smallestKey === null ? '(empty)' : `${escapeHtml(sst.smallestKey)} … ${escapeHtml(sst.largestKey)}`}</span>
+            ${sst.tombstoneCount ? `<span class="insp-badge">🪦 ${sst.tombstoneCount} tombstone${sst.tombstoneCount > 1 ? 's' : ''}</span>` : ''}
+            ${rangeTombstoneBadge(sst.rangeTombstones)}
+            <span class="insp-badge">Blocks: ${sst.blockCount}</span>
+            <span class="insp-badge">Bloom Filter: ${sst.bloomFilterBits} bits, ${sst.bloomHashCount} hashes, ~${(sst.bloomFalsePositiveRate * 100).toFixed(2)}% FPR</span>
+            <span class="insp-badge">Binary format v${sst.formatVersion}</span>
+            ${sst.comparator && sst.comparator !== 'bytewise' ? `<span class="insp-badge">Order: ${escapeHtml(sst.comparator)}</span>` : ''}
+            <span class="insp-badge">Compression: ${sst.compression}${sst.compression === 'none' ? '' : ` ×${sst.compressionRatio.toFixed(2)}`}</span>
           </div>
           <div class="insp-table-wrap" style="max-height:300px">
             <table class="insp-table" id="sst-table-${idx}">
-              <thead><tr><th>#</th><th>Key</th><th>Value</th></tr></thead>
+              <thead><tr><th>#</th><th>Key</th><th>Value</th><th>TTL</th></tr></thead>
               <tbody></tbody>
             </table>
           </div>
@@ -339,20 +387,22 @@ async function refreshInspector() {
       const tbody = card.querySelector(`#sst-table-${idx} tbody`);
       sst.entries.forEach((entry, i) => {
         const tr = document.createElement('tr');
-        const isTombstone = entry.value === TOMBSTONE;
+        const isTombstone = Boolean(entry.tombstone);
+        // Values kept in a blob file show the pointer the table stores
         tr.innerHTML = `
           <td>${i + 1}</td>
           <td class="key-cell">${escapeHtml(entry.key)}</td>
-          <td class="${isTombstone ? 'tombstone' : 'val-cell'}">${
-            isTombstone ? '🪦 TOMBSTONE' : escapeHtml(entry.value)
+          <td class="${isTombstone ? 'tombstone' : entry.blob ? 'blob' : 'val-cell'}">${
+            isTombstone ? '🪦 TOMBSTONE' : entry.blob ? `🔗 blob ${escapeHtml(entry.value)}` : escapeHtml(entry.value)
           }</td>
+          ${ttlCell(entry)}
         `;
         tbody.appendChild(tr);
       });
 
       if (sst.entryCount > sst.entries.length) {
         const tr = document.createElement('tr');
-        tr.innerHTML = `<td colspan="3" style="text-align:center;color:var(--text-muted);font-style:italic">… ${sst.entryCount - sst.entries.length} more entries</td>`;
+        tr.innerHTML = `<td colspan="4" style="text-align:center;color:var(--text-muted);font-style:italic">… ${sst.entryCount - sst.entries.length} more entries</td>`;
         tbody.appendChild(tr);
       }
 
@@ -389,8 +439,6 @@ document.querySelectorAll('.form-group input').forEach(input => {
 /*  Inspector                                                          */
 /* ================================================================== */
 
-const TOMBSTONE = '__TOMBSTONE__';
-
 // Tab switching for inspector
 document.querySelectorAll('.insp-tab').forEach(tab => {
   tab.addEventListener('click', () => {
@@ -407,13 +455,23 @@ function escapeHtml(str) {
   return div.innerHTML;
 }
 
+// Time left before an entry written with a TTL expires
+function ttlCell(entry) {
+  if (!entry.expiresAt) return '<td class="ttl-cell">—</td>';
+  const left = entry.expiresAt - Date.now();
+  if (left <= 0) return '<td class="ttl-cell expired">⌛ expired</td>';
+  const s = Math.ceil(left / 1000);
+  const text = s < 60 ? `${s}s` : s < 3600 ? `${Math.floor(s / 60)}m ${s % 60}s` : `${Math.floor(s / 3600)}h ${Math.floor((s % 3600) / 60)}m`;
+  return `<td class="ttl-cell" title="${new Date(entry.expiresAt).toISOString()}">⏳ ${text}</td>`;
+}
+
 function buildEntryTable(entries, tableId) {
   const tbody = document.querySelector(`#${tableId} tbody`);
   tbody.innerHTML = '';
 
   entries.forEach((entry, idx) => {
     const tr = document.createElement('tr');
-    const isTombstone = entry.value === TOMBSTONE;
+    const isTombstone = Boolean(entry.tombstone);
 
     tr.innerHTML = `
       <td>${idx + 1}</td>
@@ -421,6 +479,7 @@ function buildEntryTable(entries, tableId) {
       <td class="${isTombstone ? 'tombstone' : 'val-cell'}">${
         isTombstone ? '🪦 TOMBSTONE' : escapeHtml(entry.value)
       }</td>
+      ${ttlCell(entry)}
     `;
     tbody.appendChild(tr);
   });
@@ -9,6 +9,7 @@ import express from 'express';
 import { join, dirname } from 'node:path';
 import { fileURLToPath } from 'node:url';
 import LSMTree from '../src/lsm-tree.js';
+import { SCAN_PAGE_SIZE, SCAN_MAX_PAGE_SIZE } from '../lsm.config.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const app = express();
@@ -20,12 +21,50 @@ const dataDir = dataArgIdx !== -1 && process.argv[dataArgIdx + 1]
   ? join(process.cwd(), process.argv[dataArgIdx + 1])
   : undefined;
 
+// Parse optional --sync flag for the WAL durability mode (always | group | none)
+const syncArgIdx = process.argv.indexOf('--sync');
+const syncMode = syncArgIdx !== -1 ? process.argv[syncArgIdx + 1] : undefined;
+
+// Parse optional --compaction flag for the compaction strategy (size-tiered | leveled)
+const compactionArgIdx = process.argv.indexOf('--compaction');
+const compactionStrategy = compactionArgIdx !== -1 ? process.argv[compactionArgIdx + 1] : undefined;
+
+// Parse optional --cache flag for the block cache capacity in MB
+const cacheArgIdx = process.argv.indexOf('--cache');
+const cacheArg = cacheArgIdx !== -1 ? (process.argv[cacheArgIdx + 1] ?? '').trim() : undefined;
+const cacheMB = cacheArg === '' ? NaN : Number(cacheArg);
+if (cacheArg !== undefined && !(Number.isFinite(cacheMB) && cacheMB >= 0)) {
+  console.error('Usage: npm run ui -- --cache <MB>  (a non-negative number, e.g. --cache 32)');
+  process.exit(1);
+}
+const blockCacheSize = cacheArg !== undefined ? cacheMB * 1024 * 1024 : undefined;
+
+// Parse optional --compression flag for new SSTables (none | deflate | brotli)
+const compressionArgIdx = process.argv.indexOf('--compression');
+const compression = compressionArgIdx !== -1 ? process.argv[compressionArgIdx + 1] : undefined;
+
+// Parse optional --comparator flag for the key order (bytewise | reverse | numeric);
+// it must match the one the data directory was created with
+const comparatorArgIdx = process.argv.indexOf('--comparator');
+const comparator = comparatorArgIdx !== -1 ? process.argv[comparatorArgIdx + 1] : undefined;
+
 // Shared engine instance
-const db = new LSMTree(dataDir);
+const db = new LSMTree(dataDir, { syncMode, compactionStrategy, blockCacheSize, compression, comparator });
 
 app.use(express.json());
 app.use(express.static(join(__dirname, 'public')));
 
+/**
+ * Page size from a ?limit= query param: SCAN_PAGE_SIZE when absent,
+ * capped at SCAN_MAX_PAGE_SIZE, or null unless it is a whole number ≥ 1.
+ */
+function pageLimit(raw) {
+  if (raw === undefined || raw === '') return SCAN_PAGE_SIZE;
+  const limit = Number(raw);
+  if (!Number.isInteger(limit) || limit < 1) return null;
+  return Math.min(limit, SCAN_MAX_PAGE_SIZE);
+}
+
 /* ---- REST API --------------------------------------------------- */
 
 // Get engine stats
@@ -33,13 +72,17 @@ app.get('/api/stats', (_req, res) => {
   res.json(db.stats());
 });
 
-// Put a key-value pair
+// Put a key-value pair, optionally expiring after ttlMs
 app.post('/api/put', (req, res) => {
-  const { key, value } = req.body;
+  const { key, value, ttlMs } = req.body;
   if (!key || value === undefined) {
     return res.status(400).json({ error: 'key and value are required' });
   }
-  db.put(String(key), String(value));
+  try {
+    db.put(String(key), String(value), ttlMs === undefined ? {} : { ttlMs: Number(ttlMs) });
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
   res.json({ ok: true });
 });
 
@@ -55,14 +98,50 @@ app.delete('/api/delete/:key', (req, res) => {
   res.json({ ok: true });
 });
 
-// Range scan
-app.get('/api/scan', (req, res) => {
+// Delete a key range — every key in [start, end), as one range tombstone
+app.delete('/api/range', (req, res) => {
   const { start, end } = req.query;
   if (!start || !end) {
     return res.status(400).json({ error: 'start and end query params required' });
   }
-  const results = db.scan(String(start), String(end));
-  res.json({ results, count: results.length });
+  try {
+    db.deleteRange(String(start), String(end));
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  res.json({ ok: true });
+});
+
+// Range scan — one page at a time; pass nextCursor back as ?cursor= for the next page
+app.get('/api/scan', (req, res) => {
+  const { start, end, cursor } = req.query;
+  if (!start || !end) {
+    return res.status(400).json({ error: 'start and end query params required' });
+  }
+  const limit = pageLimit(req.query.limit);
+  if (limit === null) {
+    return res.status(400).json({ error: 'limit must be a whole number of at least 1' });
+  }
+  const reverse = req.query.reverse === 'true' || req.query.reverse === '1';
+
+  const { entries, nextCursor } = db.scanPage(String(start), String(end), {
+    reverse,
+    limit,
+    cursor: cursor ? String(cursor) : undefined,
+  });
+  res.json({ results: entries, count: entries.length, nextCursor });
+});
+
+// Prefix scan — every live key under a hierarchical prefix, e.g. /api/prefix/user:00042:
+app.get('/api/prefix/:prefix', (req, res) => {
+  // A negative limit would mean "no limit" to the iterator
+  const limit = pageLimit(req.query.limit);
+  if (limit === null) {
+    return res.status(400).json({ error: 'limit must be a whole number of at least 1' });
+  }
+  const reverse = req.query.reverse === 'true' || req.query.reverse === '1';
+  const results = db.scanPrefix(req.params.prefix, { limit, reverse });
+  res.json({ prefix: req.params.prefix, results, count: results.length });
 });
 
 // Force flush
@@ -71,6 +150,25 @@ app.post('/api/flush', (_req, res) => {
   res.json({ ok: true, message: 'MemTable flushed to Level 0 SSTable' });
 });
 
+// Integrity check — every SSTable's blocks against their checksums
+app.get('/api/verify', (_req, res) => {
+  res.json(db.verify());
+});
+
+// Repair — replace damaged SSTables with the entries of their intact blocks
+app.post('/api/repair', (_req, res) => {
+  res.json(db.verify({ repair: true }));
+});
+
+// Blob GC — reclaim space held by overwritten or deleted large values
+app.post('/api/gc', (_req, res) => {
+  try {
+    res.json(db.gcBlobs());
+  } catch (err) {
+    res.status(409).json({ error: err.message });
+  }
+});
+
 // Inspector — detailed MemTable + SSTable data
 app.get('/api/inspect', (req, res) => {
   const limit = parseInt(req.query.limit) || 100;
@@ -95,11 +193,14 @@ app.post('/api/generate', (req, res) => {
     const id = pad(baseId + i, 5);
     const first = pick(firstNames);
     const last = pick(lastNames);
-    db.put(`user:${id}:name`, `${first} ${last}`);
-    db.put(`user:${id}:email`, `${first.toLowerCase()}.${last.toLowerCase()}@example.com`);
-    db.put(`user:${id}:age`, String(rand(18, 65)));
-    db.put(`user:${id}:city`, pick(cities));
-    db.put(`user:${id}:dept`, pick(departments));
+    // One batch per user so a crash never leaves a half-written record
+    db.batch()
+      .put(`user:${id}:name`, `${first} ${last}`)
+      .put(`user:${id}:email`, `${first.toLowerCase()}.${last.toLowerCase()}@example.com`)
+      .put(`user:${id}:age`, String(rand(18, 65)))
+      .put(`user:${id}:city`, pick(cities))
+      .put(`user:${id}:dept`, pick(departments))
+      .commit();
   }
 
   res.json({ ok: true, generated: count, entries: count * 5 });